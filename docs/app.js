@@ -2,6 +2,7 @@ import Decimal from './decimal.js';
 var TaxType;
 (function (TaxType) {
     TaxType["PPH21"] = "pph21";
+    TaxType["PPH21_SEVERANCE"] = "pph21_severance";
     TaxType["PPH22"] = "pph22";
     TaxType["PPH23"] = "pph23";
     TaxType["PPH4_2"] = "pph4_2";
@@ -13,51 +14,627 @@ var PPh21Scheme;
     PPh21Scheme["TRADITIONAL"] = "traditional";
     PPh21Scheme["TER"] = "ter";
 })(PPh21Scheme || (PPh21Scheme = {}));
+var PPh21Direction;
+(function (PPh21Direction) {
+    PPh21Direction["GROSS_TO_NET"] = "gross_to_net";
+    PPh21Direction["NET_TO_GROSS"] = "net_to_gross";
+})(PPh21Direction || (PPh21Direction = {}));
+var PPh21RecipientType;
+(function (PPh21RecipientType) {
+    PPh21RecipientType["EMPLOYEE"] = "employee";
+    PPh21RecipientType["DAILY_WORKER"] = "daily_worker";
+    PPh21RecipientType["NON_EMPLOYEE"] = "non_employee";
+    PPh21RecipientType["PAYROLL_BATCH"] = "payroll_batch";
+})(PPh21RecipientType || (PPh21RecipientType = {}));
+var PPh21NonEmployeeMethod;
+(function (PPh21NonEmployeeMethod) {
+    PPh21NonEmployeeMethod["NON_CUMULATIVE"] = "non_cumulative";
+    PPh21NonEmployeeMethod["CUMULATIVE"] = "cumulative";
+    PPh21NonEmployeeMethod["TER_DAILY"] = "ter_daily";
+})(PPh21NonEmployeeMethod || (PPh21NonEmployeeMethod = {}));
+var BenefitCategory;
+(function (BenefitCategory) {
+    BenefitCategory["FOOD"] = "food";
+    BenefitCategory["MEAL_VOUCHER"] = "meal_voucher";
+    BenefitCategory["HOLIDAY_GIFT"] = "holiday_gift";
+    BenefitCategory["WORK_EQUIPMENT"] = "work_equipment";
+    BenefitCategory["HEALTHCARE"] = "healthcare";
+    BenefitCategory["SPORTS"] = "sports";
+    BenefitCategory["HOUSING_COMMUNAL"] = "housing_communal";
+    BenefitCategory["HOUSING_INDIVIDUAL"] = "housing_individual";
+    BenefitCategory["VEHICLE"] = "vehicle";
+    BenefitCategory["OTHER"] = "other";
+})(BenefitCategory || (BenefitCategory = {}));
 var PPh21TERCategory;
 (function (PPh21TERCategory) {
     PPh21TERCategory["A"] = "A";
     PPh21TERCategory["B"] = "B";
     PPh21TERCategory["C"] = "C";
 })(PPh21TERCategory || (PPh21TERCategory = {}));
+var SeverancePaymentType;
+(function (SeverancePaymentType) {
+    SeverancePaymentType["SEVERANCE"] = "severance";
+    SeverancePaymentType["PENSION_LUMP_SUM"] = "pension_lump_sum";
+})(SeverancePaymentType || (SeverancePaymentType = {}));
 var PPNMode;
 (function (PPNMode) {
     PPNMode["EXCLUSIVE"] = "exclusive";
     PPNMode["INCLUSIVE"] = "inclusive";
 })(PPNMode || (PPNMode = {}));
-const PTKP_RATES = {
-    'TK': 54000000,
-    'K1': 58500000,
-    'K2': 63000000,
-    'K3': 67500000,
+var JKKRiskClass;
+(function (JKKRiskClass) {
+    JKKRiskClass["VERY_LOW"] = "very_low";
+    JKKRiskClass["LOW"] = "low";
+    JKKRiskClass["MEDIUM"] = "medium";
+    JKKRiskClass["HIGH"] = "high";
+    JKKRiskClass["VERY_HIGH"] = "very_high";
+})(JKKRiskClass || (JKKRiskClass = {}));
+var OvertimeDayType;
+(function (OvertimeDayType) {
+    OvertimeDayType["WORKDAY"] = "workday";
+    OvertimeDayType["REST_DAY_SIX_DAY_WEEK"] = "rest_day_six_day_week";
+    OvertimeDayType["SHORTEST_WORKDAY_HOLIDAY"] = "shortest_workday_holiday";
+    OvertimeDayType["REST_DAY_FIVE_DAY_WEEK"] = "rest_day_five_day_week";
+})(OvertimeDayType || (OvertimeDayType = {}));
+class TaxInputError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TaxInputError';
+    }
+}
+const PTKP_RATES_2009 = {
+    'TK/0': 15840000,
+    'TK/1': 17160000,
+    'TK/2': 18480000,
+    'TK/3': 19800000,
+    'K/0': 17160000,
+    'K/1': 18480000,
+    'K/2': 19800000,
+    'K/3': 21120000,
+    'K/I/0': 33000000,
+    'K/I/1': 34320000,
+    'K/I/2': 35640000,
+    'K/I/3': 36960000,
+};
+const PTKP_RATES_2013 = {
+    'TK/0': 24300000,
+    'TK/1': 26325000,
+    'TK/2': 28350000,
+    'TK/3': 30375000,
+    'K/0': 26325000,
+    'K/1': 28350000,
+    'K/2': 30375000,
+    'K/3': 32400000,
+    'K/I/0': 50625000,
+    'K/I/1': 52650000,
+    'K/I/2': 54675000,
+    'K/I/3': 56700000,
+};
+const PTKP_RATES_2015 = {
+    'TK/0': 36000000,
+    'TK/1': 39000000,
+    'TK/2': 42000000,
+    'TK/3': 45000000,
+    'K/0': 39000000,
+    'K/1': 42000000,
+    'K/2': 45000000,
+    'K/3': 48000000,
+    'K/I/0': 75000000,
+    'K/I/1': 78000000,
+    'K/I/2': 81000000,
+    'K/I/3': 84000000,
+};
+const PTKP_RATES_2016 = {
+    'TK/0': 54000000,
+    'TK/1': 58500000,
+    'TK/2': 63000000,
+    'TK/3': 67500000,
+    'K/0': 58500000,
+    'K/1': 63000000,
+    'K/2': 67500000,
+    'K/3': 72000000,
+    'K/I/0': 112500000,
+    'K/I/1': 117000000,
+    'K/I/2': 121500000,
+    'K/I/3': 126000000,
+};
+const TER_CATEGORY_BY_PTKP = {
+    'TK/0': PPh21TERCategory.A,
+    'TK/1': PPh21TERCategory.A,
+    'TK/2': PPh21TERCategory.B,
+    'TK/3': PPh21TERCategory.B,
+    'K/0': PPh21TERCategory.A,
+    'K/1': PPh21TERCategory.B,
+    'K/2': PPh21TERCategory.B,
+    'K/3': PPh21TERCategory.C,
+    'K/I/0': PPh21TERCategory.A,
+    'K/I/1': PPh21TERCategory.B,
+    'K/I/2': PPh21TERCategory.B,
+    'K/I/3': PPh21TERCategory.C,
 };
-const TAX_BRACKETS = [
+const TAX_BRACKETS_UU_PPH = [
     { limit: 50000000, rate: 0.05 },
     { limit: 250000000, rate: 0.15 },
     { limit: 500000000, rate: 0.25 },
+    { limit: Infinity, rate: 0.30 },
+];
+const TAX_BRACKETS_UU_HPP = [
+    { limit: 60000000, rate: 0.05 },
+    { limit: 250000000, rate: 0.15 },
+    { limit: 500000000, rate: 0.25 },
     { limit: 5000000000, rate: 0.30 },
     { limit: Infinity, rate: 0.35 },
 ];
-const TER_MONTHLY_RATES = [
-    { minIncome: 0, maxIncome: 5000000, rateA: 0.0000, rateB: 0.0000, rateC: 0.0000 },
-    { minIncome: 5000001, maxIncome: 6000000, rateA: 0.0025, rateB: 0.0050, rateC: 0.0075 },
-    { minIncome: 6000001, maxIncome: 7000000, rateA: 0.0050, rateB: 0.0075, rateC: 0.0100 },
-    { minIncome: 7000001, maxIncome: 8000000, rateA: 0.0075, rateB: 0.0100, rateC: 0.0125 },
-    { minIncome: 8000001, maxIncome: 10000000, rateA: 0.0100, rateB: 0.0150, rateC: 0.0200 },
-    { minIncome: 10000001, maxIncome: 15000000, rateA: 0.0200, rateB: 0.0300, rateC: 0.0400 },
-    { minIncome: 15000001, maxIncome: 25000000, rateA: 0.0400, rateB: 0.0600, rateC: 0.0800 },
-    { minIncome: 25000001, maxIncome: 50000000, rateA: 0.0800, rateB: 0.1200, rateC: 0.1600 },
-    { minIncome: 50000001, maxIncome: Infinity, rateA: 0.1500, rateB: 0.2000, rateC: 0.2500 },
+const TER_DAILY_RATES = [
+    { maxIncome: 450000, rate: 0.0000 },
+    { maxIncome: 2500000, rate: 0.0050 },
+];
+const TER_MONTHLY_RATES = {
+    [PPh21TERCategory.A]: [
+        { maxIncome: 5400000, rate: 0.0000 },
+        { maxIncome: 5650000, rate: 0.0025 },
+        { maxIncome: 5950000, rate: 0.0050 },
+        { maxIncome: 6300000, rate: 0.0075 },
+        { maxIncome: 6750000, rate: 0.0100 },
+        { maxIncome: 7500000, rate: 0.0125 },
+        { maxIncome: 8550000, rate: 0.0150 },
+        { maxIncome: 9650000, rate: 0.0175 },
+        { maxIncome: 10050000, rate: 0.0200 },
+        { maxIncome: 10350000, rate: 0.0225 },
+        { maxIncome: 10700000, rate: 0.0250 },
+        { maxIncome: 11050000, rate: 0.0300 },
+        { maxIncome: 11600000, rate: 0.0350 },
+        { maxIncome: 12500000, rate: 0.0400 },
+        { maxIncome: 13750000, rate: 0.0500 },
+        { maxIncome: 15100000, rate: 0.0600 },
+        { maxIncome: 16950000, rate: 0.0700 },
+        { maxIncome: 19750000, rate: 0.0800 },
+        { maxIncome: 24150000, rate: 0.0900 },
+        { maxIncome: 26450000, rate: 0.1000 },
+        { maxIncome: 28000000, rate: 0.1100 },
+        { maxIncome: 30050000, rate: 0.1200 },
+        { maxIncome: 32400000, rate: 0.1300 },
+        { maxIncome: 35400000, rate: 0.1400 },
+        { maxIncome: 39100000, rate: 0.1500 },
+        { maxIncome: 43850000, rate: 0.1600 },
+        { maxIncome: 47800000, rate: 0.1700 },
+        { maxIncome: 51400000, rate: 0.1800 },
+        { maxIncome: 56300000, rate: 0.1900 },
+        { maxIncome: 62200000, rate: 0.2000 },
+        { maxIncome: 68600000, rate: 0.2100 },
+        { maxIncome: 77500000, rate: 0.2200 },
+        { maxIncome: 89000000, rate: 0.2300 },
+        { maxIncome: 103000000, rate: 0.2400 },
+        { maxIncome: 125000000, rate: 0.2500 },
+        { maxIncome: 157000000, rate: 0.2600 },
+        { maxIncome: 206000000, rate: 0.2700 },
+        { maxIncome: 337000000, rate: 0.2800 },
+        { maxIncome: 454000000, rate: 0.2900 },
+        { maxIncome: 550000000, rate: 0.3000 },
+        { maxIncome: 695000000, rate: 0.3100 },
+        { maxIncome: 910000000, rate: 0.3200 },
+        { maxIncome: 1400000000, rate: 0.3300 },
+        { maxIncome: Infinity, rate: 0.3400 },
+    ],
+    [PPh21TERCategory.B]: [
+        { maxIncome: 6200000, rate: 0.0000 },
+        { maxIncome: 6500000, rate: 0.0025 },
+        { maxIncome: 6850000, rate: 0.0050 },
+        { maxIncome: 7300000, rate: 0.0075 },
+        { maxIncome: 9200000, rate: 0.0100 },
+        { maxIncome: 10750000, rate: 0.0150 },
+        { maxIncome: 11250000, rate: 0.0200 },
+        { maxIncome: 11600000, rate: 0.0250 },
+        { maxIncome: 12600000, rate: 0.0300 },
+        { maxIncome: 13600000, rate: 0.0400 },
+        { maxIncome: 14950000, rate: 0.0500 },
+        { maxIncome: 16400000, rate: 0.0600 },
+        { maxIncome: 18450000, rate: 0.0700 },
+        { maxIncome: 21850000, rate: 0.0800 },
+        { maxIncome: 26000000, rate: 0.0900 },
+        { maxIncome: 27700000, rate: 0.1000 },
+        { maxIncome: 29350000, rate: 0.1100 },
+        { maxIncome: 31450000, rate: 0.1200 },
+        { maxIncome: 33950000, rate: 0.1300 },
+        { maxIncome: 37100000, rate: 0.1400 },
+        { maxIncome: 41100000, rate: 0.1500 },
+        { maxIncome: 45800000, rate: 0.1600 },
+        { maxIncome: 49500000, rate: 0.1700 },
+        { maxIncome: 53800000, rate: 0.1800 },
+        { maxIncome: 58500000, rate: 0.1900 },
+        { maxIncome: 64000000, rate: 0.2000 },
+        { maxIncome: 71000000, rate: 0.2100 },
+        { maxIncome: 80000000, rate: 0.2200 },
+        { maxIncome: 93000000, rate: 0.2300 },
+        { maxIncome: 109000000, rate: 0.2400 },
+        { maxIncome: 129000000, rate: 0.2500 },
+        { maxIncome: 163000000, rate: 0.2600 },
+        { maxIncome: 211000000, rate: 0.2700 },
+        { maxIncome: 374000000, rate: 0.2800 },
+        { maxIncome: 459000000, rate: 0.2900 },
+        { maxIncome: 555000000, rate: 0.3000 },
+        { maxIncome: 704000000, rate: 0.3100 },
+        { maxIncome: 957000000, rate: 0.3200 },
+        { maxIncome: 1405000000, rate: 0.3300 },
+        { maxIncome: Infinity, rate: 0.3400 },
+    ],
+    [PPh21TERCategory.C]: [
+        { maxIncome: 6600000, rate: 0.0000 },
+        { maxIncome: 6950000, rate: 0.0025 },
+        { maxIncome: 7350000, rate: 0.0050 },
+        { maxIncome: 7800000, rate: 0.0075 },
+        { maxIncome: 8850000, rate: 0.0100 },
+        { maxIncome: 9800000, rate: 0.0125 },
+        { maxIncome: 10950000, rate: 0.0150 },
+        { maxIncome: 11200000, rate: 0.0175 },
+        { maxIncome: 12050000, rate: 0.0200 },
+        { maxIncome: 12950000, rate: 0.0300 },
+        { maxIncome: 14150000, rate: 0.0400 },
+        { maxIncome: 15550000, rate: 0.0500 },
+        { maxIncome: 17050000, rate: 0.0600 },
+        { maxIncome: 19500000, rate: 0.0700 },
+        { maxIncome: 22700000, rate: 0.0800 },
+        { maxIncome: 26600000, rate: 0.0900 },
+        { maxIncome: 28100000, rate: 0.1000 },
+        { maxIncome: 30100000, rate: 0.1100 },
+        { maxIncome: 32600000, rate: 0.1200 },
+        { maxIncome: 35400000, rate: 0.1300 },
+        { maxIncome: 38900000, rate: 0.1400 },
+        { maxIncome: 43000000, rate: 0.1500 },
+        { maxIncome: 47400000, rate: 0.1600 },
+        { maxIncome: 51200000, rate: 0.1700 },
+        { maxIncome: 55800000, rate: 0.1800 },
+        { maxIncome: 60400000, rate: 0.1900 },
+        { maxIncome: 66700000, rate: 0.2000 },
+        { maxIncome: 74500000, rate: 0.2100 },
+        { maxIncome: 83200000, rate: 0.2200 },
+        { maxIncome: 95600000, rate: 0.2300 },
+        { maxIncome: 110000000, rate: 0.2400 },
+        { maxIncome: 134000000, rate: 0.2500 },
+        { maxIncome: 169000000, rate: 0.2600 },
+        { maxIncome: 221000000, rate: 0.2700 },
+        { maxIncome: 390000000, rate: 0.2800 },
+        { maxIncome: 463000000, rate: 0.2900 },
+        { maxIncome: 561000000, rate: 0.3000 },
+        { maxIncome: 709000000, rate: 0.3100 },
+        { maxIncome: 965000000, rate: 0.3200 },
+        { maxIncome: 1419000000, rate: 0.3300 },
+        { maxIncome: Infinity, rate: 0.3400 },
+    ],
+};
+const BIAYA_JABATAN_RATE = 0.05;
+const BIAYA_JABATAN_MONTHLY_CAP = 500000;
+const PENSION_DEDUCTION_MONTHLY_CAP = 200000;
+const SOLVER_MAX_TAKE_HOME_MONTHLY = 1e15;
+const SOLVER_MAX_STEPS = 200;
+const NATURA_EXEMPTIONS_PMK_66_2023 = {
+    [BenefitCategory.FOOD]: { limit: Infinity, period: 'monthly' },
+    [BenefitCategory.MEAL_VOUCHER]: { limit: 2000000, period: 'monthly' },
+    [BenefitCategory.HOLIDAY_GIFT]: { limit: 3000000, period: 'annual' },
+    [BenefitCategory.WORK_EQUIPMENT]: { limit: Infinity, period: 'monthly' },
+    [BenefitCategory.HEALTHCARE]: { limit: Infinity, period: 'monthly' },
+    [BenefitCategory.SPORTS]: { limit: Infinity, period: 'monthly' },
+    [BenefitCategory.HOUSING_COMMUNAL]: { limit: Infinity, period: 'monthly' },
+    [BenefitCategory.HOUSING_INDIVIDUAL]: { limit: 2000000, period: 'monthly' },
+    [BenefitCategory.VEHICLE]: { limit: 0, period: 'monthly' },
+    [BenefitCategory.OTHER]: { limit: 0, period: 'monthly' },
+};
+const NON_EMPLOYEE_DPP_RATE = 0.5;
+const SEVERANCE_TAX_BRACKETS = {
+    [SeverancePaymentType.SEVERANCE]: [
+        { limit: 50000000, rate: 0 },
+        { limit: 100000000, rate: 0.05 },
+        { limit: 500000000, rate: 0.15 },
+        { limit: Infinity, rate: 0.25 },
+    ],
+    [SeverancePaymentType.PENSION_LUMP_SUM]: [
+        { limit: 50000000, rate: 0 },
+        { limit: Infinity, rate: 0.05 },
+    ],
+};
+const NON_NPWP_SURCHARGE = {
+    pph21: 0.20,
+    pph22: 1.00,
+    pph23: 1.00,
+};
+const PPH21_TAX_RULES = [
+    { fromYear: 2009, brackets: TAX_BRACKETS_UU_PPH, ptkp: PTKP_RATES_2009 },
+    { fromYear: 2013, brackets: TAX_BRACKETS_UU_PPH, ptkp: PTKP_RATES_2013 },
+    { fromYear: 2015, brackets: TAX_BRACKETS_UU_PPH, ptkp: PTKP_RATES_2015 },
+    { fromYear: 2016, brackets: TAX_BRACKETS_UU_PPH, ptkp: PTKP_RATES_2016 },
+    { fromYear: 2022, brackets: TAX_BRACKETS_UU_HPP, ptkp: PTKP_RATES_2016 },
+    {
+        fromYear: 2023,
+        brackets: TAX_BRACKETS_UU_HPP,
+        ptkp: PTKP_RATES_2016,
+        naturaExemptions: NATURA_EXEMPTIONS_PMK_66_2023,
+    },
+    {
+        fromYear: 2024,
+        brackets: TAX_BRACKETS_UU_HPP,
+        ptkp: PTKP_RATES_2016,
+        terRates: TER_MONTHLY_RATES,
+        terDailyRates: TER_DAILY_RATES,
+        naturaExemptions: NATURA_EXEMPTIONS_PMK_66_2023,
+    },
+];
+const MIN_TAX_YEAR = PPH21_TAX_RULES[0].fromYear;
+const LATEST_TAX_YEAR = new Date().getFullYear();
+const BPJS_RATES = {
+    jhtEmployee: 0.02,
+    jhtEmployer: 0.037,
+    jpEmployee: 0.01,
+    jpEmployer: 0.02,
+    jkm: 0.003,
+    kesehatanEmployee: 0.01,
+    kesehatanEmployer: 0.04,
+};
+const JKK_RATES = {
+    [JKKRiskClass.VERY_LOW]: 0.0024,
+    [JKKRiskClass.LOW]: 0.0054,
+    [JKKRiskClass.MEDIUM]: 0.0089,
+    [JKKRiskClass.HIGH]: 0.0127,
+    [JKKRiskClass.VERY_HIGH]: 0.0174,
+};
+const BPJS_WAGE_CAPS = [
+    { fromYear: 2015, jpWageCap: 7000000, kesehatanWageCap: 4725000 },
+    { fromYear: 2016, jpWageCap: 7335300, kesehatanWageCap: 8000000 },
+    { fromYear: 2017, jpWageCap: 7703500, kesehatanWageCap: 8000000 },
+    { fromYear: 2018, jpWageCap: 8094000, kesehatanWageCap: 8000000 },
+    { fromYear: 2019, jpWageCap: 8512400, kesehatanWageCap: 8000000 },
+    { fromYear: 2020, jpWageCap: 8754600, kesehatanWageCap: 12000000 },
+    { fromYear: 2021, jpWageCap: 8939700, kesehatanWageCap: 12000000 },
+    { fromYear: 2022, jpWageCap: 9077600, kesehatanWageCap: 12000000 },
+    { fromYear: 2023, jpWageCap: 9559600, kesehatanWageCap: 12000000 },
+    { fromYear: 2024, jpWageCap: 10042300, kesehatanWageCap: 12000000 },
+    { fromYear: 2025, jpWageCap: 10547400, kesehatanWageCap: 12000000 },
+];
+const MINIMUM_WAGES = [
+    { id: 'aceh', name: 'Aceh', type: 'province', wages: { 2023: 3413666, 2024: 3460672, 2025: 3685616 } },
+    { id: 'sumatera_utara', name: 'Sumatera Utara', type: 'province', wages: { 2023: 2710493, 2024: 2809915, 2025: 2992559 } },
+    { id: 'sumatera_barat', name: 'Sumatera Barat', type: 'province', wages: { 2023: 2742476, 2024: 2811449, 2025: 2994193 } },
+    { id: 'riau', name: 'Riau', type: 'province', wages: { 2023: 3191662, 2024: 3294625, 2025: 3508775 } },
+    { id: 'kepulauan_riau', name: 'Kepulauan Riau', type: 'province', wages: { 2023: 3279194, 2024: 3402492, 2025: 3623653 } },
+    { id: 'jambi', name: 'Jambi', type: 'province', wages: { 2023: 2943033, 2024: 3037121, 2025: 3234533 } },
+    { id: 'sumatera_selatan', name: 'Sumatera Selatan', type: 'province', wages: { 2023: 3404177, 2024: 3456874, 2025: 3681571 } },
+    { id: 'bangka_belitung', name: 'Kepulauan Bangka Belitung', type: 'province', wages: { 2023: 3498479, 2024: 3640000, 2025: 3876600 } },
+    { id: 'bengkulu', name: 'Bengkulu', type: 'province', wages: { 2023: 2418280, 2024: 2507079, 2025: 2670039 } },
+    { id: 'lampung', name: 'Lampung', type: 'province', wages: { 2023: 2633284, 2024: 2716497, 2025: 2893070 } },
+    { id: 'dki_jakarta', name: 'DKI Jakarta', type: 'province', wages: { 2023: 4901798, 2024: 5067381, 2025: 5396761 } },
+    { id: 'jawa_barat', name: 'Jawa Barat', type: 'province', wages: { 2023: 1986670, 2024: 2057495, 2025: 2191232 } },
+    { id: 'banten', name: 'Banten', type: 'province', wages: { 2023: 2661280, 2024: 2727812, 2025: 2905119 } },
+    { id: 'jawa_tengah', name: 'Jawa Tengah', type: 'province', wages: { 2023: 1958169, 2024: 2036947, 2025: 2169349 } },
+    { id: 'di_yogyakarta', name: 'DI Yogyakarta', type: 'province', wages: { 2023: 1981782, 2024: 2125897, 2025: 2264080 } },
+    { id: 'jawa_timur', name: 'Jawa Timur', type: 'province', wages: { 2023: 2040244, 2024: 2165244, 2025: 2305985 } },
+    { id: 'bali', name: 'Bali', type: 'province', wages: { 2023: 2713672, 2024: 2813672, 2025: 2996561 } },
+    { id: 'nusa_tenggara_barat', name: 'Nusa Tenggara Barat', type: 'province', wages: { 2023: 2371407, 2024: 2444067, 2025: 2602931 } },
+    { id: 'nusa_tenggara_timur', name: 'Nusa Tenggara Timur', type: 'province', wages: { 2023: 2123994, 2024: 2186826, 2025: 2328969 } },
+    { id: 'kalimantan_barat', name: 'Kalimantan Barat', type: 'province', wages: { 2023: 2608601, 2024: 2702616, 2025: 2878286 } },
+    { id: 'kalimantan_tengah', name: 'Kalimantan Tengah', type: 'province', wages: { 2023: 3181013, 2024: 3261616, 2025: 3473621 } },
+    { id: 'kalimantan_selatan', name: 'Kalimantan Selatan', type: 'province', wages: { 2023: 3149977, 2024: 3282812, 2025: 3496194 } },
+    { id: 'kalimantan_timur', name: 'Kalimantan Timur', type: 'province', wages: { 2023: 3201396, 2024: 3360858, 2025: 3579313 } },
+    { id: 'kalimantan_utara', name: 'Kalimantan Utara', type: 'province', wages: { 2023: 3251702, 2024: 3361653, 2025: 3580160 } },
+    { id: 'sulawesi_utara', name: 'Sulawesi Utara', type: 'province', wages: { 2023: 3485000, 2024: 3545000, 2025: 3775425 } },
+    { id: 'gorontalo', name: 'Gorontalo', type: 'province', wages: { 2023: 2989350, 2024: 3025100, 2025: 3221731 } },
+    { id: 'sulawesi_tengah', name: 'Sulawesi Tengah', type: 'province', wages: { 2023: 2599546, 2024: 2736698, 2025: 2914583 } },
+    { id: 'sulawesi_barat', name: 'Sulawesi Barat', type: 'province', wages: { 2023: 2871794, 2024: 2914958, 2025: 3104430 } },
+    { id: 'sulawesi_selatan', name: 'Sulawesi Selatan', type: 'province', wages: { 2023: 3385145, 2024: 3434298, 2025: 3657527 } },
+    { id: 'sulawesi_tenggara', name: 'Sulawesi Tenggara', type: 'province', wages: { 2023: 2758984, 2024: 2885964, 2025: 3073551 } },
+    { id: 'maluku', name: 'Maluku', type: 'province', wages: { 2023: 2812827, 2024: 2949953, 2025: 3141699 } },
+    { id: 'maluku_utara', name: 'Maluku Utara', type: 'province', wages: { 2023: 2976720, 2024: 3200000, 2025: 3408000 } },
+    { id: 'papua', name: 'Papua', type: 'province', wages: { 2023: 3864696, 2024: 4024270, 2025: 4285848 } },
+    { id: 'papua_barat', name: 'Papua Barat', type: 'province', wages: { 2023: 3282000, 2024: 3393500, 2025: 3615000 } },
+    { id: 'papua_selatan', name: 'Papua Selatan', type: 'province', wages: { 2023: 3864696, 2024: 4024270, 2025: 4285848 } },
+    { id: 'papua_tengah', name: 'Papua Tengah', type: 'province', wages: { 2023: 3864696, 2024: 4024270, 2025: 4285848 } },
+    { id: 'papua_pegunungan', name: 'Papua Pegunungan', type: 'province', wages: { 2023: 3864696, 2024: 4024270, 2025: 4285848 } },
+    { id: 'papua_barat_daya', name: 'Papua Barat Daya', type: 'province', wages: { 2023: 3282000, 2024: 3393500, 2025: 3614000 } },
+    { id: 'kota_bekasi', name: 'Kota Bekasi', type: 'city', wages: { 2023: 5158248, 2024: 5343430, 2025: 5690752 } },
+    { id: 'kab_karawang', name: 'Kabupaten Karawang', type: 'city', wages: { 2023: 5176179, 2024: 5257834, 2025: 5599593 } },
+    { id: 'kota_tangerang', name: 'Kota Tangerang', type: 'city', wages: { 2023: 4584519, 2024: 4760289, 2025: 5069708 } },
+    { id: 'kota_surabaya', name: 'Kota Surabaya', type: 'city', wages: { 2023: 4525479, 2024: 4725479, 2025: 4961753 } },
+    { id: 'kota_batam', name: 'Kota Batam', type: 'city', wages: { 2023: 4500440, 2024: 4685050, 2025: 4989600 } },
+    { id: 'kota_bandung', name: 'Kota Bandung', type: 'city', wages: { 2023: 4048462, 2024: 4209309, 2025: 4482914 } },
+    { id: 'kota_medan', name: 'Kota Medan', type: 'city', wages: { 2023: 3624117, 2024: 3769082, 2025: 4014272 } },
+    { id: 'kota_semarang', name: 'Kota Semarang', type: 'city', wages: { 2023: 3060348, 2024: 3243969, 2025: 3454827 } },
+    { id: 'kota_denpasar', name: 'Kota Denpasar', type: 'city', wages: { 2023: 2970000, 2024: 3096823, 2025: 3298117 } },
+    { id: 'kota_yogyakarta', name: 'Kota Yogyakarta', type: 'city', wages: { 2023: 2324775, 2024: 2492997, 2025: 2655041 } },
 ];
+const OVERTIME_HOURLY_DIVISOR = 173;
+const OVERTIME_MULTIPLIERS = {
+    [OvertimeDayType.WORKDAY]: [
+        { upToHour: 1, multiplier: 1.5 },
+        { upToHour: Infinity, multiplier: 2 },
+    ],
+    [OvertimeDayType.REST_DAY_SIX_DAY_WEEK]: [
+        { upToHour: 7, multiplier: 2 },
+        { upToHour: 8, multiplier: 3 },
+        { upToHour: Infinity, multiplier: 4 },
+    ],
+    [OvertimeDayType.SHORTEST_WORKDAY_HOLIDAY]: [
+        { upToHour: 5, multiplier: 2 },
+        { upToHour: 6, multiplier: 3 },
+        { upToHour: Infinity, multiplier: 4 },
+    ],
+    [OvertimeDayType.REST_DAY_FIVE_DAY_WEEK]: [
+        { upToHour: 8, multiplier: 2 },
+        { upToHour: 9, multiplier: 3 },
+        { upToHour: Infinity, multiplier: 4 },
+    ],
+};
+const PAYROLL_CSV_REQUIRED_COLUMNS = ['id', 'ptkp_status', 'gross_monthly'];
+const PAYROLL_CSV_NPWP_YES = ['y', 'yes', 'ya', 'true', '1'];
+const PAYROLL_CSV_NPWP_NO = ['n', 'no', 'tidak', 'false', '0'];
+const PAYROLL_BATCH_COLUMNS = [
+    { key: 'id', label: 'ID', format: 'text' },
+    { key: 'ptkpStatus', label: 'PTKP', format: 'text' },
+    { key: 'hasNpwp', label: 'NPWP', format: 'text' },
+    { key: 'grossMonthly', label: 'Gross Monthly', format: 'amount' },
+    { key: 'bonusTotal', label: 'Bonuses', format: 'amount' },
+    { key: 'grossAnnual', label: 'Gross Annual', format: 'amount' },
+    { key: 'annualTax', label: 'Annual Tax', format: 'amount' },
+    { key: 'regularMonthTax', label: 'Monthly Tax (No Bonus)', format: 'amount' },
+    { key: 'finalMonthTax', label: 'December Tax', format: 'amount' },
+    { key: 'finalMonthRefund', label: 'December Refund', format: 'amount' },
+    { key: 'effectiveTaxRate', label: 'Effective Rate', format: 'percent' },
+    { key: 'takeHomeMonthly', label: 'Take-Home Monthly', format: 'amount' },
+    { key: 'takeHomeAnnual', label: 'Take-Home Annual', format: 'amount' },
+    { key: 'employerCostAnnual', label: 'Employer Cost', format: 'amount' },
+];
+class BPJSCalculator {
+    getWageCaps(year) {
+        if (year < BPJS_WAGE_CAPS[0].fromYear) {
+            throw new TaxInputError(`BPJS contributions are available from ${BPJS_WAGE_CAPS[0].fromYear}`);
+        }
+        let caps = BPJS_WAGE_CAPS[0];
+        for (const entry of BPJS_WAGE_CAPS) {
+            if (entry.fromYear <= year) {
+                caps = entry;
+            }
+        }
+        return caps;
+    }
+    average(results) {
+        const average = { ...results[0] };
+        for (const key of Object.keys(average)) {
+            average[key] = results
+                .reduce((sum, result) => sum.plus(result[key]), new Decimal(0))
+                .dividedBy(results.length)
+                .toNumber();
+        }
+        return average;
+    }
+    calculate(wageInput, jkkRiskClass, year = LATEST_TAX_YEAR, wageFloor = 0) {
+        const wage = Decimal.max(new Decimal(wageInput), wageFloor);
+        const caps = this.getWageCaps(year);
+        const jpWage = Decimal.min(wage, caps.jpWageCap);
+        const kesehatanWage = Decimal.min(wage, caps.kesehatanWageCap);
+        const jkkRate = new Decimal(JKK_RATES[jkkRiskClass]);
+        const jhtEmployee = wage.times(BPJS_RATES.jhtEmployee);
+        const jhtEmployer = wage.times(BPJS_RATES.jhtEmployer);
+        const jpEmployee = jpWage.times(BPJS_RATES.jpEmployee);
+        const jpEmployer = jpWage.times(BPJS_RATES.jpEmployer);
+        const jkk = wage.times(jkkRate);
+        const jkm = wage.times(BPJS_RATES.jkm);
+        const kesehatanEmployee = kesehatanWage.times(BPJS_RATES.kesehatanEmployee);
+        const kesehatanEmployer = kesehatanWage.times(BPJS_RATES.kesehatanEmployer);
+        return {
+            wage: wage.toNumber(),
+            jpWage: jpWage.toNumber(),
+            kesehatanWage: kesehatanWage.toNumber(),
+            jhtEmployee: jhtEmployee.toNumber(),
+            jhtEmployer: jhtEmployer.toNumber(),
+            jpEmployee: jpEmployee.toNumber(),
+            jpEmployer: jpEmployer.toNumber(),
+            jkk: jkk.toNumber(),
+            jkkRate: jkkRate.toNumber(),
+            jkm: jkm.toNumber(),
+            kesehatanEmployee: kesehatanEmployee.toNumber(),
+            kesehatanEmployer: kesehatanEmployer.toNumber(),
+            employerTaxable: jkk.plus(jkm).plus(kesehatanEmployer).toNumber(),
+            employeeDeductible: jhtEmployee.plus(jpEmployee).toNumber(),
+            employeeTotal: jhtEmployee.plus(jpEmployee).plus(kesehatanEmployee).toNumber(),
+            employerTotal: jhtEmployer.plus(jpEmployer).plus(jkk).plus(jkm).plus(kesehatanEmployer).toNumber(),
+        };
+    }
+}
+class MinimumWageTable {
+    getRegion(regionId) {
+        const region = MINIMUM_WAGES.find(r => r.id === regionId);
+        if (!region) {
+            throw new TaxInputError(`Unknown minimum wage region: ${regionId}`);
+        }
+        return region;
+    }
+    getMinimumWage(regionId, year) {
+        const region = this.getRegion(regionId);
+        const years = Object.keys(region.wages).map(Number).filter(y => y <= year);
+        if (years.length === 0) {
+            return undefined;
+        }
+        const tableYear = Math.max(...years);
+        return { year: tableYear, amount: region.wages[tableYear] };
+    }
+    getFirstYear(regionId) {
+        return Math.min(...Object.keys(this.getRegion(regionId).wages).map(Number));
+    }
+}
+class OvertimeCalculator {
+    getPaidHours(hours, dayType) {
+        let paidHours = new Decimal(0);
+        let previousLimit = 0;
+        for (const tier of OVERTIME_MULTIPLIERS[dayType]) {
+            const hoursInTier = Math.min(hours, tier.upToHour) - previousLimit;
+            if (hoursInTier > 0) {
+                paidHours = paidHours.plus(new Decimal(hoursInTier).times(tier.multiplier));
+            }
+            if (hours <= tier.upToHour) {
+                break;
+            }
+            previousLimit = tier.upToHour;
+        }
+        return paidHours;
+    }
+    calculate(month, entries, monthlyWage) {
+        const hourlyWage = new Decimal(monthlyWage).dividedBy(OVERTIME_HOURLY_DIVISOR);
+        let hours = new Decimal(0);
+        let paidHours = new Decimal(0);
+        for (const entry of entries) {
+            if (entry.hoursPerDay <= 0 || entry.days <= 0) {
+                throw new TaxInputError('Overtime hours and days must be positive');
+            }
+            hours = hours.plus(new Decimal(entry.hoursPerDay).times(entry.days));
+            paidHours = paidHours.plus(this.getPaidHours(entry.hoursPerDay, entry.dayType).times(entry.days));
+        }
+        return {
+            month,
+            monthlyWage,
+            hourlyWage: hourlyWage.toNumber(),
+            hours: hours.toNumber(),
+            paidHours: paidHours.toNumber(),
+            pay: hourlyWage.times(paidHours).toNumber(),
+        };
+    }
+}
 class PPH21Calculator {
-    getPTKP(status) {
-        return new Decimal(PTKP_RATES[status] || PTKP_RATES['TK']);
+    constructor() {
+        this.bpjsCalculator = new BPJSCalculator();
+        this.overtimeCalculator = new OvertimeCalculator();
+        this.minimumWageTable = new MinimumWageTable();
     }
-    calculateProgressiveTax(pkp) {
+    getTaxRules(taxYear) {
+        if (!Number.isInteger(taxYear) || taxYear < MIN_TAX_YEAR || taxYear > LATEST_TAX_YEAR) {
+            throw new TaxInputError(`Tax year must be between ${MIN_TAX_YEAR} and ${LATEST_TAX_YEAR}`);
+        }
+        let rules = PPH21_TAX_RULES[0];
+        for (const ruleSet of PPH21_TAX_RULES) {
+            if (ruleSet.fromYear <= taxYear) {
+                rules = ruleSet;
+            }
+        }
+        return rules;
+    }
+    isTERAvailable(taxYear) {
+        return this.getTaxRules(taxYear).terRates !== undefined;
+    }
+    getPTKP(status, taxYear = LATEST_TAX_YEAR) {
+        const ptkpRates = this.getTaxRules(taxYear).ptkp;
+        if (!Object.prototype.hasOwnProperty.call(ptkpRates, status)) {
+            throw new TaxInputError(`Unknown PTKP status: ${status}`);
+        }
+        return new Decimal(ptkpRates[status]);
+    }
+    getTERCategory(status) {
+        if (!Object.prototype.hasOwnProperty.call(TER_CATEGORY_BY_PTKP, status)) {
+            throw new TaxInputError(`Unknown PTKP status: ${status}`);
+        }
+        return TER_CATEGORY_BY_PTKP[status];
+    }
+    calculateProgressiveTax(pkp, taxYear = LATEST_TAX_YEAR) {
         if (pkp.lte(0))
             return new Decimal(0);
         let tax = new Decimal(0);
         let previousLimit = new Decimal(0);
-        for (const bracket of TAX_BRACKETS) {
+        for (const bracket of this.getTaxRules(taxYear).brackets) {
             const limit = new Decimal(bracket.limit);
             const rate = new Decimal(bracket.rate);
             const taxableInBracket = Decimal.min(pkp, limit).minus(previousLimit);
@@ -71,132 +648,940 @@ class PPH21Calculator {
         }
         return tax;
     }
-    getTERRate(monthlyIncome, category) {
-        for (const bracket of TER_MONTHLY_RATES) {
-            if (monthlyIncome.gte(bracket.minIncome) && monthlyIncome.lte(bracket.maxIncome)) {
-                switch (category) {
-                    case PPh21TERCategory.A:
-                        return new Decimal(bracket.rateA);
-                    case PPh21TERCategory.B:
-                        return new Decimal(bracket.rateB);
-                    case PPh21TERCategory.C:
-                        return new Decimal(bracket.rateC);
-                }
+    getTERRate(monthlyIncome, category, taxYear = LATEST_TAX_YEAR) {
+        const terRates = this.getTaxRules(taxYear).terRates;
+        if (!terRates) {
+            throw new TaxInputError(`TER withholding is not available for tax year ${taxYear}`);
+        }
+        const brackets = terRates[category];
+        for (const bracket of brackets) {
+            if (monthlyIncome.lte(bracket.maxIncome)) {
+                return new Decimal(bracket.rate);
+            }
+        }
+        return new Decimal(brackets[brackets.length - 1].rate);
+    }
+    getTERDailyRate(dailyIncome, taxYear = LATEST_TAX_YEAR) {
+        const terDailyRates = this.getTaxRules(taxYear).terDailyRates;
+        if (!terDailyRates) {
+            throw new TaxInputError(`TER daily rates are not available for tax year ${taxYear}`);
+        }
+        for (const bracket of terDailyRates) {
+            if (dailyIncome.lte(bracket.maxIncome)) {
+                return new Decimal(bracket.rate);
             }
         }
-        return new Decimal(category === PPh21TERCategory.A ? 0.15 : category === PPh21TERCategory.B ? 0.20 : 0.25);
+        return undefined;
+    }
+    calculateBiayaJabatan(grossAnnual, workMonths = 12) {
+        const biaya = grossAnnual.times(BIAYA_JABATAN_RATE);
+        return Decimal.min(biaya, new Decimal(BIAYA_JABATAN_MONTHLY_CAP).times(workMonths));
     }
-    calculateBiayaJabatan(grossAnnual) {
-        const biaya = grossAnnual.times(0.05);
-        return Decimal.min(biaya, 6000000);
+    calculatePensionDeduction(pensionAnnual, workMonths = 12) {
+        return Decimal.min(pensionAnnual, new Decimal(PENSION_DEDUCTION_MONTHLY_CAP).times(workMonths));
     }
     roundDownThousand(value) {
         return value.dividedBy(1000).floor().times(1000);
     }
-    calculate(grossMonthlyInput, ptkpStatus, workMonthsInput = 12, scheme = PPh21Scheme.TRADITIONAL, terCategory = PPh21TERCategory.B, pensionMonthlyInput = 0, zakatAnnualInput = 0, bonuses = []) {
-        const grossMonthly = new Decimal(grossMonthlyInput);
-        const workMonths = Math.max(1, Math.min(12, workMonthsInput));
+    calculate(input) {
+        const { ptkpStatus, workMonths: workMonthsInput = 12, scheme = PPh21Scheme.TRADITIONAL, terCategoryOverride, pensionMonthly: pensionMonthlyInput = 0, zakatAnnual: zakatAnnualInput = 0, bonuses = [], benefits = [], overtime = [], taxYear = LATEST_TAX_YEAR, grossUp = false, bpjs, minimumWageRegion, monthlySchedule, priorEmployment, hasNpwp = true, } = input;
+        if (scheme === PPh21Scheme.TER && !this.isTERAvailable(taxYear)) {
+            throw new TaxInputError(`TER scheme applies from tax year 2024; use the traditional scheme for ${taxYear}`);
+        }
+        const startMonth = input.startMonth || 1;
+        const endMonth = input.endMonth || Math.min(12, startMonth + Math.max(1, workMonthsInput) - 1);
+        if (!Number.isInteger(startMonth) || !Number.isInteger(endMonth)
+            || startMonth < 1 || endMonth > 12 || startMonth > endMonth) {
+            throw new TaxInputError('Employment must start and end within the tax year, start month first');
+        }
+        const workMonths = endMonth - startMonth + 1;
+        const isEmployed = (monthIndex) => monthIndex >= startMonth - 1 && monthIndex <= endMonth - 1;
+        for (const bonus of bonuses) {
+            if (bonus.month < startMonth || bonus.month > endMonth) {
+                throw new TaxInputError(`${bonus.name} is paid in month ${bonus.month}, outside the employment period (months ${startMonth}-${endMonth})`);
+            }
+        }
+        for (const entry of overtime) {
+            if (entry.month < startMonth || entry.month > endMonth) {
+                throw new TaxInputError(`Overtime in month ${entry.month} is outside the employment period (months ${startMonth}-${endMonth})`);
+            }
+        }
+        for (const benefit of benefits) {
+            if (benefit.month !== undefined && (benefit.month < startMonth || benefit.month > endMonth)) {
+                throw new TaxInputError(`${benefit.name} is provided in month ${benefit.month}, outside the employment period (months ${startMonth}-${endMonth})`);
+            }
+        }
         const pensionMonthly = new Decimal(pensionMonthlyInput);
         const zakatAnnual = new Decimal(zakatAnnualInput);
-        const grossFromSalary = grossMonthly.times(workMonths);
+        if (monthlySchedule && monthlySchedule.length !== 12) {
+            throw new TaxInputError('Monthly income schedule must have 12 months');
+        }
+        const terCategory = terCategoryOverride || this.getTERCategory(ptkpStatus);
+        const monthlySalary = new Array(12).fill(new Decimal(0));
+        for (let i = startMonth - 1; i < endMonth; i++) {
+            monthlySalary[i] = monthlySchedule
+                ? new Decimal(monthlySchedule[i].salary).plus(monthlySchedule[i].allowance || 0)
+                : new Decimal(input.grossMonthly);
+        }
+        const grossFromSalary = monthlySalary.reduce((sum, salary) => sum.plus(salary), new Decimal(0));
+        const grossMonthly = grossFromSalary.dividedBy(workMonths);
+        const overtimeResults = [];
+        const overtimeByMonth = new Array(12).fill(new Decimal(0));
+        for (let month = startMonth; month <= endMonth; month++) {
+            const entries = overtime.filter(e => e.month === month);
+            if (entries.length === 0) {
+                continue;
+            }
+            const monthlyWage = monthlySchedule ? monthlySchedule[month - 1].salary : input.grossMonthly;
+            const result = this.overtimeCalculator.calculate(month, entries, monthlyWage);
+            overtimeResults.push(result);
+            overtimeByMonth[month - 1] = new Decimal(result.pay);
+        }
+        const overtimeAnnual = overtimeByMonth.reduce((sum, pay) => sum.plus(pay), new Decimal(0));
         const bonusTotal = bonuses.reduce((sum, bonus) => sum.plus(bonus.amount), new Decimal(0));
-        const grossAnnual = grossFromSalary.plus(bonusTotal);
-        const pensionAnnual = pensionMonthly.times(workMonths);
-        const biayaJabatan = this.calculateBiayaJabatan(grossAnnual);
-        const totalDeductions = biayaJabatan.plus(pensionAnnual).plus(zakatAnnual);
-        const nettoAnnual = grossAnnual.minus(totalDeductions);
-        const ptkp = this.getPTKP(ptkpStatus);
-        const pkp = this.roundDownThousand(Decimal.max(0, nettoAnnual.minus(ptkp)));
-        let annualTax;
+        const naturaTaxableByMonth = new Array(12).fill(new Decimal(0));
+        const benefitBreakdown = this.calculateBenefits(benefits, startMonth, endMonth, taxYear, naturaTaxableByMonth);
+        const sumBenefits = (field) => benefitBreakdown.reduce((sum, b) => sum.plus(b[field]), new Decimal(0));
+        const naturaTaxableAnnual = sumBenefits('taxable');
+        const minimumWage = minimumWageRegion
+            ? this.minimumWageTable.getMinimumWage(minimumWageRegion, taxYear)
+            : undefined;
+        const wageFloor = minimumWage ? minimumWage.amount : 0;
+        const belowMinimumWage = monthlySalary.some((salary, i) => isEmployed(i) && salary.lt(wageFloor));
+        const bpjsByMonth = monthlySalary.map((salary, i) => bpjs && isEmployed(i)
+            ? this.bpjsCalculator.calculate(salary.toNumber(), bpjs.jkkRiskClass, taxYear, wageFloor)
+            : undefined);
+        const bpjsTaxableByMonth = bpjsByMonth.map(b => new Decimal(b ? b.employerTaxable : 0));
+        const sumBPJS = (field) => bpjsByMonth.reduce((sum, b) => sum.plus(b ? b[field] : 0), new Decimal(0));
+        const bpjsTaxableAnnual = sumBPJS('employerTaxable');
+        const bpjsDeductibleAnnual = sumBPJS('employeeDeductible');
+        const bpjsEmployeeAnnual = sumBPJS('employeeTotal');
+        const bpjsResult = bpjs
+            ? this.bpjsCalculator.average(bpjsByMonth.filter((b) => b !== undefined))
+            : undefined;
+        const pensionAnnual = pensionMonthly.times(workMonths).plus(bpjsDeductibleAnnual);
+        const pensionDeduction = this.calculatePensionDeduction(pensionAnnual, workMonths);
+        const ptkp = this.getPTKP(ptkpStatus, taxYear);
+        const priorNetto = new Decimal(priorEmployment ? priorEmployment.netto : 0);
+        const priorTaxPaid = new Decimal(priorEmployment ? priorEmployment.taxPaid : 0);
+        const surchargeRate = new Decimal(hasNpwp ? 0 : NON_NPWP_SURCHARGE.pph21);
+        const taxFor = (grossAnnual) => {
+            const biayaJabatan = this.calculateBiayaJabatan(grossAnnual, workMonths);
+            const totalDeductions = biayaJabatan.plus(pensionDeduction).plus(zakatAnnual);
+            const nettoAnnual = grossAnnual.minus(totalDeductions);
+            const combinedNetto = nettoAnnual.plus(priorNetto);
+            const pkp = this.roundDownThousand(Decimal.max(0, combinedNetto.minus(ptkp)));
+            const annualTaxBase = this.calculateProgressiveTax(pkp, taxYear);
+            const npwpSurcharge = annualTaxBase.times(surchargeRate);
+            const annualTax = annualTaxBase.plus(npwpSurcharge);
+            const employerTax = Decimal.max(0, annualTax.minus(priorTaxPaid));
+            return {
+                grossAnnual, biayaJabatan, totalDeductions, nettoAnnual, combinedNetto, pkp,
+                annualTaxBase, npwpSurcharge, annualTax, employerTax,
+            };
+        };
+        const annualFor = (taxAllowance) => taxFor(grossFromSalary.plus(overtimeAnnual).plus(bpjsTaxableAnnual).plus(naturaTaxableAnnual).plus(bonusTotal).plus(taxAllowance));
+        let taxAllowanceAnnual = new Decimal(0);
         let terPaid;
+        let withheld;
         let month12Adjustment;
+        let overpaymentRefund;
+        let finalMonthIncome;
+        let month12TaxAllowance;
         let monthlyBreakdown;
+        let bonusTaxes;
         if (scheme === PPh21Scheme.TER) {
             monthlyBreakdown = [];
             terPaid = new Decimal(0);
             const monthlyIncome = new Array(12).fill(new Decimal(0));
-            for (let i = 0; i < workMonths; i++) {
-                monthlyIncome[i] = grossMonthly;
+            for (let i = startMonth - 1; i < endMonth; i++) {
+                monthlyIncome[i] = monthlySalary[i].plus(overtimeByMonth[i]).plus(bpjsTaxableByMonth[i]).plus(naturaTaxableByMonth[i]);
             }
             for (const bonus of bonuses) {
                 const monthIndex = bonus.month - 1;
-                if (monthIndex >= 0 && monthIndex < 12 && monthIndex < workMonths) {
-                    monthlyIncome[monthIndex] = monthlyIncome[monthIndex].plus(bonus.amount);
-                }
+                monthlyIncome[monthIndex] = monthlyIncome[monthIndex].plus(bonus.amount);
             }
-            for (let i = 0; i < 11 && i < workMonths; i++) {
-                const income = monthlyIncome[i];
-                const terRate = this.getTERRate(income, terCategory);
-                const monthTax = income.times(terRate);
+            for (let i = startMonth - 1; i < endMonth - 1; i++) {
+                let monthAllowance = new Decimal(0);
+                if (grossUp) {
+                    const approxAllowance = this.solveTaxAllowance(allowance => {
+                        const grossedUp = monthlyIncome[i].plus(allowance);
+                        return grossedUp.times(this.getTERRate(grossedUp, terCategory, taxYear)).times(surchargeRate.plus(1));
+                    });
+                    const rate = this.getTERRate(monthlyIncome[i].plus(approxAllowance), terCategory, taxYear)
+                        .times(surchargeRate.plus(1));
+                    monthAllowance = monthlyIncome[i].times(rate).dividedBy(new Decimal(1).minus(rate));
+                }
+                const income = monthlyIncome[i].plus(monthAllowance);
+                const terRate = this.getTERRate(income, terCategory, taxYear);
+                const monthSurcharge = income.times(terRate).times(surchargeRate);
+                const monthTax = income.times(terRate).plus(monthSurcharge);
                 const monthBonuses = bonuses.filter(b => b.month === i + 1);
                 const hasBonus = monthBonuses.length > 0;
                 const bonusNames = monthBonuses.map(b => b.name).join(', ');
                 monthlyBreakdown.push({
                     month: i + 1,
                     income: income.toNumber(),
+                    overtime: overtimeByMonth[i].gt(0) ? overtimeByMonth[i].toNumber() : undefined,
                     terRate: terRate.toNumber(),
                     tax: monthTax.toNumber(),
+                    surcharge: hasNpwp ? undefined : monthSurcharge.toNumber(),
                     hasBonus,
-                    bonusNames: hasBonus ? bonusNames : undefined
+                    bonusNames: hasBonus ? bonusNames : undefined,
+                    taxAllowance: grossUp ? monthAllowance.toNumber() : undefined
                 });
                 terPaid = terPaid.plus(monthTax);
+                taxAllowanceAnnual = taxAllowanceAnnual.plus(monthAllowance);
             }
-            annualTax = this.calculateProgressiveTax(pkp);
-            month12Adjustment = annualTax.minus(terPaid);
+            finalMonthIncome = monthlyIncome[endMonth - 1];
+            if (grossUp) {
+                const allowanceToDate = taxAllowanceAnnual;
+                const paidToDate = terPaid;
+                month12TaxAllowance = this.solveTaxAllowance(allowance => annualFor(allowanceToDate.plus(allowance)).employerTax.minus(paidToDate));
+                taxAllowanceAnnual = taxAllowanceAnnual.plus(month12TaxAllowance);
+                finalMonthIncome = finalMonthIncome.plus(month12TaxAllowance);
+            }
+        }
+        else if (grossUp) {
+            taxAllowanceAnnual = this.solveTaxAllowance(allowance => annualFor(allowance).employerTax);
+        }
+        const { grossAnnual, biayaJabatan, totalDeductions, nettoAnnual, combinedNetto, pkp, annualTaxBase, npwpSurcharge, annualTax, employerTax, } = annualFor(taxAllowanceAnnual);
+        if (scheme === PPh21Scheme.TRADITIONAL) {
+            monthlyBreakdown = [];
+            bonusTaxes = [];
+            withheld = new Decimal(0);
+            const allowanceMonthly = taxAllowanceAnnual.dividedBy(workMonths);
+            const regularIncome = (i) => monthlySalary[i].plus(overtimeByMonth[i]).plus(bpjsTaxableByMonth[i]).plus(naturaTaxableByMonth[i])
+                .plus(allowanceMonthly);
+            const irregularIncome = (i) => bonuses
+                .filter(b => b.month === i + 1)
+                .reduce((sum, b) => sum.plus(b.amount), new Decimal(0));
+            for (let i = startMonth - 1; i < endMonth - 1; i++) {
+                const regularAnnualized = regularIncome(i).times(workMonths);
+                const regularAnnualTax = taxFor(regularAnnualized).employerTax;
+                const regularTax = regularAnnualTax.dividedBy(workMonths);
+                const irregularTax = irregularIncome(i).gt(0)
+                    ? taxFor(regularAnnualized.plus(irregularIncome(i))).employerTax.minus(regularAnnualTax)
+                    : new Decimal(0);
+                const monthBonuses = bonuses.filter(b => b.month === i + 1);
+                bonusTaxes.push(...this.attributeBonusTax(monthBonuses, irregularTax));
+                monthlyBreakdown.push({
+                    month: i + 1,
+                    income: regularIncome(i).plus(irregularIncome(i)).toNumber(),
+                    overtime: overtimeByMonth[i].gt(0) ? overtimeByMonth[i].toNumber() : undefined,
+                    tax: regularTax.plus(irregularTax).toNumber(),
+                    regularTax: regularTax.toNumber(),
+                    irregularTax: monthBonuses.length > 0 ? irregularTax.toNumber() : undefined,
+                    hasBonus: monthBonuses.length > 0,
+                    bonusNames: monthBonuses.length > 0 ? monthBonuses.map(b => b.name).join(', ') : undefined,
+                    taxAllowance: grossUp ? allowanceMonthly.toNumber() : undefined
+                });
+                withheld = withheld.plus(regularTax).plus(irregularTax);
+            }
+            finalMonthIncome = regularIncome(endMonth - 1).plus(irregularIncome(endMonth - 1));
+            month12TaxAllowance = grossUp ? allowanceMonthly : undefined;
         }
         else {
-            annualTax = this.calculateProgressiveTax(pkp);
+            withheld = terPaid;
+        }
+        if (withheld && monthlyBreakdown && finalMonthIncome) {
+            const adjustment = employerTax.minus(withheld);
+            month12Adjustment = Decimal.max(0, adjustment);
+            overpaymentRefund = Decimal.min(withheld, Decimal.max(0, withheld.minus(employerTax)));
+            const finalMonthBonuses = bonuses.filter(b => b.month === endMonth);
+            let finalIrregularTax;
+            if (bonusTaxes && finalMonthBonuses.length > 0) {
+                const finalBonusTotal = finalMonthBonuses.reduce((sum, b) => sum.plus(b.amount), new Decimal(0));
+                const taxWithoutFinalBonuses = taxFor(grossAnnual.minus(finalBonusTotal)).employerTax;
+                finalIrregularTax = employerTax.minus(taxWithoutFinalBonuses);
+                bonusTaxes.push(...this.attributeBonusTax(finalMonthBonuses, finalIrregularTax));
+            }
+            monthlyBreakdown.push({
+                month: endMonth,
+                income: finalMonthIncome.toNumber(),
+                overtime: overtimeByMonth[endMonth - 1].gt(0) ? overtimeByMonth[endMonth - 1].toNumber() : undefined,
+                tax: month12Adjustment.toNumber(),
+                irregularTax: finalIrregularTax ? finalIrregularTax.toNumber() : undefined,
+                hasBonus: finalMonthBonuses.length > 0,
+                bonusNames: finalMonthBonuses.length > 0 ? finalMonthBonuses.map(b => b.name).join(', ') : undefined,
+                taxAllowance: month12TaxAllowance ? month12TaxAllowance.toNumber() : undefined,
+                isFinalMonth: true,
+                refund: overpaymentRefund.gt(0) ? overpaymentRefund.toNumber() : undefined
+            });
+        }
+        const monthlyTax = employerTax.dividedBy(workMonths);
+        const priorGross = new Decimal(priorEmployment ? priorEmployment.gross : 0);
+        const yearGross = grossAnnual.plus(priorGross);
+        const effectiveTaxRate = yearGross.gt(0) ? annualTax.dividedBy(yearGross).times(100) : new Decimal(0);
+        const takeHomeAnnual = grossAnnual
+            .minus(employerTax)
+            .minus(bpjsTaxableAnnual)
+            .minus(naturaTaxableAnnual)
+            .minus(bpjsEmployeeAnnual);
+        const takeHomeMonthly = takeHomeAnnual.dividedBy(workMonths);
+        const employerCostMonthly = [];
+        for (let month = startMonth; month <= endMonth; month++) {
+            const i = month - 1;
+            const breakdownMonth = monthlyBreakdown ? monthlyBreakdown.find(m => m.month === month) : undefined;
+            const salary = monthlySalary[i];
+            const monthBonuses = bonuses
+                .filter(b => b.month === month)
+                .reduce((sum, b) => sum.plus(b.amount), new Decimal(0));
+            const monthBenefits = benefits
+                .filter(b => b.month === undefined || b.month === month)
+                .reduce((sum, b) => sum.plus(b.amount), new Decimal(0));
+            const bpjsEmployer = new Decimal(bpjsByMonth[i] ? bpjsByMonth[i].employerTotal : 0);
+            const monthAllowance = new Decimal(breakdownMonth && breakdownMonth.taxAllowance || 0);
+            employerCostMonthly.push({
+                month,
+                salary: salary.toNumber(),
+                overtime: overtimeByMonth[i].toNumber(),
+                bonuses: monthBonuses.toNumber(),
+                benefits: monthBenefits.toNumber(),
+                bpjsEmployer: bpjsEmployer.toNumber(),
+                taxAllowance: monthAllowance.toNumber(),
+                total: salary.plus(overtimeByMonth[i]).plus(monthBonuses).plus(monthBenefits).plus(bpjsEmployer)
+                    .plus(monthAllowance).toNumber(),
+            });
         }
-        const monthlyTax = annualTax.dividedBy(12);
-        const effectiveTaxRate = grossAnnual.gt(0) ? annualTax.dividedBy(grossAnnual).times(100) : new Decimal(0);
-        const takeHomeAnnual = grossAnnual.minus(annualTax);
-        const takeHomeMonthly = takeHomeAnnual.dividedBy(12);
+        const sumEmployerCost = (field) => employerCostMonthly.reduce((sum, m) => sum.plus(m[field]), new Decimal(0)).toNumber();
+        const employerCostAnnual = {
+            salary: sumEmployerCost('salary'),
+            overtime: sumEmployerCost('overtime'),
+            bonuses: sumEmployerCost('bonuses'),
+            benefits: sumEmployerCost('benefits'),
+            bpjsEmployer: sumEmployerCost('bpjsEmployer'),
+            taxAllowance: sumEmployerCost('taxAllowance'),
+            total: sumEmployerCost('total'),
+        };
         return {
+            taxYear,
             grossMonthly: grossMonthly.toNumber(),
+            grossFromSalary: grossFromSalary.toNumber(),
+            monthlySchedule,
             grossAnnual: grossAnnual.toNumber(),
             bonusTotal: bonusTotal.toNumber(),
             bonuses,
+            bonusTaxes: bonusTaxes && bonusTaxes.length > 0 ? bonusTaxes : undefined,
             workMonths,
+            startMonth,
+            endMonth,
+            grossUp,
+            taxAllowanceAnnual: grossUp ? taxAllowanceAnnual.toNumber() : undefined,
+            overtime: overtimeResults.length > 0 ? overtimeResults : undefined,
+            overtimeAnnual: overtimeResults.length > 0 ? overtimeAnnual.toNumber() : undefined,
+            benefits: benefits.length > 0 ? benefitBreakdown : undefined,
+            benefitValueAnnual: benefits.length > 0 ? sumBenefits('value').toNumber() : undefined,
+            benefitExemptAnnual: benefits.length > 0 ? sumBenefits('exempt').toNumber() : undefined,
+            benefitTaxableAnnual: benefits.length > 0 ? naturaTaxableAnnual.toNumber() : undefined,
+            bpjs: bpjsResult,
+            bpjsTaxableAnnual: bpjsResult ? bpjsTaxableAnnual.toNumber() : undefined,
+            bpjsDeductibleAnnual: bpjsResult ? bpjsDeductibleAnnual.toNumber() : undefined,
+            minimumWage: minimumWageRegion
+                ? { region: this.minimumWageTable.getRegion(minimumWageRegion).name, year: taxYear, ...minimumWage }
+                : undefined,
+            belowMinimumWage: minimumWage ? belowMinimumWage : undefined,
+            biayaJabatanUncapped: grossAnnual.times(BIAYA_JABATAN_RATE).toNumber(),
+            biayaJabatanCap: BIAYA_JABATAN_MONTHLY_CAP * workMonths,
             biayaJabatan: biayaJabatan.toNumber(),
             pensionAnnual: pensionAnnual.toNumber(),
+            pensionCap: PENSION_DEDUCTION_MONTHLY_CAP * workMonths,
+            pensionDeduction: pensionDeduction.toNumber(),
             zakatDonation: zakatAnnual.toNumber(),
             totalDeductions: totalDeductions.toNumber(),
+            priorGross: priorEmployment ? priorGross.toNumber() : undefined,
+            priorNetto: priorEmployment ? priorNetto.toNumber() : undefined,
+            priorTaxPaid: priorEmployment ? priorTaxPaid.toNumber() : undefined,
+            combinedNetto: priorEmployment ? combinedNetto.toNumber() : undefined,
             nettoAnnual: nettoAnnual.toNumber(),
             ptkp: ptkp.toNumber(),
             pkp: pkp.toNumber(),
             scheme,
             terCategory: scheme === PPh21Scheme.TER ? terCategory : undefined,
+            terCategoryOverridden: scheme === PPh21Scheme.TER ? terCategoryOverride !== undefined : undefined,
+            hasNpwp,
+            annualTaxBase: annualTaxBase.toNumber(),
+            npwpSurcharge: npwpSurcharge.toNumber(),
             annualTax: annualTax.toNumber(),
+            employerTax: employerTax.toNumber(),
             monthlyTax: monthlyTax.toNumber(),
             effectiveTaxRate: effectiveTaxRate.toNumber(),
             terPaid: terPaid ? terPaid.toNumber() : undefined,
-            month12Adjustment: month12Adjustment ? month12Adjustment.toNumber() : undefined,
+            withheldBeforeFinalMonth: withheld ? withheld.toNumber() : undefined,
+            month12Adjustment: month12Adjustment !== undefined ? month12Adjustment.toNumber() : undefined,
+            overpaymentRefund: overpaymentRefund !== undefined ? overpaymentRefund.toNumber() : undefined,
+            month12TaxAllowance: month12TaxAllowance ? month12TaxAllowance.toNumber() : undefined,
             monthlyBreakdown,
             takeHomeAnnual: takeHomeAnnual.toNumber(),
             takeHomeMonthly: takeHomeMonthly.toNumber(),
+            employerCostMonthly,
+            employerCostAnnual,
+        };
+    }
+    calculateBenefits(benefits, startMonth, endMonth, taxYear, taxableByMonth) {
+        const exemptions = this.getTaxRules(taxYear).naturaExemptions;
+        const categories = Array.from(new Set(benefits.map(b => b.category)));
+        return categories.map(category => {
+            const exemption = exemptions ? exemptions[category] : { limit: Infinity, period: 'annual' };
+            let annualAllowance = new Decimal(exemption.limit);
+            let value = new Decimal(0);
+            let taxable = new Decimal(0);
+            for (let month = startMonth; month <= endMonth; month++) {
+                const monthValue = benefits
+                    .filter(b => b.category === category && (b.month === undefined || b.month === month))
+                    .reduce((sum, b) => sum.plus(b.amount), new Decimal(0));
+                let monthExempt;
+                if (exemption.period === 'annual') {
+                    monthExempt = Decimal.min(monthValue, annualAllowance);
+                    annualAllowance = annualAllowance.minus(monthExempt);
+                }
+                else {
+                    monthExempt = Decimal.min(monthValue, exemption.limit);
+                }
+                const monthTaxable = monthValue.minus(monthExempt);
+                taxableByMonth[month - 1] = taxableByMonth[month - 1].plus(monthTaxable);
+                value = value.plus(monthValue);
+                taxable = taxable.plus(monthTaxable);
+            }
+            return {
+                category,
+                value: value.toNumber(),
+                exempt: value.minus(taxable).toNumber(),
+                taxable: taxable.toNumber(),
+            };
+        });
+    }
+    attributeBonusTax(monthBonuses, irregularTax) {
+        const monthTotal = monthBonuses.reduce((sum, b) => sum.plus(b.amount), new Decimal(0));
+        return monthBonuses.map(bonus => ({
+            ...bonus,
+            tax: monthTotal.gt(0) ? irregularTax.times(bonus.amount).dividedBy(monthTotal).toNumber() : 0,
+        }));
+    }
+    solveTaxAllowance(taxFor) {
+        let allowance = new Decimal(0);
+        for (let i = 0; i < 100; i++) {
+            const tax = taxFor(allowance);
+            if (tax.minus(allowance).abs().lt(0.01)) {
+                return tax;
+            }
+            allowance = tax;
+        }
+        return allowance;
+    }
+    compareSchemes(input) {
+        const taxYear = input.taxYear || LATEST_TAX_YEAR;
+        if (!this.isTERAvailable(taxYear)) {
+            throw new TaxInputError(`TER scheme applies from tax year 2024; there is nothing to compare for ${taxYear}`);
+        }
+        const traditional = this.calculate({ ...input, scheme: PPh21Scheme.TRADITIONAL });
+        const ter = this.calculate({ ...input, scheme: PPh21Scheme.TER });
+        const months = [];
+        let traditionalTotal = new Decimal(0);
+        let terTotal = new Decimal(0);
+        for (let month = ter.startMonth; month <= ter.endMonth; month++) {
+            const traditionalMonth = traditional.monthlyBreakdown.find(m => m.month === month);
+            const terMonth = ter.monthlyBreakdown.find(m => m.month === month);
+            const traditionalTax = new Decimal(traditionalMonth.tax).minus(traditionalMonth.refund || 0);
+            const terTax = new Decimal(terMonth.tax).minus(terMonth.refund || 0);
+            traditionalTotal = traditionalTotal.plus(traditionalTax);
+            terTotal = terTotal.plus(terTax);
+            months.push({
+                month,
+                traditionalTax: traditionalTax.toNumber(),
+                terTax: terTax.toNumber(),
+                difference: terTax.minus(traditionalTax).toNumber(),
+                cumulativeDifference: terTotal.minus(traditionalTotal).toNumber(),
+            });
+        }
+        return {
+            taxYear,
+            traditional,
+            ter,
+            months,
+            traditionalTotal: traditionalTotal.toNumber(),
+            terTotal: terTotal.toNumber(),
+        };
+    }
+    solveGrossMonthly(targetTakeHomeMonthly, input) {
+        if (input.monthlySchedule) {
+            throw new TaxInputError('The net-to-gross solver needs a single gross monthly salary, not a monthly schedule');
+        }
+        if (!Number.isFinite(targetTakeHomeMonthly) || targetTakeHomeMonthly <= 0 || targetTakeHomeMonthly > SOLVER_MAX_TAKE_HOME_MONTHLY) {
+            throw new TaxInputError(`Target monthly take-home must be a positive amount no greater than ${formatCurrency(SOLVER_MAX_TAKE_HOME_MONTHLY)}`);
+        }
+        const target = new Decimal(targetTakeHomeMonthly);
+        const takeHomeFor = (grossMonthly) => new Decimal(this.calculate({ ...input, grossMonthly: grossMonthly.toNumber() }).takeHomeMonthly);
+        let low = new Decimal(0);
+        let high = Decimal.max(target, 1);
+        let steps = 0;
+        while (takeHomeFor(high).lt(target)) {
+            if (++steps > SOLVER_MAX_STEPS) {
+                throw new TaxInputError('No gross salary reaches the target monthly take-home');
+            }
+            low = high;
+            high = high.times(2);
+        }
+        steps = 0;
+        while (high.minus(low).gt(1)) {
+            if (++steps > SOLVER_MAX_STEPS) {
+                throw new TaxInputError('The net-to-gross solver did not converge on a gross salary');
+            }
+            const mid = low.plus(high).dividedBy(2).floor();
+            if (takeHomeFor(mid).lt(target)) {
+                low = mid;
+            }
+            else {
+                high = mid;
+            }
+        }
+        return {
+            ...this.calculate({ ...input, grossMonthly: high.toNumber() }),
+            targetTakeHomeMonthly: target.toNumber(),
+        };
+    }
+}
+class PPH21NonEmployeeCalculator {
+    constructor() {
+        this.pph21Calculator = new PPH21Calculator();
+    }
+    calculate(payments, method, taxYear = LATEST_TAX_YEAR, hasNpwp = true) {
+        if (payments.length === 0) {
+            throw new TaxInputError('Please add at least one payment');
+        }
+        const surchargeRate = new Decimal(hasNpwp ? 0 : NON_NPWP_SURCHARGE.pph21);
+        let cumulativeDpp = new Decimal(0);
+        let totalGross = new Decimal(0);
+        let totalDpp = new Decimal(0);
+        let totalBaseTax = new Decimal(0);
+        let totalSurcharge = new Decimal(0);
+        const paymentResults = payments.map(payment => {
+            const gross = new Decimal(payment.amount);
+            let dpp = gross.times(NON_EMPLOYEE_DPP_RATE);
+            let baseTax;
+            let terRate;
+            switch (method) {
+                case PPh21NonEmployeeMethod.CUMULATIVE: {
+                    const previousTax = this.pph21Calculator.calculateProgressiveTax(cumulativeDpp, taxYear);
+                    cumulativeDpp = cumulativeDpp.plus(dpp);
+                    baseTax = this.pph21Calculator.calculateProgressiveTax(cumulativeDpp, taxYear).minus(previousTax);
+                    break;
+                }
+                case PPh21NonEmployeeMethod.TER_DAILY:
+                    terRate = this.pph21Calculator.getTERDailyRate(gross, taxYear);
+                    if (terRate) {
+                        dpp = gross;
+                        baseTax = gross.times(terRate);
+                    }
+                    else {
+                        baseTax = this.pph21Calculator.calculateProgressiveTax(dpp, taxYear);
+                    }
+                    break;
+                default:
+                    baseTax = this.pph21Calculator.calculateProgressiveTax(dpp, taxYear);
+            }
+            const surcharge = baseTax.times(surchargeRate);
+            totalGross = totalGross.plus(gross);
+            totalDpp = totalDpp.plus(dpp);
+            totalBaseTax = totalBaseTax.plus(baseTax);
+            totalSurcharge = totalSurcharge.plus(surcharge);
+            return {
+                description: payment.description,
+                gross: gross.toNumber(),
+                dpp: dpp.toNumber(),
+                cumulativeDpp: method === PPh21NonEmployeeMethod.CUMULATIVE ? cumulativeDpp.toNumber() : undefined,
+                terRate: terRate ? terRate.toNumber() : undefined,
+                baseTax: baseTax.toNumber(),
+                surcharge: surcharge.toNumber(),
+                tax: baseTax.plus(surcharge).toNumber(),
+            };
+        });
+        const totalTax = totalBaseTax.plus(totalSurcharge);
+        const effectiveTaxRate = totalGross.gt(0) ? totalTax.dividedBy(totalGross).times(100) : new Decimal(0);
+        return {
+            taxYear,
+            method,
+            hasNpwp,
+            payments: paymentResults,
+            totalGross: totalGross.toNumber(),
+            totalDpp: totalDpp.toNumber(),
+            totalBaseTax: totalBaseTax.toNumber(),
+            totalSurcharge: totalSurcharge.toNumber(),
+            totalTax: totalTax.toNumber(),
+            effectiveTaxRate: effectiveTaxRate.toNumber(),
+            netPaid: totalGross.minus(totalTax).toNumber(),
+        };
+    }
+}
+class PPH21DailyWorkerCalculator {
+    constructor() {
+        this.pph21Calculator = new PPH21Calculator();
+    }
+    calculate(wages, taxYear = LATEST_TAX_YEAR, hasNpwp = true) {
+        if (wages.length === 0) {
+            throw new TaxInputError('Please add at least one wage payment');
+        }
+        const surchargeRate = new Decimal(hasNpwp ? 0 : NON_NPWP_SURCHARGE.pph21);
+        let totalGross = new Decimal(0);
+        let totalBaseTax = new Decimal(0);
+        let totalSurcharge = new Decimal(0);
+        let totalDays = 0;
+        const wageResults = wages.map(wage => {
+            const date = new Date(wage.date);
+            if (isNaN(date.getTime()) || date.getUTCFullYear() !== taxYear) {
+                throw new TaxInputError(`Wage date ${wage.date} is not in tax year ${taxYear}`);
+            }
+            const days = wage.days || 1;
+            const gross = new Decimal(wage.amount);
+            const dailyAverage = gross.dividedBy(days);
+            const terRate = this.pph21Calculator.getTERDailyRate(dailyAverage, taxYear);
+            const dpp = terRate ? gross : gross.times(NON_EMPLOYEE_DPP_RATE);
+            const baseTax = terRate
+                ? gross.times(terRate)
+                : this.pph21Calculator.calculateProgressiveTax(dpp, taxYear);
+            const surcharge = baseTax.times(surchargeRate);
+            totalGross = totalGross.plus(gross);
+            totalBaseTax = totalBaseTax.plus(baseTax);
+            totalSurcharge = totalSurcharge.plus(surcharge);
+            totalDays += days;
+            return {
+                date: wage.date,
+                month: date.getUTCMonth() + 1,
+                days,
+                gross: gross.toNumber(),
+                dailyAverage: dailyAverage.toNumber(),
+                dpp: dpp.toNumber(),
+                terRate: terRate ? terRate.toNumber() : undefined,
+                baseTax: baseTax.toNumber(),
+                surcharge: surcharge.toNumber(),
+                tax: baseTax.plus(surcharge).toNumber(),
+            };
+        });
+        const monthlySummary = [];
+        for (let month = 1; month <= 12; month++) {
+            const monthWages = wageResults.filter(w => w.month === month);
+            if (monthWages.length === 0) {
+                continue;
+            }
+            const gross = monthWages.reduce((sum, w) => sum.plus(w.gross), new Decimal(0));
+            const tax = monthWages.reduce((sum, w) => sum.plus(w.tax), new Decimal(0));
+            monthlySummary.push({
+                month,
+                daysWorked: monthWages.reduce((sum, w) => sum + w.days, 0),
+                gross: gross.toNumber(),
+                tax: tax.toNumber(),
+                netPaid: gross.minus(tax).toNumber(),
+            });
+        }
+        const totalTax = totalBaseTax.plus(totalSurcharge);
+        const effectiveTaxRate = totalGross.gt(0) ? totalTax.dividedBy(totalGross).times(100) : new Decimal(0);
+        return {
+            taxYear,
+            hasNpwp,
+            wages: wageResults.sort((a, b) => a.date.localeCompare(b.date)),
+            monthlySummary,
+            totalDays,
+            totalGross: totalGross.toNumber(),
+            totalBaseTax: totalBaseTax.toNumber(),
+            totalSurcharge: totalSurcharge.toNumber(),
+            totalTax: totalTax.toNumber(),
+            effectiveTaxRate: effectiveTaxRate.toNumber(),
+            netPaid: totalGross.minus(totalTax).toNumber(),
+        };
+    }
+}
+class PayrollBatchCalculator {
+    constructor() {
+        this.pph21Calculator = new PPH21Calculator();
+    }
+    splitRows(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                }
+                else if (char === '"') {
+                    quoted = false;
+                }
+                else {
+                    field += char;
+                }
+            }
+            else if (char === '"') {
+                quoted = true;
+            }
+            else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            }
+            else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            }
+            else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
+    }
+    parseCSV(text) {
+        const content = text.replace(/^\uFEFF/, '');
+        const headerLine = content.split(/\r?\n/, 1)[0];
+        const delimiter = headerLine.includes(';') && !headerLine.includes(',') ? ';' : ',';
+        const [header, ...rows] = this.splitRows(content, delimiter);
+        if (!header) {
+            throw new TaxInputError('The payroll CSV is empty');
+        }
+        const columns = header.map(column => column.trim().toLowerCase());
+        for (const column of PAYROLL_CSV_REQUIRED_COLUMNS) {
+            if (!columns.includes(column)) {
+                throw new TaxInputError(`The payroll CSV has no ${column} column`);
+            }
+        }
+        const employees = [];
+        const ids = new Set();
+        rows.forEach((fields, index) => {
+            const row = index + 2;
+            if (fields.every(field => field.trim() === '')) {
+                return;
+            }
+            const value = (column) => {
+                const position = columns.indexOf(column);
+                return position >= 0 && position < fields.length ? fields[position].trim() : '';
+            };
+            const amount = (column) => {
+                const parsed = value(column) === '' ? 0 : Number(value(column));
+                if (!Number.isFinite(parsed) || parsed < 0) {
+                    throw new TaxInputError(`Row ${row}, column ${column}: "${value(column)}" is not a non-negative number without separators`);
+                }
+                return parsed;
+            };
+            const id = value('id');
+            if (!id) {
+                throw new TaxInputError(`Row ${row}: id is empty`);
+            }
+            if (ids.has(id)) {
+                throw new TaxInputError(`Row ${row}: employee ${id} appears more than once`);
+            }
+            ids.add(id);
+            const npwp = value('npwp').toLowerCase();
+            if (npwp !== '' && !PAYROLL_CSV_NPWP_YES.includes(npwp) && !PAYROLL_CSV_NPWP_NO.includes(npwp)) {
+                throw new TaxInputError(`Row ${row}: npwp must be Y or N`);
+            }
+            const bonuses = [];
+            for (let month = 1; month <= 12; month++) {
+                const bonus = amount(`bonus_${month}`);
+                if (bonus > 0) {
+                    bonuses.push({ name: `Bonus month ${month}`, amount: bonus, month });
+                }
+            }
+            employees.push({
+                row,
+                id,
+                ptkpStatus: value('ptkp_status').toUpperCase(),
+                grossMonthly: amount('gross_monthly'),
+                pensionMonthly: amount('pension_monthly'),
+                zakatAnnual: amount('zakat_annual'),
+                bonuses,
+                hasNpwp: !PAYROLL_CSV_NPWP_NO.includes(npwp),
+            });
+        });
+        if (employees.length === 0) {
+            throw new TaxInputError('The payroll CSV has no employee rows');
+        }
+        return employees;
+    }
+    calculate(employees, taxYear, scheme) {
+        return employees.map(employee => {
+            const input = {
+                grossMonthly: employee.grossMonthly,
+                ptkpStatus: employee.ptkpStatus,
+                scheme,
+                pensionMonthly: employee.pensionMonthly,
+                zakatAnnual: employee.zakatAnnual,
+                bonuses: employee.bonuses,
+                taxYear,
+                hasNpwp: employee.hasNpwp,
+            };
+            let result;
+            try {
+                result = this.pph21Calculator.calculate(input);
+            }
+            catch (error) {
+                if (error instanceof TaxInputError) {
+                    throw new TaxInputError(`Row ${employee.row} (${employee.id}): ${error.message}`);
+                }
+                throw error;
+            }
+            const regularMonth = result.monthlyBreakdown.find(m => !m.hasBonus && !m.isFinalMonth)
+                || this.pph21Calculator.calculate({ ...input, bonuses: [] }).monthlyBreakdown[0];
+            return {
+                id: employee.id,
+                ptkpStatus: employee.ptkpStatus,
+                hasNpwp: employee.hasNpwp,
+                grossMonthly: employee.grossMonthly,
+                bonusTotal: result.bonusTotal,
+                grossAnnual: result.grossAnnual,
+                annualTax: result.annualTax,
+                regularMonthTax: regularMonth.tax,
+                finalMonthTax: result.month12Adjustment || 0,
+                finalMonthRefund: result.overpaymentRefund || 0,
+                effectiveTaxRate: result.effectiveTaxRate,
+                takeHomeMonthly: result.takeHomeMonthly,
+                takeHomeAnnual: result.takeHomeAnnual,
+                employerCostAnnual: result.employerCostAnnual.total,
+            };
+        });
+    }
+    toCSV(rows) {
+        const escape = (text) => {
+            const value = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+            return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        };
+        const header = PAYROLL_BATCH_COLUMNS.map(column => escape(column.label));
+        const lines = rows.map(row => PAYROLL_BATCH_COLUMNS.map(column => {
+            const value = row[column.key];
+            if (typeof value === 'boolean') {
+                return value ? 'Y' : 'N';
+            }
+            if (typeof value === 'number') {
+                return column.format === 'percent' ? value.toFixed(2) : Math.round(value).toString();
+            }
+            return escape(value);
+        }).join(','));
+        return [header.join(','), ...lines].join('\r\n') + '\r\n';
+    }
+}
+class THRCalculator {
+    parseDate(value, label) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        if (!match) {
+            throw new TaxInputError(`Please enter a valid ${label}`);
+        }
+        const year = parseInt(match[1]);
+        const month = parseInt(match[2]);
+        const day = parseInt(match[3]);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            throw new TaxInputError(`Please enter a valid ${label}`);
+        }
+        return { year, month, day };
+    }
+    calculate(joinDate, payoutDate, basicWage, fixedAllowances = 0) {
+        const joined = this.parseDate(joinDate, 'join date');
+        const payout = this.parseDate(payoutDate, 'payout date');
+        const serviceMonths = (payout.year - joined.year) * 12 + (payout.month - joined.month)
+            - (payout.day < joined.day ? 1 : 0);
+        if (serviceMonths < 1) {
+            throw new TaxInputError('THR requires at least one month of continuous service');
+        }
+        const monthlyWage = new Decimal(basicWage).plus(fixedAllowances);
+        const proRated = serviceMonths < 12;
+        const amount = proRated
+            ? monthlyWage.times(serviceMonths).dividedBy(12).floor()
+            : monthlyWage;
+        return {
+            joinDate,
+            payoutDate,
+            serviceMonths,
+            monthlyWage: monthlyWage.toNumber(),
+            proRated,
+            amount: amount.toNumber(),
+        };
+    }
+}
+class PPH21SeveranceCalculator {
+    calculateTiers(amount, brackets) {
+        const tiers = [];
+        let previousLimit = new Decimal(0);
+        for (const bracket of brackets) {
+            const limit = new Decimal(bracket.limit);
+            const taxable = Decimal.max(Decimal.min(amount, limit).minus(previousLimit), 0);
+            tiers.push({
+                limit: bracket.limit,
+                rate: bracket.rate,
+                taxable: taxable.toNumber(),
+                tax: taxable.times(bracket.rate).toNumber(),
+            });
+            previousLimit = limit;
+        }
+        return tiers;
+    }
+    calculate(paymentType, grossAmountInput, priorInstallmentsInput = 0, hasNpwp = true) {
+        const brackets = SEVERANCE_TAX_BRACKETS[paymentType];
+        const grossAmount = new Decimal(grossAmountInput);
+        const priorInstallments = new Decimal(priorInstallmentsInput);
+        const cumulativeAmount = grossAmount.plus(priorInstallments);
+        const tiers = this.calculateTiers(cumulativeAmount, brackets);
+        const sumTax = (t) => t.reduce((sum, tier) => sum.plus(tier.tax), new Decimal(0));
+        const cumulativeTax = sumTax(tiers);
+        const priorTax = sumTax(this.calculateTiers(priorInstallments, brackets));
+        const baseTax = cumulativeTax.minus(priorTax);
+        const surcharge = baseTax.times(hasNpwp ? 0 : NON_NPWP_SURCHARGE.pph21);
+        const tax = baseTax.plus(surcharge);
+        const effectiveTaxRate = grossAmount.gt(0) ? tax.dividedBy(grossAmount).times(100) : new Decimal(0);
+        return {
+            paymentType,
+            grossAmount: grossAmount.toNumber(),
+            priorInstallments: priorInstallments.toNumber(),
+            cumulativeAmount: cumulativeAmount.toNumber(),
+            hasNpwp,
+            tiers,
+            cumulativeTax: cumulativeTax.toNumber(),
+            priorTax: priorTax.toNumber(),
+            baseTax: baseTax.toNumber(),
+            surcharge: surcharge.toNumber(),
+            tax: tax.toNumber(),
+            effectiveTaxRate: effectiveTaxRate.toNumber(),
+            netPaid: grossAmount.minus(tax).toNumber(),
         };
     }
 }
 class PPH22Calculator {
-    calculate(dppInput, rateInput) {
+    calculate(dppInput, rateInput, hasNpwp = true) {
         const dpp = new Decimal(dppInput);
         const rate = new Decimal(rateInput);
-        const tax = dpp.times(rate.dividedBy(100));
+        const baseTax = dpp.times(rate.dividedBy(100));
+        const surcharge = hasNpwp ? new Decimal(0) : baseTax.times(NON_NPWP_SURCHARGE.pph22);
+        const tax = baseTax.plus(surcharge);
         return {
             dpp: dpp.toNumber(),
             rate: rate.toNumber(),
+            hasNpwp,
+            baseTax: baseTax.toNumber(),
+            surcharge: surcharge.toNumber(),
             tax: tax.toNumber(),
         };
     }
 }
 class PPH23Calculator {
-    calculate(grossIncomeInput, rateInput) {
+    calculate(grossIncomeInput, rateInput, hasNpwp = true) {
         const grossIncome = new Decimal(grossIncomeInput);
         const rate = new Decimal(rateInput);
-        const tax = grossIncome.times(rate.dividedBy(100));
+        const baseTax = grossIncome.times(rate.dividedBy(100));
+        const surcharge = hasNpwp ? new Decimal(0) : baseTax.times(NON_NPWP_SURCHARGE.pph23);
+        const tax = baseTax.plus(surcharge);
         return {
             grossIncome: grossIncome.toNumber(),
             rate: rate.toNumber(),
+            hasNpwp,
+            baseTax: baseTax.toNumber(),
+            surcharge: surcharge.toNumber(),
             tax: tax.toNumber(),
         };
     }
@@ -273,6 +1658,12 @@ function formatPercent(value) {
     }).format(value / 100);
 }
 const pph21Calculator = new PPH21Calculator();
+const pph21NonEmployeeCalculator = new PPH21NonEmployeeCalculator();
+const pph21DailyWorkerCalculator = new PPH21DailyWorkerCalculator();
+const thrCalculator = new THRCalculator();
+const payrollBatchCalculator = new PayrollBatchCalculator();
+const minimumWageTable = new MinimumWageTable();
+const pph21SeveranceCalculator = new PPH21SeveranceCalculator();
 const pph22Calculator = new PPH22Calculator();
 const pph23Calculator = new PPH23Calculator();
 const pph42Calculator = new PPH42Calculator();
@@ -283,21 +1674,52 @@ const form = document.getElementById('taxForm');
 const resultsDiv = document.getElementById('results');
 const errorDiv = document.getElementById('error');
 const pph21Fields = document.getElementById('pph21-fields');
+const severanceFields = document.getElementById('severance-fields');
 const pph22Fields = document.getElementById('pph22-fields');
 const pph23Fields = document.getElementById('pph23-fields');
 const pph42Fields = document.getElementById('pph42-fields');
 const ppnFields = document.getElementById('ppn-fields');
 const ppnbmFields = document.getElementById('ppnbm-fields');
 const pph21Results = document.getElementById('pph21-results');
+const pph21DailyResults = document.getElementById('pph21-daily-results');
+const pph21NonEmployeeResults = document.getElementById('pph21-nonemployee-results');
+const pph21BatchResults = document.getElementById('pph21-batch-results');
+const severanceResults = document.getElementById('severance-results');
 const pph22Results = document.getElementById('pph22-results');
 const pph23Results = document.getElementById('pph23-results');
 const pph42Results = document.getElementById('pph42-results');
 const ppnResults = document.getElementById('ppn-results');
 const ppnbmResults = document.getElementById('ppnbm-results');
 let bonusList = [];
+let overtimeList = [];
+const OVERTIME_DAY_TYPE_LABELS = {
+    [OvertimeDayType.WORKDAY]: 'Workday',
+    [OvertimeDayType.REST_DAY_SIX_DAY_WEEK]: 'Rest day / holiday (6-day week)',
+    [OvertimeDayType.SHORTEST_WORKDAY_HOLIDAY]: 'Holiday on shortest workday',
+    [OvertimeDayType.REST_DAY_FIVE_DAY_WEEK]: 'Rest day / holiday (5-day week)',
+};
+let benefitList = [];
+const BENEFIT_CATEGORY_LABELS = {
+    [BenefitCategory.FOOD]: 'Food & drinks',
+    [BenefitCategory.MEAL_VOUCHER]: 'Meal vouchers',
+    [BenefitCategory.HOLIDAY_GIFT]: 'Holiday gifts',
+    [BenefitCategory.WORK_EQUIPMENT]: 'Work equipment',
+    [BenefitCategory.HEALTHCARE]: 'Medical treatment',
+    [BenefitCategory.SPORTS]: 'Sports facilities',
+    [BenefitCategory.HOUSING_COMMUNAL]: 'Shared housing',
+    [BenefitCategory.HOUSING_INDIVIDUAL]: 'Individual housing',
+    [BenefitCategory.VEHICLE]: 'Vehicle',
+    [BenefitCategory.OTHER]: 'Other',
+};
+let wageList = [];
+let paymentList = [];
+let payrollEmployees = [];
+let payrollBatchRows = [];
+let payrollBatchSort = { key: 'id', ascending: true };
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 function updateFormFields() {
     const selectedType = taxTypeSelect.value;
-    [pph21Fields, pph22Fields, pph23Fields, pph42Fields, ppnFields, ppnbmFields].forEach(el => {
+    [pph21Fields, severanceFields, pph22Fields, pph23Fields, pph42Fields, ppnFields, ppnbmFields].forEach(el => {
         el.style.display = 'none';
     });
     switch (selectedType) {
@@ -305,6 +1727,9 @@ function updateFormFields() {
             pph21Fields.style.display = 'block';
             updateSchemeFields();
             break;
+        case TaxType.PPH21_SEVERANCE:
+            severanceFields.style.display = 'block';
+            break;
         case TaxType.PPH22:
             pph22Fields.style.display = 'block';
             break;
@@ -333,14 +1758,155 @@ function updateSchemeFields() {
             break;
         }
     }
+    const compareSchemes = document.getElementById('pph21CompareSchemes').checked;
     const terCategoryField = document.getElementById('ter-category-field');
-    if (selectedScheme === PPh21Scheme.TER) {
+    if (selectedScheme === PPh21Scheme.TER || compareSchemes) {
         terCategoryField.style.display = 'block';
+        updateTERCategoryField();
     }
     else {
         terCategoryField.style.display = 'none';
     }
 }
+function updateDirectionFields() {
+    const direction = document.getElementById('pph21Direction').value;
+    const solving = direction === PPh21Direction.NET_TO_GROSS;
+    document.getElementById('gross-monthly-field').style.display = solving ? 'none' : 'block';
+    document.getElementById('target-take-home-field').style.display = solving ? 'block' : 'none';
+}
+function populateMinimumWageRegions() {
+    const regionSelect = document.getElementById('pph21MinimumWageRegion');
+    const group = (label, type) => `<optgroup label="${label}">${MINIMUM_WAGES.filter(r => r.type === type).map(r => `<option value="${r.id}">${r.name}</option>`).join('')}</optgroup>`;
+    regionSelect.innerHTML = '<option value="" selected>Not specified</option>'
+        + group('Provinces (UMP)', 'province')
+        + group('Cities and Regencies (UMK)', 'city');
+}
+function updateMinimumWageWarning() {
+    const warning = document.getElementById('minimum-wage-warning');
+    const regionId = document.getElementById('pph21MinimumWageRegion').value;
+    const taxYear = parseInt(document.getElementById('pph21TaxYear').value);
+    const grossMonthly = parseFloat(document.getElementById('pph21GrossMonthly').value);
+    if (!regionId) {
+        warning.style.display = 'none';
+        warning.textContent = '';
+        return;
+    }
+    const region = minimumWageTable.getRegion(regionId);
+    const minimumWage = minimumWageTable.getMinimumWage(regionId, taxYear);
+    if (!minimumWage) {
+        warning.style.display = 'block';
+        warning.textContent = `No ${region.name} minimum wage bundled for ${taxYear} (data from `
+            + `${minimumWageTable.getFirstYear(regionId)}): the salary is not checked and BPJS has no wage floor`;
+        return;
+    }
+    if (isNaN(grossMonthly) || grossMonthly >= minimumWage.amount) {
+        warning.style.display = 'none';
+        warning.textContent = '';
+        return;
+    }
+    warning.style.display = 'block';
+    warning.textContent = `Below the ${region.name} minimum wage of ${formatCurrency(minimumWage.amount)}`
+        + (minimumWage.year !== taxYear ? ` (latest available: ${minimumWage.year})` : '');
+}
+function updateBPJSFields() {
+    const bpjsEnabled = document.getElementById('pph21BpjsEnabled').checked;
+    document.getElementById('bpjs-fields').style.display = bpjsEnabled ? 'block' : 'none';
+}
+function updateRecipientFields() {
+    const recipientType = document.getElementById('pph21RecipientType').value;
+    const containers = {
+        [PPh21RecipientType.EMPLOYEE]: 'pph21-employee-fields',
+        [PPh21RecipientType.DAILY_WORKER]: 'pph21-daily-fields',
+        [PPh21RecipientType.NON_EMPLOYEE]: 'pph21-nonemployee-fields',
+        [PPh21RecipientType.PAYROLL_BATCH]: 'pph21-batch-fields',
+    };
+    for (const [type, id] of Object.entries(containers)) {
+        document.getElementById(id).style.display = type === recipientType ? 'block' : 'none';
+    }
+}
+function populateScheduleGrid() {
+    const grid = document.getElementById('schedule-grid');
+    grid.innerHTML = MONTH_NAMES.map((name, index) => `
+        <div style="display: grid; grid-template-columns: 60px 1fr 1fr; gap: 8px; align-items: center; margin-bottom: 8px;">
+            <strong style="font-size: 14px;">${name}</strong>
+            <input type="number" id="scheduleSalary${index + 1}" placeholder="Salary" min="0">
+            <input type="number" id="scheduleAllowance${index + 1}" placeholder="Allowance" min="0">
+        </div>
+    `).join('');
+}
+function fillScheduleFromGross() {
+    const grossMonthly = document.getElementById('pph21GrossMonthly').value;
+    for (let month = 1; month <= 12; month++) {
+        document.getElementById(`scheduleSalary${month}`).value = grossMonthly;
+    }
+}
+function readMonthlySchedule() {
+    const schedule = [];
+    for (let month = 1; month <= 12; month++) {
+        const salary = parseFloat(document.getElementById(`scheduleSalary${month}`).value) || 0;
+        const allowance = parseFloat(document.getElementById(`scheduleAllowance${month}`).value) || 0;
+        schedule.push({ salary, allowance });
+    }
+    return schedule;
+}
+function updateScheduleFields() {
+    const useSchedule = document.getElementById('pph21UseSchedule').checked;
+    document.getElementById('schedule-fields').style.display = useSchedule ? 'block' : 'none';
+}
+function updatePriorEmployerFields() {
+    const hasPriorEmployer = document.getElementById('pph21HasPriorEmployer').checked;
+    document.getElementById('prior-employer-fields').style.display = hasPriorEmployer ? 'block' : 'none';
+}
+function populateTaxYears() {
+    const taxYearSelect = document.getElementById('pph21TaxYear');
+    const options = [];
+    for (let year = LATEST_TAX_YEAR; year >= MIN_TAX_YEAR; year--) {
+        options.push(`<option value="${year}"${year === LATEST_TAX_YEAR ? ' selected' : ''}>${year}</option>`);
+    }
+    taxYearSelect.innerHTML = options.join('');
+}
+function updateTaxYearFields() {
+    const taxYear = parseInt(document.getElementById('pph21TaxYear').value);
+    const terAvailable = pph21Calculator.isTERAvailable(taxYear);
+    const schemeRadios = Array.from(document.getElementsByName('pph21Scheme'));
+    for (const radio of schemeRadios) {
+        if (radio.value === PPh21Scheme.TER) {
+            radio.disabled = !terAvailable;
+            if (!terAvailable && radio.checked) {
+                radio.checked = false;
+                schemeRadios.find(r => r.value === PPh21Scheme.TRADITIONAL).checked = true;
+            }
+        }
+    }
+    const compareCheckbox = document.getElementById('pph21CompareSchemes');
+    compareCheckbox.disabled = !terAvailable;
+    if (!terAvailable) {
+        compareCheckbox.checked = false;
+    }
+    const methodSelect = document.getElementById('pph21NonEmployeeMethod');
+    const terDailyOption = Array.from(methodSelect.options).find(o => o.value === PPh21NonEmployeeMethod.TER_DAILY);
+    terDailyOption.disabled = !terAvailable;
+    if (!terAvailable && methodSelect.value === PPh21NonEmployeeMethod.TER_DAILY) {
+        methodSelect.value = PPh21NonEmployeeMethod.NON_CUMULATIVE;
+    }
+    const batchSchemeSelect = document.getElementById('pph21BatchScheme');
+    Array.from(batchSchemeSelect.options).find(o => o.value === PPh21Scheme.TER).disabled = !terAvailable;
+    if (!terAvailable && batchSchemeSelect.value === PPh21Scheme.TER) {
+        batchSchemeSelect.value = PPh21Scheme.TRADITIONAL;
+    }
+    updateSchemeFields();
+}
+function updateTERCategoryField() {
+    const ptkpStatus = document.getElementById('pph21PtkpStatus').value;
+    const overrideCheckbox = document.getElementById('pph21TerOverride');
+    const categorySelect = document.getElementById('pph21TerCategory');
+    const derivedCategory = pph21Calculator.getTERCategory(ptkpStatus);
+    document.getElementById('ter-category-derived').textContent = `Category ${derivedCategory}`;
+    categorySelect.disabled = !overrideCheckbox.checked;
+    if (!overrideCheckbox.checked) {
+        categorySelect.value = derivedCategory;
+    }
+}
 function addBonus() {
     const bonusNameInput = document.getElementById('bonusName');
     const bonusAmountInput = document.getElementById('bonusAmount');
@@ -358,6 +1924,38 @@ function addBonus() {
     bonusAmountInput.value = '';
     bonusMonthInput.value = '';
 }
+function addTHR() {
+    const joinDate = document.getElementById('thrJoinDate').value;
+    const payoutDate = document.getElementById('thrPayoutDate').value;
+    const basicWage = parseFloat(document.getElementById('thrBasicWage').value);
+    const fixedAllowances = parseFloat(document.getElementById('thrFixedAllowances').value) || 0;
+    const taxYear = parseInt(document.getElementById('pph21TaxYear').value);
+    if (isNaN(basicWage) || basicWage <= 0 || fixedAllowances < 0) {
+        showError('Please enter a valid basic wage and fixed allowances');
+        return;
+    }
+    try {
+        const thr = thrCalculator.calculate(joinDate, payoutDate, basicWage, fixedAllowances);
+        if (parseInt(payoutDate.slice(0, 4)) !== taxYear) {
+            showError(`THR payout date must fall in tax year ${taxYear}`);
+            return;
+        }
+        const name = thr.proRated ? `THR (${thr.serviceMonths}/12 months)` : 'THR';
+        bonusList.push({ name, amount: thr.amount, month: parseInt(payoutDate.slice(5, 7)) });
+        updateBonusList();
+        clearError();
+        document.getElementById('thr-info').textContent = thr.proRated
+            ? `${thr.serviceMonths} months of service: ${thr.serviceMonths}/12 × ${formatCurrency(thr.monthlyWage)} = ${formatCurrency(thr.amount)}`
+            : `${thr.serviceMonths} months of service: one month's wage, ${formatCurrency(thr.amount)}`;
+    }
+    catch (error) {
+        if (error instanceof TaxInputError) {
+            showError(error.message);
+            return;
+        }
+        throw error;
+    }
+}
 function removeBonus(index) {
     bonusList.splice(index, 1);
     updateBonusList();
@@ -383,6 +1981,259 @@ function updateBonusList() {
     `).join('');
 }
 window.removeBonus = removeBonus;
+function addOvertime() {
+    const monthInput = document.getElementById('overtimeMonth');
+    const dayTypeSelect = document.getElementById('overtimeDayType');
+    const hoursInput = document.getElementById('overtimeHours');
+    const daysInput = document.getElementById('overtimeDays');
+    const month = parseInt(monthInput.value);
+    const dayType = dayTypeSelect.value;
+    const hoursPerDay = parseFloat(hoursInput.value);
+    const days = parseInt(daysInput.value);
+    if (isNaN(month) || month < 1 || month > 12 || isNaN(hoursPerDay) || hoursPerDay <= 0 || hoursPerDay > 24
+        || isNaN(days) || days < 1 || days > 31) {
+        showError('Please enter valid overtime details');
+        return;
+    }
+    overtimeList.push({ month, dayType, hoursPerDay, days });
+    updateOvertimeList();
+    hoursInput.value = '';
+    daysInput.value = '1';
+}
+function removeOvertime(index) {
+    overtimeList.splice(index, 1);
+    updateOvertimeList();
+}
+function updateOvertimeList() {
+    const overtimeListDiv = document.getElementById('overtime-list');
+    if (overtimeList.length === 0) {
+        overtimeListDiv.innerHTML = '<p style="color: #999; font-size: 14px;">No overtime added yet</p>';
+        return;
+    }
+    overtimeListDiv.innerHTML = overtimeList.map((entry, index) => `
+        <div style="display: flex; justify-content: space-between; align-items: center; padding: 8px; background: white; border-radius: 4px; margin-bottom: 8px;">
+            <div>
+                <strong>${MONTH_NAMES[entry.month - 1]}: ${OVERTIME_DAY_TYPE_LABELS[entry.dayType]}</strong><br>
+                <small>${entry.hoursPerDay} hour(s) × ${entry.days} day(s)</small>
+            </div>
+            <button type="button" onclick="removeOvertime(${index})" style="padding: 4px 12px; background: #dc2626; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;">Remove</button>
+        </div>
+    `).join('');
+}
+function addBenefit() {
+    const nameInput = document.getElementById('benefitName');
+    const categorySelect = document.getElementById('benefitCategory');
+    const amountInput = document.getElementById('benefitAmount');
+    const monthInput = document.getElementById('benefitMonth');
+    const name = nameInput.value.trim();
+    const category = categorySelect.value;
+    const amount = parseFloat(amountInput.value);
+    const month = monthInput.value ? parseInt(monthInput.value) : undefined;
+    if (!name || isNaN(amount) || amount <= 0 || (month !== undefined && (isNaN(month) || month < 1 || month > 12))) {
+        showError('Please enter valid benefit details');
+        return;
+    }
+    benefitList.push({ name, category, amount, month });
+    updateBenefitList();
+    nameInput.value = '';
+    amountInput.value = '';
+    monthInput.value = '';
+}
+function removeBenefit(index) {
+    benefitList.splice(index, 1);
+    updateBenefitList();
+}
+function updateBenefitList() {
+    const benefitListDiv = document.getElementById('benefit-list');
+    if (benefitList.length === 0) {
+        benefitListDiv.innerHTML = '<p style="color: #999; font-size: 14px;">No benefits added yet</p>';
+        return;
+    }
+    benefitListDiv.innerHTML = '';
+    benefitList.forEach((benefit, index) => {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; padding: 8px; background: white; border-radius: 4px; margin-bottom: 8px;';
+        const details = document.createElement('div');
+        const name = document.createElement('strong');
+        name.textContent = benefit.name;
+        const amount = document.createElement('small');
+        amount.textContent = `${benefit.month !== undefined ? 'Month ' + benefit.month : 'Every month'}: ${formatCurrency(benefit.amount)}`;
+        details.append(name, ` (${BENEFIT_CATEGORY_LABELS[benefit.category]})`, document.createElement('br'), amount);
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.textContent = 'Remove';
+        remove.style.cssText = 'padding: 4px 12px; background: #dc2626; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;';
+        remove.addEventListener('click', () => removeBenefit(index));
+        row.append(details, remove);
+        benefitListDiv.appendChild(row);
+    });
+}
+function addWage() {
+    const dateInput = document.getElementById('wageDate');
+    const amountInput = document.getElementById('wageAmount');
+    const daysInput = document.getElementById('wageDays');
+    const date = dateInput.value;
+    const amount = parseFloat(amountInput.value);
+    const days = parseInt(daysInput.value);
+    if (!date || isNaN(amount) || amount <= 0 || isNaN(days) || days < 1 || days > 31) {
+        showError('Please enter valid wage details');
+        return;
+    }
+    wageList.push({ date, amount, days });
+    updateWageList();
+    amountInput.value = '';
+}
+function removeWage(index) {
+    wageList.splice(index, 1);
+    updateWageList();
+}
+function updateWageList() {
+    const wageListDiv = document.getElementById('wage-list');
+    const wageTotalDiv = document.getElementById('wage-total');
+    if (wageList.length === 0) {
+        wageListDiv.innerHTML = '<p style="color: #999; font-size: 14px;">No wage payments added yet</p>';
+        wageTotalDiv.textContent = formatCurrency(0);
+        return;
+    }
+    const total = wageList.reduce((sum, wage) => sum + wage.amount, 0);
+    wageTotalDiv.textContent = formatCurrency(total);
+    wageListDiv.innerHTML = wageList.map((wage, index) => `
+        <div style="display: flex; justify-content: space-between; align-items: center; padding: 8px; background: white; border-radius: 4px; margin-bottom: 8px;">
+            <div>
+                <strong>${wage.date}</strong><br>
+                <small>${wage.days} day(s): ${formatCurrency(wage.amount)}</small>
+            </div>
+            <button type="button" onclick="removeWage(${index})" style="padding: 4px 12px; background: #dc2626; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;">Remove</button>
+        </div>
+    `).join('');
+}
+function addPayment() {
+    const descriptionInput = document.getElementById('paymentDescription');
+    const amountInput = document.getElementById('paymentAmount');
+    const description = descriptionInput.value.trim();
+    const amount = parseFloat(amountInput.value);
+    if (!description || isNaN(amount) || amount <= 0) {
+        showError('Please enter valid payment details');
+        return;
+    }
+    paymentList.push({ description, amount });
+    updatePaymentList();
+    descriptionInput.value = '';
+    amountInput.value = '';
+}
+function removePayment(index) {
+    paymentList.splice(index, 1);
+    updatePaymentList();
+}
+function updatePaymentList() {
+    const paymentListDiv = document.getElementById('payment-list');
+    const paymentTotalDiv = document.getElementById('payment-total');
+    if (paymentList.length === 0) {
+        paymentListDiv.innerHTML = '<p style="color: #999; font-size: 14px;">No payments added yet</p>';
+        paymentTotalDiv.textContent = formatCurrency(0);
+        return;
+    }
+    const total = paymentList.reduce((sum, payment) => sum + payment.amount, 0);
+    paymentTotalDiv.textContent = formatCurrency(total);
+    paymentListDiv.innerHTML = '';
+    paymentList.forEach((payment, index) => {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; padding: 8px; background: white; border-radius: 4px; margin-bottom: 8px;';
+        const details = document.createElement('div');
+        const description = document.createElement('strong');
+        description.textContent = payment.description;
+        const amount = document.createElement('small');
+        amount.textContent = formatCurrency(payment.amount);
+        details.append(description, document.createElement('br'), amount);
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.textContent = 'Remove';
+        remove.style.cssText = 'padding: 4px 12px; background: #dc2626; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;';
+        remove.addEventListener('click', () => removePayment(index));
+        row.append(details, remove);
+        paymentListDiv.appendChild(row);
+    });
+}
+async function loadPayrollFile() {
+    const fileInput = document.getElementById('pph21BatchFile');
+    const info = document.getElementById('batch-file-info');
+    const file = fileInput.files && fileInput.files[0];
+    payrollEmployees = [];
+    info.textContent = '';
+    clearError();
+    if (!file) {
+        return;
+    }
+    try {
+        payrollEmployees = payrollBatchCalculator.parseCSV(await file.text());
+        info.textContent = `${payrollEmployees.length} employees loaded from ${file.name}`;
+    }
+    catch (error) {
+        if (error instanceof TaxInputError) {
+            showError(error.message);
+            return;
+        }
+        showError('The payroll file could not be read. Please try again.');
+        console.error('Payroll file error:', error);
+    }
+}
+function sortedPayrollBatchRows() {
+    const { key, ascending } = payrollBatchSort;
+    return [...payrollBatchRows].sort((a, b) => {
+        const left = a[key];
+        const right = b[key];
+        const order = typeof left === 'string' && typeof right === 'string'
+            ? left.localeCompare(right, undefined, { numeric: true })
+            : Number(left) - Number(right);
+        return ascending ? order : -order;
+    });
+}
+function sortPayrollBatch(key) {
+    payrollBatchSort = {
+        key,
+        ascending: payrollBatchSort.key === key ? !payrollBatchSort.ascending : true,
+    };
+    renderPayrollBatchTable();
+}
+function renderPayrollBatchTable() {
+    const cell = 'padding: 6px 8px; text-align: right; border-bottom: 1px solid #e5e7eb; white-space: nowrap;';
+    document.getElementById('batch-table-head').innerHTML = `<tr>${PAYROLL_BATCH_COLUMNS.map(column => `
+        <th onclick="sortPayrollBatch('${column.key}')"
+            style="padding: 6px 8px; text-align: ${column.format === 'text' ? 'left' : 'right'}; cursor: pointer; white-space: nowrap;">
+            ${column.label}${payrollBatchSort.key === column.key ? (payrollBatchSort.ascending ? ' ▲' : ' ▼') : ''}
+        </th>
+    `).join('')}</tr>`;
+    const body = document.getElementById('batch-table-body');
+    body.innerHTML = '';
+    for (const row of sortedPayrollBatchRows()) {
+        const tr = document.createElement('tr');
+        for (const column of PAYROLL_BATCH_COLUMNS) {
+            const value = row[column.key];
+            const td = document.createElement('td');
+            td.style.cssText = cell + (column.format === 'text' ? ' text-align: left;' : '');
+            if (typeof value === 'boolean') {
+                td.textContent = value ? 'Yes' : 'No';
+            }
+            else if (typeof value === 'string') {
+                td.textContent = value;
+            }
+            else {
+                td.textContent = column.format === 'percent' ? formatPercent(value) : formatCurrency(value);
+            }
+            tr.appendChild(td);
+        }
+        body.appendChild(tr);
+    }
+}
+function downloadPayrollBatchCSV() {
+    const csv = payrollBatchCalculator.toCSV(sortedPayrollBatchRows());
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'pph21-payroll-batch.csv';
+    link.click();
+    URL.revokeObjectURL(url);
+}
 function showError(message) {
     errorDiv.textContent = message;
     errorDiv.classList.add('show');
@@ -392,70 +2243,413 @@ function clearError() {
     errorDiv.textContent = '';
 }
 function displayPPH21Results(result) {
-    [pph21Results, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
+    [pph21Results, pph21DailyResults, pph21NonEmployeeResults, pph21BatchResults, severanceResults, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
         el.style.display = 'none';
     });
     pph21Results.style.display = 'block';
+    document.getElementById('result-tax-year').textContent = result.taxYear.toString();
     document.getElementById('result-gross-monthly').textContent = formatCurrency(result.grossMonthly);
-    document.getElementById('result-work-months').textContent = result.workMonths.toString();
-    document.getElementById('result-gross-salary').textContent = formatCurrency(result.grossMonthly * result.workMonths);
+    document.getElementById('result-work-months').textContent =
+        `${MONTH_NAMES[result.startMonth - 1]} - ${MONTH_NAMES[result.endMonth - 1]} (${result.workMonths} months)`;
+    document.getElementById('result-gross-salary').textContent = formatCurrency(result.grossFromSalary);
     document.getElementById('result-bonus-total').textContent = formatCurrency(result.bonusTotal);
+    const minimumWageRow = document.getElementById('result-minimum-wage-row');
+    if (result.minimumWage) {
+        minimumWageRow.style.display = 'flex';
+        document.getElementById('result-minimum-wage').textContent = result.minimumWage.amount !== undefined
+            ? `${formatCurrency(result.minimumWage.amount)} (${result.minimumWage.region} ${result.minimumWage.year})`
+                + (result.belowMinimumWage ? ' - salary below minimum' : '')
+            : `No data for ${result.minimumWage.region} ${result.minimumWage.year}: not checked, no BPJS wage floor`;
+    }
+    else {
+        minimumWageRow.style.display = 'none';
+    }
+    const taxAllowanceRow = document.getElementById('result-tax-allowance-row');
+    if (result.grossUp) {
+        taxAllowanceRow.style.display = 'flex';
+        document.getElementById('result-tax-allowance').textContent = formatCurrency(result.taxAllowanceAnnual || 0);
+    }
+    else {
+        taxAllowanceRow.style.display = 'none';
+    }
     document.getElementById('result-gross-annual').textContent = formatCurrency(result.grossAnnual);
+    const overtimeRow = document.getElementById('result-overtime-row');
+    const overtimeSection = document.getElementById('overtime-breakdown');
+    if (result.overtime) {
+        overtimeRow.style.display = 'flex';
+        overtimeSection.style.display = 'block';
+        document.getElementById('result-overtime').textContent = formatCurrency(result.overtimeAnnual || 0);
+        document.getElementById('overtime-month-list').innerHTML = result.overtime.map(o => `
+            <div style="padding: 8px; border-bottom: 1px solid #e5e7eb;">
+                <strong>${MONTH_NAMES[o.month - 1]}</strong><br>
+                <small>Hourly Wage: ${formatCurrency(o.hourlyWage)} | Hours: ${o.hours} (paid as ${o.paidHours}) | Pay: ${formatCurrency(o.pay)}</small>
+            </div>
+        `).join('');
+    }
+    else {
+        overtimeRow.style.display = 'none';
+        overtimeSection.style.display = 'none';
+    }
+    const bonusTaxSection = document.getElementById('bonus-tax-breakdown');
+    if (result.bonusTaxes) {
+        bonusTaxSection.style.display = 'block';
+        document.getElementById('bonus-tax-list').innerHTML = result.bonusTaxes.map(b => `
+            <div style="padding: 8px; border-bottom: 1px solid #e5e7eb;">
+                <strong>${b.name}</strong> (Month ${b.month})<br>
+                <small>Amount: ${formatCurrency(b.amount)} | Tax: ${formatCurrency(b.tax)} | Rate: ${formatPercent(b.amount > 0 ? b.tax / b.amount * 100 : 0)}</small>
+            </div>
+        `).join('');
+    }
+    else {
+        bonusTaxSection.style.display = 'none';
+    }
+    const benefitIncomeRow = document.getElementById('result-benefit-income-row');
+    const benefitSection = document.getElementById('benefit-breakdown');
+    if (result.benefits) {
+        benefitIncomeRow.style.display = 'flex';
+        benefitSection.style.display = 'block';
+        document.getElementById('result-benefit-income').textContent = formatCurrency(result.benefitTaxableAnnual || 0);
+        const benefitCategoryList = document.getElementById('benefit-category-list');
+        benefitCategoryList.innerHTML = '';
+        for (const b of result.benefits) {
+            const row = document.createElement('div');
+            row.style.cssText = 'padding: 8px; border-bottom: 1px solid #e5e7eb;';
+            const label = document.createElement('strong');
+            label.textContent = BENEFIT_CATEGORY_LABELS[b.category];
+            const amounts = document.createElement('small');
+            amounts.textContent = `Value: ${formatCurrency(b.value)} | Exempt: ${formatCurrency(b.exempt)} | Taxable: ${formatCurrency(b.taxable)}`;
+            row.append(label, document.createElement('br'), amounts);
+            benefitCategoryList.appendChild(row);
+        }
+        document.getElementById('result-benefit-value').textContent = formatCurrency(result.benefitValueAnnual || 0);
+        document.getElementById('result-benefit-exempt').textContent = formatCurrency(result.benefitExemptAnnual || 0);
+        document.getElementById('result-benefit-taxable').textContent = formatCurrency(result.benefitTaxableAnnual || 0);
+    }
+    else {
+        benefitIncomeRow.style.display = 'none';
+        benefitSection.style.display = 'none';
+    }
+    const bpjsIncomeRow = document.getElementById('result-bpjs-income-row');
+    const bpjsSection = document.getElementById('bpjs-breakdown');
+    if (result.bpjs) {
+        bpjsIncomeRow.style.display = 'flex';
+        bpjsSection.style.display = 'block';
+        document.getElementById('result-bpjs-income').textContent = formatCurrency(result.bpjsTaxableAnnual || 0);
+        document.getElementById('result-bpjs-jht').textContent =
+            `${formatCurrency(result.bpjs.jhtEmployee)} / ${formatCurrency(result.bpjs.jhtEmployer)}`;
+        document.getElementById('result-bpjs-jp').textContent =
+            `${formatCurrency(result.bpjs.jpEmployee)} / ${formatCurrency(result.bpjs.jpEmployer)}`;
+        document.getElementById('result-bpjs-jkk').textContent =
+            `${formatCurrency(result.bpjs.jkk)} (${formatPercent(result.bpjs.jkkRate * 100)})`;
+        document.getElementById('result-bpjs-jkm').textContent = formatCurrency(result.bpjs.jkm);
+        document.getElementById('result-bpjs-kesehatan').textContent =
+            `${formatCurrency(result.bpjs.kesehatanEmployee)} / ${formatCurrency(result.bpjs.kesehatanEmployer)}`;
+        document.getElementById('result-bpjs-taxable').textContent = formatCurrency(result.bpjs.employerTaxable);
+        document.getElementById('result-bpjs-deductible').textContent = formatCurrency(result.bpjs.employeeDeductible);
+    }
+    else {
+        bpjsIncomeRow.style.display = 'none';
+        bpjsSection.style.display = 'none';
+    }
+    document.getElementById('result-biaya-jabatan-uncapped').textContent = formatCurrency(result.biayaJabatanUncapped);
+    document.getElementById('result-biaya-jabatan-cap').textContent = formatCurrency(result.biayaJabatanCap);
     document.getElementById('result-biaya-jabatan').textContent = formatCurrency(result.biayaJabatan);
     document.getElementById('result-pension').textContent = formatCurrency(result.pensionAnnual);
+    document.getElementById('result-pension-cap').textContent = formatCurrency(result.pensionCap);
+    document.getElementById('result-pension-deduction').textContent = formatCurrency(result.pensionDeduction);
     document.getElementById('result-zakat').textContent = formatCurrency(result.zakatDonation);
     document.getElementById('result-netto').textContent = formatCurrency(result.nettoAnnual);
+    const priorRows = document.querySelectorAll('.result-prior-employer');
+    priorRows.forEach(row => {
+        row.style.display = result.priorNetto !== undefined ? 'flex' : 'none';
+    });
+    if (result.priorNetto !== undefined) {
+        document.getElementById('result-prior-gross').textContent = formatCurrency(result.priorGross || 0);
+        document.getElementById('result-prior-netto').textContent = formatCurrency(result.priorNetto);
+        document.getElementById('result-combined-netto').textContent = formatCurrency(result.combinedNetto || 0);
+        document.getElementById('result-prior-tax-paid').textContent = formatCurrency(result.priorTaxPaid || 0);
+        document.getElementById('result-employer-tax').textContent = formatCurrency(result.employerTax);
+    }
     document.getElementById('result-ptkp').textContent = formatCurrency(result.ptkp);
     document.getElementById('result-pkp').textContent = formatCurrency(result.pkp);
+    document.getElementById('result-npwp').textContent = result.hasNpwp ? 'Yes' : 'No';
+    document.getElementById('result-annual-tax-base').textContent = formatCurrency(result.annualTaxBase);
+    document.getElementById('result-npwp-surcharge').textContent = formatCurrency(result.npwpSurcharge);
     document.getElementById('result-annual-tax').textContent = formatCurrency(result.annualTax);
     document.getElementById('result-monthly-tax').textContent = formatCurrency(result.monthlyTax);
     document.getElementById('result-tax-rate').textContent = formatPercent(result.effectiveTaxRate);
+    const targetRow = document.getElementById('result-target-take-home-row');
+    if (result.targetTakeHomeMonthly !== undefined) {
+        targetRow.style.display = 'flex';
+        document.getElementById('result-target-take-home').textContent = formatCurrency(result.targetTakeHomeMonthly);
+    }
+    else {
+        targetRow.style.display = 'none';
+    }
     document.getElementById('result-take-home-annual').textContent = formatCurrency(result.takeHomeAnnual);
     document.getElementById('result-take-home-monthly').textContent = formatCurrency(result.takeHomeMonthly);
-    const terBreakdownDiv = document.getElementById('ter-breakdown');
-    if (result.scheme === PPh21Scheme.TER && result.monthlyBreakdown) {
-        terBreakdownDiv.style.display = 'block';
-        const terListDiv = document.getElementById('ter-month-list');
-        terListDiv.innerHTML = result.monthlyBreakdown.map(m => `
+    const cell = 'padding: 6px 8px; text-align: right; border-bottom: 1px solid #e5e7eb;';
+    document.getElementById('employer-cost-table-body').innerHTML = result.employerCostMonthly.map(m => `
+        <tr>
+            <td style="${cell} text-align: left;">${MONTH_NAMES[m.month - 1]}</td>
+            <td style="${cell}">${formatCurrency(m.salary)}</td>
+            <td style="${cell}">${formatCurrency(m.overtime)}</td>
+            <td style="${cell}">${formatCurrency(m.bonuses)}</td>
+            <td style="${cell}">${formatCurrency(m.benefits)}</td>
+            <td style="${cell}">${formatCurrency(m.bpjsEmployer)}</td>
+            <td style="${cell}">${formatCurrency(m.taxAllowance)}</td>
+            <td style="${cell} font-weight: 700;">${formatCurrency(m.total)}</td>
+        </tr>
+    `).join('');
+    const employerCost = result.employerCostAnnual;
+    document.getElementById('result-employer-salary').textContent = formatCurrency(employerCost.salary + employerCost.overtime);
+    document.getElementById('result-employer-bonuses').textContent = formatCurrency(employerCost.bonuses);
+    document.getElementById('result-employer-benefits').textContent = formatCurrency(employerCost.benefits);
+    document.getElementById('result-employer-bpjs').textContent = formatCurrency(employerCost.bpjsEmployer);
+    document.getElementById('result-employer-tax-allowance').textContent = formatCurrency(employerCost.taxAllowance);
+    document.getElementById('result-employer-total').textContent = formatCurrency(employerCost.total);
+    document.getElementById('result-employer-monthly').textContent =
+        formatCurrency(employerCost.total / result.employerCostMonthly.length);
+    const monthlyBreakdownDiv = document.getElementById('monthly-breakdown');
+    if (result.monthlyBreakdown) {
+        const isTER = result.scheme === PPh21Scheme.TER;
+        monthlyBreakdownDiv.style.display = 'block';
+        document.getElementById('monthly-breakdown-title').textContent =
+            isTER ? '📅 TER Monthly Withholding' : '📅 Monthly Withholding (Annualized, Pasal 17)';
+        const terCategoryRow = document.getElementById('result-ter-category-row');
+        terCategoryRow.style.display = isTER ? 'flex' : 'none';
+        document.getElementById('result-ter-category').textContent =
+            `Category ${result.terCategory}${result.terCategoryOverridden ? ' (override)' : ''}`;
+        const monthBasis = (m) => {
+            if (m.isFinalMonth) {
+                return 'Annual Tax less Earlier Withholding'
+                    + (m.irregularTax !== undefined ? ' | Of Which Irregular: ' + formatCurrency(m.irregularTax) : '');
+            }
+            if (m.terRate !== undefined) {
+                return 'TER Rate: ' + formatPercent(m.terRate * 100);
+            }
+            return 'Regular: ' + formatCurrency(m.regularTax || 0)
+                + (m.irregularTax !== undefined ? ' | Irregular: ' + formatCurrency(m.irregularTax) : '');
+        };
+        const monthListDiv = document.getElementById('month-list');
+        monthListDiv.innerHTML = result.monthlyBreakdown.map(m => `
             <div style="padding: 8px; background: white; border-radius: 4px; margin-bottom: 8px;">
-                <strong>Month ${m.month}${m.hasBonus ? ' (' + m.bonusNames + ')' : ''}</strong><br>
+                <strong>Month ${m.month}${m.hasBonus ? ' (' + m.bonusNames + ')' : ''}${m.isFinalMonth ? ' - Annual Adjustment' : ''}</strong><br>
                 <small>
-                    Income: ${formatCurrency(m.income)} | 
-                    TER Rate: ${formatPercent(m.terRate * 100)} | 
-                    Tax: ${formatCurrency(m.tax)}
+                    Income: ${formatCurrency(m.income)}${m.overtime !== undefined ? ' (incl. overtime ' + formatCurrency(m.overtime) + ')' : ''} | 
+                    ${monthBasis(m)} | 
+                    Tax: ${formatCurrency(m.tax)}${m.surcharge !== undefined ? ' (incl. surcharge ' + formatCurrency(m.surcharge) + ')' : ''}${m.taxAllowance !== undefined ? ' | Tax Allowance: ' + formatCurrency(m.taxAllowance) : ''}${m.refund !== undefined ? ' | Refund Due: ' + formatCurrency(m.refund) : ''}
                 </small>
             </div>
         `).join('');
-        document.getElementById('result-ter-paid').textContent = formatCurrency(result.terPaid || 0);
+        document.getElementById('result-withheld-before-final').textContent = formatCurrency(result.withheldBeforeFinalMonth || 0);
         document.getElementById('result-month12-adjustment').textContent = formatCurrency(result.month12Adjustment || 0);
+        const refundRow = document.getElementById('result-refund-row');
+        if (result.overpaymentRefund) {
+            refundRow.style.display = 'flex';
+            document.getElementById('result-refund-label').textContent = result.grossUp
+                ? 'Overpaid Tax Returned to Employer (Final Month Allowance Reduced)'
+                : 'Refund Due to Employee (Overpaid)';
+            document.getElementById('result-refund').textContent = formatCurrency(result.overpaymentRefund);
+        }
+        else {
+            refundRow.style.display = 'none';
+        }
+        const month12AllowanceRow = document.getElementById('result-month12-allowance-row');
+        if (result.grossUp) {
+            month12AllowanceRow.style.display = 'flex';
+            document.getElementById('result-month12-allowance').textContent = formatCurrency(result.month12TaxAllowance || 0);
+        }
+        else {
+            month12AllowanceRow.style.display = 'none';
+        }
     }
     else {
-        terBreakdownDiv.style.display = 'none';
+        monthlyBreakdownDiv.style.display = 'none';
+    }
+    resultsDiv.classList.add('show');
+}
+function displaySchemeComparison(comparison) {
+    const comparisonDiv = document.getElementById('scheme-comparison');
+    if (!comparison) {
+        comparisonDiv.style.display = 'none';
+        return;
+    }
+    comparisonDiv.style.display = 'block';
+    const cell = 'padding: 6px 8px; text-align: right; border-bottom: 1px solid #e5e7eb;';
+    const signed = (value) => (value > 0 ? '+' : '') + formatCurrency(value);
+    document.getElementById('comparison-table-body').innerHTML = comparison.months.map(m => `
+        <tr>
+            <td style="${cell} text-align: left;">${MONTH_NAMES[m.month - 1]}</td>
+            <td style="${cell}">${formatCurrency(m.traditionalTax)}</td>
+            <td style="${cell}">${formatCurrency(m.terTax)}</td>
+            <td style="${cell}">${signed(m.difference)}</td>
+            <td style="${cell}">${signed(m.cumulativeDifference)}</td>
+        </tr>
+    `).join('');
+    document.getElementById('comparison-traditional-total').textContent = formatCurrency(comparison.traditionalTotal);
+    document.getElementById('comparison-ter-total').textContent = formatCurrency(comparison.terTotal);
+    document.getElementById('comparison-annual-tax').textContent = formatCurrency(comparison.ter.employerTax);
+}
+function displayPPH21DailyWorkerResults(result) {
+    [pph21Results, pph21DailyResults, pph21NonEmployeeResults, pph21BatchResults, severanceResults, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
+        el.style.display = 'none';
+    });
+    pph21DailyResults.style.display = 'block';
+    document.getElementById('result-daily-tax-year').textContent = result.taxYear.toString();
+    document.getElementById('result-daily-npwp').textContent = result.hasNpwp ? 'Yes' : 'No';
+    document.getElementById('daily-wage-list').innerHTML = result.wages.map(w => `
+        <div style="padding: 8px; border-bottom: 1px solid #e5e7eb;">
+            <strong>${w.date}</strong> (${w.days} day${w.days > 1 ? 's' : ''})<br>
+            <small>
+                Gross: ${formatCurrency(w.gross)} |
+                Daily Average: ${formatCurrency(w.dailyAverage)} |
+                ${w.terRate !== undefined ? 'TER: ' + formatPercent(w.terRate * 100) : 'Pasal 17 on 50%: ' + formatCurrency(w.dpp)} |
+                Tax: ${formatCurrency(w.tax)}${w.surcharge > 0 ? ' (incl. surcharge ' + formatCurrency(w.surcharge) + ')' : ''}
+            </small>
+        </div>
+    `).join('');
+    document.getElementById('daily-month-list').innerHTML = result.monthlySummary.map(m => `
+        <div style="padding: 8px; border-bottom: 1px solid #e5e7eb;">
+            <strong>${MONTH_NAMES[m.month - 1]}</strong><br>
+            <small>
+                Days: ${m.daysWorked} |
+                Gross: ${formatCurrency(m.gross)} |
+                Tax: ${formatCurrency(m.tax)} |
+                Net: ${formatCurrency(m.netPaid)}
+            </small>
+        </div>
+    `).join('');
+    document.getElementById('result-daily-days').textContent = result.totalDays.toString();
+    document.getElementById('result-daily-gross').textContent = formatCurrency(result.totalGross);
+    document.getElementById('result-daily-base-tax').textContent = formatCurrency(result.totalBaseTax);
+    document.getElementById('result-daily-surcharge').textContent = formatCurrency(result.totalSurcharge);
+    document.getElementById('result-daily-tax').textContent = formatCurrency(result.totalTax);
+    document.getElementById('result-daily-tax-rate').textContent = formatPercent(result.effectiveTaxRate);
+    document.getElementById('result-daily-net').textContent = formatCurrency(result.netPaid);
+    resultsDiv.classList.add('show');
+}
+function displayPPH21NonEmployeeResults(result) {
+    [pph21Results, pph21DailyResults, pph21NonEmployeeResults, pph21BatchResults, severanceResults, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
+        el.style.display = 'none';
+    });
+    pph21NonEmployeeResults.style.display = 'block';
+    const methodLabels = {
+        [PPh21NonEmployeeMethod.NON_CUMULATIVE]: 'Non-cumulative (50% × Pasal 17)',
+        [PPh21NonEmployeeMethod.CUMULATIVE]: 'Cumulative (50% × Pasal 17 on gross to date)',
+        [PPh21NonEmployeeMethod.TER_DAILY]: 'TER daily rate',
+    };
+    document.getElementById('result-ne-tax-year').textContent = result.taxYear.toString();
+    document.getElementById('result-ne-method').textContent = methodLabels[result.method];
+    document.getElementById('result-ne-npwp').textContent = result.hasNpwp ? 'Yes' : 'No';
+    const paymentBreakdown = document.getElementById('ne-payment-list');
+    paymentBreakdown.innerHTML = '';
+    for (const p of result.payments) {
+        const row = document.createElement('div');
+        row.style.cssText = 'padding: 8px; border-bottom: 1px solid #e5e7eb;';
+        const description = document.createElement('strong');
+        description.textContent = p.description;
+        const amounts = document.createElement('small');
+        amounts.textContent = `Gross: ${formatCurrency(p.gross)} | `
+            + (p.terRate !== undefined ? 'TER: ' + formatPercent(p.terRate * 100) : 'DPP: ' + formatCurrency(p.dpp))
+            + (p.cumulativeDpp !== undefined ? ' | Cumulative DPP: ' + formatCurrency(p.cumulativeDpp) : '')
+            + ` | Tax: ${formatCurrency(p.tax)}`
+            + (p.surcharge > 0 ? ' (incl. surcharge ' + formatCurrency(p.surcharge) + ')' : '');
+        row.append(description, document.createElement('br'), amounts);
+        paymentBreakdown.appendChild(row);
     }
+    document.getElementById('result-ne-gross').textContent = formatCurrency(result.totalGross);
+    document.getElementById('result-ne-dpp').textContent = formatCurrency(result.totalDpp);
+    document.getElementById('result-ne-base-tax').textContent = formatCurrency(result.totalBaseTax);
+    document.getElementById('result-ne-surcharge').textContent = formatCurrency(result.totalSurcharge);
+    document.getElementById('result-ne-tax').textContent = formatCurrency(result.totalTax);
+    document.getElementById('result-ne-tax-rate').textContent = formatPercent(result.effectiveTaxRate);
+    document.getElementById('result-ne-net').textContent = formatCurrency(result.netPaid);
+    resultsDiv.classList.add('show');
+}
+function displayPayrollBatchResults(taxYear, scheme) {
+    [pph21Results, pph21DailyResults, pph21NonEmployeeResults, pph21BatchResults, severanceResults, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
+        el.style.display = 'none';
+    });
+    pph21BatchResults.style.display = 'block';
+    const total = (key) => payrollBatchRows.reduce((sum, row) => sum.plus(row[key]), new Decimal(0)).toNumber();
+    document.getElementById('result-batch-tax-year').textContent = taxYear.toString();
+    document.getElementById('result-batch-scheme').textContent =
+        scheme === PPh21Scheme.TER ? 'TER (Tarif Efektif Rata-rata)' : 'Traditional (Pasal 17)';
+    document.getElementById('result-batch-count').textContent = payrollBatchRows.length.toString();
+    document.getElementById('result-batch-gross').textContent = formatCurrency(total('grossAnnual'));
+    document.getElementById('result-batch-tax').textContent = formatCurrency(total('annualTax'));
+    document.getElementById('result-batch-take-home').textContent = formatCurrency(total('takeHomeAnnual'));
+    document.getElementById('result-batch-employer-cost').textContent = formatCurrency(total('employerCostAnnual'));
+    payrollBatchSort = { key: 'id', ascending: true };
+    renderPayrollBatchTable();
+    resultsDiv.classList.add('show');
+}
+function displaySeveranceResults(result) {
+    [pph21Results, pph21DailyResults, pph21NonEmployeeResults, pph21BatchResults, severanceResults, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
+        el.style.display = 'none';
+    });
+    severanceResults.style.display = 'block';
+    document.getElementById('result-severance-type').textContent =
+        result.paymentType === SeverancePaymentType.SEVERANCE ? 'Severance (Pesangon)' : 'Pension / JHT Lump Sum';
+    document.getElementById('result-severance-gross').textContent = formatCurrency(result.grossAmount);
+    const installmentRows = document.querySelectorAll('.result-severance-installment');
+    installmentRows.forEach(row => {
+        row.style.display = result.priorInstallments > 0 ? 'flex' : 'none';
+    });
+    document.getElementById('result-severance-prior').textContent = formatCurrency(result.priorInstallments);
+    document.getElementById('result-severance-cumulative').textContent = formatCurrency(result.cumulativeAmount);
+    document.getElementById('result-severance-cumulative-tax').textContent = formatCurrency(result.cumulativeTax);
+    document.getElementById('result-severance-prior-tax').textContent = formatCurrency(result.priorTax);
+    let previousLimit = 0;
+    document.getElementById('severance-tier-list').innerHTML = result.tiers.map(tier => {
+        const label = tier.limit === Infinity
+            ? `Above ${formatCurrency(previousLimit)}`
+            : `${formatCurrency(previousLimit)} – ${formatCurrency(tier.limit)}`;
+        previousLimit = tier.limit;
+        return `
+        <div style="padding: 8px; border-bottom: 1px solid #e5e7eb;">
+            <strong>${label}</strong> (${formatPercent(tier.rate * 100)})<br>
+            <small>Taxable: ${formatCurrency(tier.taxable)} | Tax: ${formatCurrency(tier.tax)}</small>
+        </div>
+    `;
+    }).join('');
+    document.getElementById('result-severance-npwp').textContent = result.hasNpwp ? 'Yes' : 'No';
+    document.getElementById('result-severance-base-tax').textContent = formatCurrency(result.baseTax);
+    document.getElementById('result-severance-surcharge').textContent = formatCurrency(result.surcharge);
+    document.getElementById('result-severance-tax').textContent = formatCurrency(result.tax);
+    document.getElementById('result-severance-tax-rate').textContent = formatPercent(result.effectiveTaxRate);
+    document.getElementById('result-severance-net').textContent = formatCurrency(result.netPaid);
     resultsDiv.classList.add('show');
 }
 function displayPPH22Results(result) {
-    [pph21Results, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
+    [pph21Results, pph21DailyResults, pph21NonEmployeeResults, pph21BatchResults, severanceResults, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
         el.style.display = 'none';
     });
     pph22Results.style.display = 'block';
     document.getElementById('result-pph22-dpp').textContent = formatCurrency(result.dpp);
     document.getElementById('result-pph22-rate').textContent = formatPercent(result.rate);
+    document.getElementById('result-pph22-npwp').textContent = result.hasNpwp ? 'Yes' : 'No';
+    document.getElementById('result-pph22-base-tax').textContent = formatCurrency(result.baseTax);
+    document.getElementById('result-pph22-surcharge').textContent = formatCurrency(result.surcharge);
     document.getElementById('result-pph22-tax').textContent = formatCurrency(result.tax);
     resultsDiv.classList.add('show');
 }
 function displayPPH23Results(result) {
-    [pph21Results, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
+    [pph21Results, pph21DailyResults, pph21NonEmployeeResults, pph21BatchResults, severanceResults, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
         el.style.display = 'none';
     });
     pph23Results.style.display = 'block';
     document.getElementById('result-pph23-gross').textContent = formatCurrency(result.grossIncome);
     document.getElementById('result-pph23-rate').textContent = formatPercent(result.rate);
+    document.getElementById('result-pph23-npwp').textContent = result.hasNpwp ? 'Yes' : 'No';
+    document.getElementById('result-pph23-base-tax').textContent = formatCurrency(result.baseTax);
+    document.getElementById('result-pph23-surcharge').textContent = formatCurrency(result.surcharge);
     document.getElementById('result-pph23-tax').textContent = formatCurrency(result.tax);
     resultsDiv.classList.add('show');
 }
 function displayPPH42Results(result) {
-    [pph21Results, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
+    [pph21Results, pph21DailyResults, pph21NonEmployeeResults, pph21BatchResults, severanceResults, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
         el.style.display = 'none';
     });
     pph42Results.style.display = 'block';
@@ -465,7 +2659,7 @@ function displayPPH42Results(result) {
     resultsDiv.classList.add('show');
 }
 function displayPPNResults(result) {
-    [pph21Results, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
+    [pph21Results, pph21DailyResults, pph21NonEmployeeResults, pph21BatchResults, severanceResults, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
         el.style.display = 'none';
     });
     ppnResults.style.display = 'block';
@@ -477,7 +2671,7 @@ function displayPPNResults(result) {
     resultsDiv.classList.add('show');
 }
 function displayPPNBMResults(result) {
-    [pph21Results, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
+    [pph21Results, pph21DailyResults, pph21NonEmployeeResults, pph21BatchResults, severanceResults, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
         el.style.display = 'none';
     });
     ppnbmResults.style.display = 'block';
@@ -496,11 +2690,53 @@ form.addEventListener('submit', (e) => {
     try {
         switch (selectedType) {
             case TaxType.PPH21: {
+                const recipientType = document.getElementById('pph21RecipientType').value;
+                if (recipientType === PPh21RecipientType.DAILY_WORKER) {
+                    const taxYear = parseInt(document.getElementById('pph21TaxYear').value);
+                    const hasNpwp = document.getElementById('pph21DailyHasNpwp').checked;
+                    const result = pph21DailyWorkerCalculator.calculate(wageList, taxYear, hasNpwp);
+                    displayPPH21DailyWorkerResults(result);
+                    break;
+                }
+                if (recipientType === PPh21RecipientType.PAYROLL_BATCH) {
+                    if (payrollEmployees.length === 0) {
+                        showError('Please choose a payroll CSV file');
+                        return;
+                    }
+                    const taxYear = parseInt(document.getElementById('pph21TaxYear').value);
+                    const scheme = document.getElementById('pph21BatchScheme').value;
+                    payrollBatchRows = payrollBatchCalculator.calculate(payrollEmployees, taxYear, scheme);
+                    displayPayrollBatchResults(taxYear, scheme);
+                    break;
+                }
+                if (recipientType === PPh21RecipientType.NON_EMPLOYEE) {
+                    const method = document.getElementById('pph21NonEmployeeMethod').value;
+                    const taxYear = parseInt(document.getElementById('pph21TaxYear').value);
+                    const hasNpwp = document.getElementById('pph21NonEmployeeHasNpwp').checked;
+                    const result = pph21NonEmployeeCalculator.calculate(paymentList, method, taxYear, hasNpwp);
+                    displayPPH21NonEmployeeResults(result);
+                    break;
+                }
+                const direction = document.getElementById('pph21Direction').value;
                 const grossMonthly = parseFloat(document.getElementById('pph21GrossMonthly').value);
+                const targetTakeHome = parseFloat(document.getElementById('pph21TargetTakeHome').value);
                 const ptkpStatus = document.getElementById('pph21PtkpStatus').value;
-                const workMonths = parseInt(document.getElementById('pph21WorkMonths').value) || 12;
+                const startMonth = parseInt(document.getElementById('pph21StartMonth').value);
+                const endMonth = parseInt(document.getElementById('pph21EndMonth').value);
                 const pensionMonthly = parseFloat(document.getElementById('pph21Pension').value) || 0;
                 const zakatAnnual = parseFloat(document.getElementById('pph21Zakat').value) || 0;
+                const taxYear = parseInt(document.getElementById('pph21TaxYear').value);
+                const grossUp = document.getElementById('pph21GrossUp').checked;
+                const bpjsEnabled = document.getElementById('pph21BpjsEnabled').checked;
+                const jkkRiskClass = document.getElementById('pph21JkkRiskClass').value;
+                const minimumWageRegion = document.getElementById('pph21MinimumWageRegion').value;
+                const useSchedule = document.getElementById('pph21UseSchedule').checked;
+                const hasPriorEmployer = document.getElementById('pph21HasPriorEmployer').checked;
+                const hasNpwp = document.getElementById('pph21HasNpwp').checked;
+                const compareSchemes = document.getElementById('pph21CompareSchemes').checked;
+                const priorGross = parseFloat(document.getElementById('pph21PriorGross').value) || 0;
+                const priorNetto = parseFloat(document.getElementById('pph21PriorNetto').value) || 0;
+                const priorTaxPaid = parseFloat(document.getElementById('pph21PriorTaxPaid').value) || 0;
                 const schemeRadios = Array.from(document.getElementsByName('pph21Scheme'));
                 let scheme = PPh21Scheme.TRADITIONAL;
                 for (const radio of schemeRadios) {
@@ -509,13 +2745,79 @@ form.addEventListener('submit', (e) => {
                         break;
                     }
                 }
-                const terCategory = document.getElementById('pph21TerCategory').value;
-                if (isNaN(grossMonthly) || grossMonthly <= 0) {
+                const terOverride = document.getElementById('pph21TerOverride').checked;
+                const terCategory = terOverride
+                    ? document.getElementById('pph21TerCategory').value
+                    : undefined;
+                const input = {
+                    ptkpStatus,
+                    startMonth,
+                    endMonth,
+                    scheme,
+                    terCategoryOverride: terCategory,
+                    pensionMonthly,
+                    zakatAnnual,
+                    bonuses: bonusList,
+                    benefits: benefitList,
+                    overtime: overtimeList,
+                    taxYear,
+                    grossUp,
+                    bpjs: bpjsEnabled ? { jkkRiskClass } : undefined,
+                    minimumWageRegion: minimumWageRegion || undefined,
+                    monthlySchedule: useSchedule ? readMonthlySchedule() : undefined,
+                    priorEmployment: hasPriorEmployer
+                        ? { gross: priorGross, netto: priorNetto, taxPaid: priorTaxPaid }
+                        : undefined,
+                    hasNpwp,
+                };
+                if (hasPriorEmployer && (priorNetto > priorGross || priorTaxPaid < 0)) {
+                    showError('Prior employer netto cannot exceed their gross, and tax paid cannot be negative');
+                    return;
+                }
+                if (direction === PPh21Direction.NET_TO_GROSS) {
+                    if (!Number.isFinite(targetTakeHome) || targetTakeHome <= 0) {
+                        showError('Please enter a valid target monthly take-home');
+                        return;
+                    }
+                    const solved = pph21Calculator.solveGrossMonthly(targetTakeHome, input);
+                    displayPPH21Results(solved);
+                    displaySchemeComparison(compareSchemes
+                        ? pph21Calculator.compareSchemes({ ...input, grossMonthly: solved.grossMonthly })
+                        : undefined);
+                    break;
+                }
+                if (useSchedule) {
+                    if (!input.monthlySchedule.some(m => m.salary + (m.allowance || 0) > 0)) {
+                        showError('Please enter the salary for at least one month of the schedule');
+                        return;
+                    }
+                }
+                else if (!Number.isFinite(grossMonthly) || grossMonthly <= 0) {
                     showError('Please enter a valid gross monthly income');
                     return;
                 }
-                const result = pph21Calculator.calculate(grossMonthly, ptkpStatus, workMonths, scheme, terCategory, pensionMonthly, zakatAnnual, bonusList);
+                const result = pph21Calculator.calculate({ ...input, grossMonthly: useSchedule ? 0 : grossMonthly });
                 displayPPH21Results(result);
+                displaySchemeComparison(compareSchemes
+                    ? pph21Calculator.compareSchemes({ ...input, grossMonthly: useSchedule ? 0 : grossMonthly })
+                    : undefined);
+                break;
+            }
+            case TaxType.PPH21_SEVERANCE: {
+                const paymentType = document.getElementById('severanceType').value;
+                const grossAmount = parseFloat(document.getElementById('severanceAmount').value);
+                const priorInstallments = parseFloat(document.getElementById('severancePriorPaid').value) || 0;
+                if (isNaN(grossAmount) || grossAmount <= 0) {
+                    showError('Please enter a valid payment amount');
+                    return;
+                }
+                if (priorInstallments < 0) {
+                    showError('Earlier installments cannot be negative');
+                    return;
+                }
+                const hasNpwp = document.getElementById('severanceHasNpwp').checked;
+                const result = pph21SeveranceCalculator.calculate(paymentType, grossAmount, priorInstallments, hasNpwp);
+                displaySeveranceResults(result);
                 break;
             }
             case TaxType.PPH22: {
@@ -529,7 +2831,8 @@ form.addEventListener('submit', (e) => {
                     showError('Please enter a valid rate');
                     return;
                 }
-                const result = pph22Calculator.calculate(dpp, rate);
+                const hasNpwp = document.getElementById('pph22HasNpwp').checked;
+                const result = pph22Calculator.calculate(dpp, rate, hasNpwp);
                 displayPPH22Results(result);
                 break;
             }
@@ -544,7 +2847,8 @@ form.addEventListener('submit', (e) => {
                     showError('Please enter a valid rate');
                     return;
                 }
-                const result = pph23Calculator.calculate(grossIncome, rate);
+                const hasNpwp = document.getElementById('pph23HasNpwp').checked;
+                const result = pph23Calculator.calculate(grossIncome, rate, hasNpwp);
                 displayPPH23Results(result);
                 break;
             }
@@ -602,6 +2906,10 @@ form.addEventListener('submit', (e) => {
         }
     }
     catch (error) {
+        if (error instanceof TaxInputError) {
+            showError(error.message);
+            return;
+        }
         showError('An error occurred during calculation. Please try again.');
         console.error('Calculation error:', error);
     }
@@ -611,13 +2919,65 @@ form.addEventListener('reset', () => {
     resultsDiv.classList.remove('show');
     bonusList = [];
     updateBonusList();
+    document.getElementById('thr-info').textContent = '';
+    benefitList = [];
+    updateBenefitList();
+    overtimeList = [];
+    updateOvertimeList();
+    wageList = [];
+    updateWageList();
+    paymentList = [];
+    updatePaymentList();
+    payrollEmployees = [];
+    payrollBatchRows = [];
+    document.getElementById('batch-file-info').textContent = '';
+    setTimeout(() => {
+        updateRecipientFields();
+        updateDirectionFields();
+        updateScheduleFields();
+        updateBPJSFields();
+        updatePriorEmployerFields();
+        updateTaxYearFields();
+        updateMinimumWageWarning();
+    });
 });
 taxTypeSelect.addEventListener('change', updateFormFields);
 const schemeRadios = document.getElementsByName('pph21Scheme');
 schemeRadios.forEach(radio => {
     radio.addEventListener('change', updateSchemeFields);
 });
+document.getElementById('pph21RecipientType').addEventListener('change', updateRecipientFields);
+document.getElementById('pph21CompareSchemes').addEventListener('change', updateSchemeFields);
+document.getElementById('pph21Direction').addEventListener('change', updateDirectionFields);
+document.getElementById('pph21UseSchedule').addEventListener('change', updateScheduleFields);
+document.getElementById('pph21HasPriorEmployer').addEventListener('change', updatePriorEmployerFields);
+document.getElementById('pph21BatchFile').addEventListener('change', loadPayrollFile);
+document.getElementById('pph21BpjsEnabled').addEventListener('change', updateBPJSFields);
+document.getElementById('pph21TaxYear').addEventListener('change', updateTaxYearFields);
+document.getElementById('pph21TaxYear').addEventListener('change', updateMinimumWageWarning);
+document.getElementById('pph21GrossMonthly').addEventListener('input', updateMinimumWageWarning);
+document.getElementById('pph21MinimumWageRegion').addEventListener('change', updateMinimumWageWarning);
+document.getElementById('pph21PtkpStatus').addEventListener('change', updateTERCategoryField);
+document.getElementById('pph21TerOverride').addEventListener('change', updateTERCategoryField);
+window.addBenefit = addBenefit;
 window.addBonus = addBonus;
+window.addOvertime = addOvertime;
+window.addPayment = addPayment;
+window.addTHR = addTHR;
+window.addWage = addWage;
+window.downloadPayrollBatchCSV = downloadPayrollBatchCSV;
+window.fillScheduleFromGross = fillScheduleFromGross;
 window.removeBonus = removeBonus;
+window.removeOvertime = removeOvertime;
+window.removeWage = removeWage;
+window.sortPayrollBatch = sortPayrollBatch;
+populateTaxYears();
+populateMinimumWageRegions();
+populateScheduleGrid();
 updateFormFields();
 updateBonusList();
+updateBenefitList();
+updateOvertimeList();
+updateWageList();
+updatePaymentList();
+export { PayrollBatchCalculator, PPH21Calculator, TaxInputError };
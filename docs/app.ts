@@ -5,6 +5,7 @@ import Decimal from './decimal.js';
 // Tax Type Enum
 enum TaxType {
     PPH21 = 'pph21',
+    PPH21_SEVERANCE = 'pph21_severance',
     PPH22 = 'pph22',
     PPH23 = 'pph23',
     PPH4_2 = 'pph4_2',
@@ -18,6 +19,38 @@ enum PPh21Scheme {
     TER = 'ter'
 }
 
+enum PPh21Direction {
+    GROSS_TO_NET = 'gross_to_net',
+    NET_TO_GROSS = 'net_to_gross'
+}
+
+enum PPh21RecipientType {
+    EMPLOYEE = 'employee',
+    DAILY_WORKER = 'daily_worker',
+    NON_EMPLOYEE = 'non_employee',
+    PAYROLL_BATCH = 'payroll_batch'
+}
+
+enum PPh21NonEmployeeMethod {
+    NON_CUMULATIVE = 'non_cumulative',
+    CUMULATIVE = 'cumulative',
+    TER_DAILY = 'ter_daily'
+}
+
+// Benefits in kind (natura/kenikmatan) categories per PMK 66/2023
+enum BenefitCategory {
+    FOOD = 'food',                              // Food and drinks for all employees at the workplace
+    MEAL_VOUCHER = 'meal_voucher',              // Meal vouchers for employees working in the field
+    HOLIDAY_GIFT = 'holiday_gift',              // Religious holiday parcels
+    WORK_EQUIPMENT = 'work_equipment',          // Work equipment and facilities (laptop, phone, uniform)
+    HEALTHCARE = 'healthcare',                  // Medical treatment for illness or work accidents
+    SPORTS = 'sports',                          // Sports facilities, excluding golf, boating, horse riding, flying and motor sports
+    HOUSING_COMMUNAL = 'housing_communal',      // Shared housing (mess, dormitory)
+    HOUSING_INDIVIDUAL = 'housing_individual',  // Individual housing
+    VEHICLE = 'vehicle',                        // Car or motorcycle for private use
+    OTHER = 'other'
+}
+
 enum PPh21TERCategory {
     A = 'A',
     B = 'B',
@@ -31,52 +64,333 @@ interface PPh21Bonus {
     month: number; // 1-12
 }
 
-interface PPh21DetailedResult {
+// THR (holiday allowance) per Permenaker 6/2016
+interface THRResult {
+    joinDate: string;
+    payoutDate: string;
+    serviceMonths: number;      // Completed months of service at payout
+    monthlyWage: number;        // Basic wage plus fixed allowances
+    proRated: boolean;          // Less than 12 months of service
+    amount: number;
+}
+
+// A benefit in kind at its market value
+interface PPh21Benefit {
+    name: string;
+    category: BenefitCategory;
+    amount: number;
+    month?: number; // 1-12 for a one-off benefit; omitted when provided every month worked
+}
+
+// Input for PPh21Calculator.calculate; optional fields fall back to defaults
+interface PPh21Input {
     grossMonthly: number;
+    ptkpStatus: string;
+    workMonths?: number;                       // Default 12; ignored when endMonth is given
+    startMonth?: number;                       // First month employed (1-12); default 1
+    endMonth?: number;                         // Last month employed (1-12); default startMonth + workMonths - 1
+    scheme?: PPh21Scheme;                      // Default TRADITIONAL
+    terCategoryOverride?: PPh21TERCategory;    // Default: derived from ptkpStatus
+    pensionMonthly?: number;                   // Default 0
+    zakatAnnual?: number;                      // Default 0
+    bonuses?: PPh21Bonus[];                    // Default none
+    benefits?: PPh21Benefit[];                 // Benefits in kind; default none
+    overtime?: PPh21OvertimeEntry[];           // Overtime worked, paid on the month's salary; default none
+    taxYear?: number;                          // Default LATEST_TAX_YEAR
+    grossUp?: boolean;                         // Employer pays the tax as a tax allowance; default false
+    bpjs?: PPh21BPJSInput;                     // Derive BPJS contributions from monthly salary; default none
+    minimumWageRegion?: string;                // MINIMUM_WAGES id; its minimum is the BPJS wage floor; default none
+    monthlySchedule?: PPh21MonthlyIncome[];    // 12 months replacing grossMonthly; default none
+    priorEmployment?: PPh21PriorEmployment;    // Earlier employer in the same tax year; default none
+    hasNpwp?: boolean;                         // Without NPWP the tax is 20% higher; default true
+}
+
+// What the employer pays for the employee, whether or not it is taxable income of the employee
+interface PPh21EmployerCost {
+    salary: number;             // Including schedule allowances
+    overtime: number;
+    bonuses: number;            // Including THR
+    benefits: number;           // Full value of benefits in kind, exempt portion included
+    bpjsEmployer: number;       // Employer JHT, JP, JKK, JKM and Kesehatan shares
+    taxAllowance: number;       // Gross-up only
+    total: number;
+}
+
+// Previous employer's figures for the same tax year, from their 1721-A1
+interface PPh21PriorEmployment {
+    gross: number;
+    netto: number;
+    taxPaid: number;
+}
+
+// One month of a salary schedule; allowance covers that month's extra regular pay (overtime, shift, etc.)
+interface PPh21MonthlyIncome {
+    salary: number;
+    allowance?: number;
+}
+
+interface PPh21BPJSInput {
+    jkkRiskClass: JKKRiskClass;
+}
+
+interface PPh21DetailedResult {
+    taxYear: number;
+    grossMonthly: number;           // Average over worked months when a schedule is used
+    grossFromSalary: number;
+    monthlySchedule?: PPh21MonthlyIncome[];
     grossAnnual: number;
     bonusTotal: number;
     bonuses: PPh21Bonus[];
+    bonusTaxes?: (PPh21Bonus & { tax: number })[]; // Traditional only: irregular income tax attributed to each bonus
     workMonths: number;
+    startMonth: number;
+    endMonth: number;
+
+    // Gross-up (tunjangan pajak): allowance included in grossAnnual, equal to the tax it covers
+    grossUp: boolean;
+    taxAllowanceAnnual?: number;
+
+    // BPJS (monthly contributions, annual amounts feeding gross and deductions)
+    bpjs?: BPJSResult;
+    bpjsTaxableAnnual?: number;
+    bpjsDeductibleAnnual?: number;
+
+    // Regional minimum wage (UMP/UMK); year is the table year used, the latest one for newer tax years.
+    // amount is undefined when the table has no data for the tax year: no check and no BPJS wage floor.
+    minimumWage?: {
+        region: string;
+        year: number;
+        amount?: number;
+    };
+    belowMinimumWage?: boolean;     // Some month employed pays less than the minimum wage
+
+    // Overtime pay per month worked with overtime, part of regular income
+    overtime?: OvertimeResult[];
+    overtimeAnnual?: number;
+
+    // Benefits in kind (natura), per category; only the taxable portion is part of grossAnnual
+    benefits?: {
+        category: BenefitCategory;
+        value: number;
+        exempt: number;
+        taxable: number;
+    }[];
+    benefitValueAnnual?: number;
+    benefitExemptAnnual?: number;
+    benefitTaxableAnnual?: number;
 
     // Deductions
-    biayaJabatan: number;
-    pensionAnnual: number;
+    biayaJabatanUncapped: number;   // 5% of gross annual
+    biayaJabatanCap: number;        // Rp 500,000 × workMonths
+    biayaJabatan: number;           // Allowed deduction
+    pensionAnnual: number;          // Contributions paid
+    pensionCap: number;             // Rp 200,000 × workMonths
+    pensionDeduction: number;       // Allowed deduction
     zakatDonation: number;
     totalDeductions: number;
 
+    // Prior employer (1721-A1) carried into the annual computation
+    priorGross?: number;
+    priorNetto?: number;
+    priorTaxPaid?: number;
+    combinedNetto?: number;
+
     // PTKP and PKP
     nettoAnnual: number;
     ptkp: number;
-    pkp: number;
+    pkp: number;                    // Based on combined netto when there is a prior employer
 
     // Tax calculation
     scheme: PPh21Scheme;
     terCategory?: PPh21TERCategory;
-    annualTax: number;
+    terCategoryOverridden?: boolean;
+    hasNpwp: boolean;
+    annualTaxBase: number;          // Before non-NPWP surcharge
+    npwpSurcharge: number;          // 20% of annualTaxBase without NPWP
+    annualTax: number;              // Full-year liability
+    employerTax: number;            // Annual tax less tax already withheld by a prior employer, never negative
     monthlyTax: number;
     effectiveTaxRate: number;
 
-    // TER specific
-    terPaid?: number;
-    month12Adjustment?: number;
+    // Monthly withholding
+    terPaid?: number;               // TER withheld before the final month
+    withheldBeforeFinalMonth?: number; // Either scheme
+    month12Adjustment?: number;     // Withholding in the final month employed (December for full-year employees), never negative
+    overpaymentRefund?: number;     // Withholding above the annual tax, refunded in the final month (to the employer when grossed up)
+    month12TaxAllowance?: number;   // Gross-up only; negative when TER withheld more than the annual tax
     monthlyBreakdown?: {
         month: number;
         income: number;
-        terRate: number;
-        tax: number;
+        terRate?: number;           // TER only
+        tax: number;                // Including any non-NPWP surcharge
+        overtime?: number;          // Overtime pay included in income
+        regularTax?: number;        // Traditional only: annualized regular income, pro rata
+        irregularTax?: number;      // Traditional only: extra annual tax caused by the month's bonuses (included in tax)
+        surcharge?: number;         // TER only
         hasBonus: boolean;
         bonusNames?: string;
+        taxAllowance?: number;
+        isFinalMonth?: boolean;     // Tax is the annual adjustment, not TER
+        refund?: number;            // Final month only: overpaid TER returned to the employee
     }[];
 
     // Take-home
     takeHomeAnnual: number;
     takeHomeMonthly: number;
+
+    // Employer cost of employment over the months employed
+    employerCostMonthly: (PPh21EmployerCost & { month: number })[];
+    employerCostAnnual: PPh21EmployerCost;
+
+    // Net-to-gross solver: the take-home the gross salary was solved for
+    targetTakeHomeMonthly?: number;
+}
+
+// TER and traditional withholding for the same input, month by month
+interface PPh21SchemeComparison {
+    taxYear: number;
+    traditional: PPh21DetailedResult;
+    ter: PPh21DetailedResult;
+    months: {
+        month: number;
+        traditionalTax: number;         // Net of any final-month refund
+        terTax: number;                 // Net of any final-month refund
+        difference: number;             // TER less traditional
+        cumulativeDifference: number;
+    }[];
+    traditionalTotal: number;
+    terTotal: number;
+}
+
+// Payroll batch: one permanent employee per CSV row, calculated for a full year
+interface PayrollEmployee {
+    row: number;                    // Row in the CSV file, header included, for error messages
+    id: string;
+    ptkpStatus: string;
+    grossMonthly: number;
+    pensionMonthly: number;
+    zakatAnnual: number;
+    bonuses: PPh21Bonus[];
+    hasNpwp: boolean;
+}
+
+interface PayrollBatchRow {
+    id: string;
+    ptkpStatus: string;
+    hasNpwp: boolean;
+    grossMonthly: number;
+    bonusTotal: number;
+    grossAnnual: number;
+    annualTax: number;
+    regularMonthTax: number;        // Withheld in a January-November month without bonuses
+    finalMonthTax: number;          // December annual adjustment
+    finalMonthRefund: number;       // December refund of withholding above the annual tax
+    effectiveTaxRate: number;
+    takeHomeMonthly: number;
+    takeHomeAnnual: number;
+    employerCostAnnual: number;
+}
+
+// PPh 21 Non-Employee Types (Bukan Pegawai: freelancers, consultants, speakers, commissioners)
+interface PPh21NonEmployeePayment {
+    description: string;
+    amount: number;
+}
+
+interface PPh21NonEmployeeResult {
+    taxYear: number;
+    method: PPh21NonEmployeeMethod;
+    hasNpwp: boolean;
+    payments: {
+        description: string;
+        gross: number;
+        dpp: number;            // Tax base: 50% of gross, or full gross under TER daily
+        cumulativeDpp?: number; // Cumulative method only
+        terRate?: number;       // TER daily method only, when the daily threshold is not exceeded
+        baseTax: number;
+        surcharge: number;      // Non-NPWP surcharge
+        tax: number;
+    }[];
+    totalGross: number;
+    totalDpp: number;
+    totalBaseTax: number;
+    totalSurcharge: number;
+    totalTax: number;
+    effectiveTaxRate: number;
+    netPaid: number;
+}
+
+interface PPh21DailyWage {
+    date: string;   // Payment date (YYYY-MM-DD)
+    amount: number; // Gross wage for the period
+    days?: number;  // Days worked in the period: 1 for daily pay, e.g. 6 for weekly pay
+}
+
+interface PPh21DailyWorkerResult {
+    taxYear: number;
+    hasNpwp: boolean;
+    wages: {
+        date: string;
+        month: number;
+        days: number;
+        gross: number;
+        dailyAverage: number;
+        dpp: number;        // Full gross under TER daily, 50% of gross above the daily threshold
+        terRate?: number;   // Undefined when the daily threshold is exceeded
+        baseTax: number;
+        surcharge: number;  // Non-NPWP surcharge
+        tax: number;
+    }[];
+    monthlySummary: {
+        month: number;
+        daysWorked: number;
+        gross: number;
+        tax: number;
+        netPaid: number;
+    }[];
+    totalDays: number;
+    totalGross: number;
+    totalBaseTax: number;
+    totalSurcharge: number;
+    totalTax: number;
+    effectiveTaxRate: number;
+    netPaid: number;
+}
+
+// PPh 21 Final Types (Severance and Pension Lump Sums)
+enum SeverancePaymentType {
+    SEVERANCE = 'severance',                // Pesangon, uang penghargaan masa kerja, uang penggantian hak
+    PENSION_LUMP_SUM = 'pension_lump_sum'   // Uang manfaat pensiun, THT or JHT paid at once
+}
+
+interface PPH21SeveranceResult {
+    paymentType: SeverancePaymentType;
+    grossAmount: number;
+    priorInstallments: number;  // Earlier installments of the same payment
+    cumulativeAmount: number;
+    hasNpwp: boolean;
+    tiers: {
+        limit: number;
+        rate: number;
+        taxable: number;
+        tax: number;
+    }[];                        // Tier breakdown of the cumulative amount
+    cumulativeTax: number;
+    priorTax: number;           // Tax already withheld on earlier installments
+    baseTax: number;
+    surcharge: number;          // Non-NPWP surcharge
+    tax: number;
+    effectiveTaxRate: number;
+    netPaid: number;
 }
 
 // PPh 22 Types (Import/Export Withholding Tax)
 interface PPH22Result {
     dpp: number;
     rate: number;
+    hasNpwp: boolean;
+    baseTax: number;
+    surcharge: number;  // Non-NPWP surcharge
     tax: number;
 }
 
@@ -84,6 +398,9 @@ interface PPH22Result {
 interface PPH23Result {
     grossIncome: number;
     rate: number;
+    hasNpwp: boolean;
+    baseTax: number;
+    surcharge: number;  // Non-NPWP surcharge
     tax: number;
 }
 
@@ -118,16 +435,155 @@ interface PPNBMResult {
     total: number;
 }
 
+// BPJS Types (Social Security Contributions)
+enum JKKRiskClass {
+    VERY_LOW = 'very_low',
+    LOW = 'low',
+    MEDIUM = 'medium',
+    HIGH = 'high',
+    VERY_HIGH = 'very_high'
+}
+
+// Monthly contributions; employer JKK, JKM and Kesehatan premiums are taxable income,
+// employee JHT and JP are deductible as iuran pensiun
+interface BPJSResult {
+    wage: number;
+    jpWage: number;             // Wage capped for JP
+    kesehatanWage: number;      // Wage capped for BPJS Kesehatan
+    jhtEmployee: number;
+    jhtEmployer: number;
+    jpEmployee: number;
+    jpEmployer: number;
+    jkk: number;
+    jkkRate: number;
+    jkm: number;
+    kesehatanEmployee: number;
+    kesehatanEmployer: number;
+    employerTaxable: number;    // JKK + JKM + Kesehatan employer share
+    employeeDeductible: number; // JHT + JP employee share
+    employeeTotal: number;      // All employee shares withheld from pay
+    employerTotal: number;      // All employer shares, taxable or not
+}
+
+// Overtime (Kepmenakertrans 102/2004)
+enum OvertimeDayType {
+    WORKDAY = 'workday',
+    REST_DAY_SIX_DAY_WEEK = 'rest_day_six_day_week',    // Rest day or public holiday, 6-day week
+    SHORTEST_WORKDAY_HOLIDAY = 'shortest_workday_holiday', // Public holiday on the shortest workday, 6-day week
+    REST_DAY_FIVE_DAY_WEEK = 'rest_day_five_day_week'   // Rest day or public holiday, 5-day week
+}
+
+// Overtime worked in a month: days of the same type and hours each
+interface PPh21OvertimeEntry {
+    month: number;  // 1-12
+    dayType: OvertimeDayType;
+    hoursPerDay: number;
+    days: number;
+}
+
+interface OvertimeResult {
+    month: number;
+    monthlyWage: number;
+    hourlyWage: number;         // 1/173 of the monthly wage
+    hours: number;
+    paidHours: number;          // Hours weighted by their multipliers
+    pay: number;
+}
+
+// Raised for invalid calculator input; the message is shown to the user
+class TaxInputError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'TaxInputError';
+    }
+}
+
 interface PTKPRates {
     [key: string]: number;
 }
 
-// PTKP (Penghasilan Tidak Kena Pajak) rates for 2025
-const PTKP_RATES: PTKPRates = {
-    'TK': 54_000_000,      // Single
-    'K1': 58_500_000,      // Married
-    'K2': 63_000_000,      // Married + 1 Child
-    'K3': 67_500_000,      // Married + 2 Children
+// PTKP (Penghasilan Tidak Kena Pajak) rates
+// Base amount, +1 step if married, +1 step per dependent (max 3),
+// +base for a wife whose income is combined with her husband's (K/I)
+
+// PTKP rates for 2009-2012 (UU 36/2008)
+const PTKP_RATES_2009: PTKPRates = {
+    'TK/0': 15_840_000,      // Single
+    'TK/1': 17_160_000,      // Single + 1 Dependent
+    'TK/2': 18_480_000,      // Single + 2 Dependents
+    'TK/3': 19_800_000,      // Single + 3 Dependents
+    'K/0': 17_160_000,       // Married
+    'K/1': 18_480_000,       // Married + 1 Dependent
+    'K/2': 19_800_000,       // Married + 2 Dependents
+    'K/3': 21_120_000,       // Married + 3 Dependents
+    'K/I/0': 33_000_000,     // Married, Combined Income
+    'K/I/1': 34_320_000,     // Married, Combined Income + 1 Dependent
+    'K/I/2': 35_640_000,     // Married, Combined Income + 2 Dependents
+    'K/I/3': 36_960_000,     // Married, Combined Income + 3 Dependents
+};
+
+// PTKP rates for 2013-2014 (PMK 162/PMK.011/2012)
+const PTKP_RATES_2013: PTKPRates = {
+    'TK/0': 24_300_000,      // Single
+    'TK/1': 26_325_000,      // Single + 1 Dependent
+    'TK/2': 28_350_000,      // Single + 2 Dependents
+    'TK/3': 30_375_000,      // Single + 3 Dependents
+    'K/0': 26_325_000,       // Married
+    'K/1': 28_350_000,       // Married + 1 Dependent
+    'K/2': 30_375_000,       // Married + 2 Dependents
+    'K/3': 32_400_000,       // Married + 3 Dependents
+    'K/I/0': 50_625_000,     // Married, Combined Income
+    'K/I/1': 52_650_000,     // Married, Combined Income + 1 Dependent
+    'K/I/2': 54_675_000,     // Married, Combined Income + 2 Dependents
+    'K/I/3': 56_700_000,     // Married, Combined Income + 3 Dependents
+};
+
+// PTKP rates for 2015 (PMK 122/PMK.010/2015)
+const PTKP_RATES_2015: PTKPRates = {
+    'TK/0': 36_000_000,      // Single
+    'TK/1': 39_000_000,      // Single + 1 Dependent
+    'TK/2': 42_000_000,      // Single + 2 Dependents
+    'TK/3': 45_000_000,      // Single + 3 Dependents
+    'K/0': 39_000_000,       // Married
+    'K/1': 42_000_000,       // Married + 1 Dependent
+    'K/2': 45_000_000,       // Married + 2 Dependents
+    'K/3': 48_000_000,       // Married + 3 Dependents
+    'K/I/0': 75_000_000,     // Married, Combined Income
+    'K/I/1': 78_000_000,     // Married, Combined Income + 1 Dependent
+    'K/I/2': 81_000_000,     // Married, Combined Income + 2 Dependents
+    'K/I/3': 84_000_000,     // Married, Combined Income + 3 Dependents
+};
+// PTKP rates from 2016 onwards (PMK 101/PMK.010/2016)
+const PTKP_RATES_2016: PTKPRates = {
+    'TK/0': 54_000_000,     // Single
+    'TK/1': 58_500_000,     // Single + 1 Dependent
+    'TK/2': 63_000_000,     // Single + 2 Dependents
+    'TK/3': 67_500_000,     // Single + 3 Dependents
+    'K/0': 58_500_000,      // Married
+    'K/1': 63_000_000,      // Married + 1 Dependent
+    'K/2': 67_500_000,      // Married + 2 Dependents
+    'K/3': 72_000_000,      // Married + 3 Dependents
+    'K/I/0': 112_500_000,   // Married, Combined Income
+    'K/I/1': 117_000_000,   // Married, Combined Income + 1 Dependent
+    'K/I/2': 121_500_000,   // Married, Combined Income + 2 Dependents
+    'K/I/3': 126_000_000,   // Married, Combined Income + 3 Dependents
+};
+
+// TER category assigned to each PTKP status (PP 58/2023 Pasal 2)
+// Combined-income statuses withhold on the employee's own K status
+const TER_CATEGORY_BY_PTKP: { [status: string]: PPh21TERCategory } = {
+    'TK/0': PPh21TERCategory.A,
+    'TK/1': PPh21TERCategory.A,
+    'TK/2': PPh21TERCategory.B,
+    'TK/3': PPh21TERCategory.B,
+    'K/0': PPh21TERCategory.A,
+    'K/1': PPh21TERCategory.B,
+    'K/2': PPh21TERCategory.B,
+    'K/3': PPh21TERCategory.C,
+    'K/I/0': PPh21TERCategory.A,
+    'K/I/1': PPh21TERCategory.B,
+    'K/I/2': PPh21TERCategory.B,
+    'K/I/3': PPh21TERCategory.C,
 };
 
 // Progressive tax rates (Pasal 17)
@@ -136,55 +592,633 @@ interface TaxBracket {
     rate: number;
 }
 
-const TAX_BRACKETS: TaxBracket[] = [
+// Tax years 2009-2021 (UU 36/2008)
+const TAX_BRACKETS_UU_PPH: TaxBracket[] = [
     { limit: 50_000_000, rate: 0.05 },      // 5%
     { limit: 250_000_000, rate: 0.15 },     // 15%
     { limit: 500_000_000, rate: 0.25 },     // 25%
+    { limit: Infinity, rate: 0.30 },        // 30%
+];
+
+// Tax years 2022 onwards (UU 7/2021 - UU HPP)
+const TAX_BRACKETS_UU_HPP: TaxBracket[] = [
+    { limit: 60_000_000, rate: 0.05 },      // 5%
+    { limit: 250_000_000, rate: 0.15 },     // 15%
+    { limit: 500_000_000, rate: 0.25 },     // 25%
     { limit: 5_000_000_000, rate: 0.30 },   // 30%
     { limit: Infinity, rate: 0.35 },        // 35%
 ];
 
 // TER (Tarif Efektif Rata-rata) Rate Tables
-// Simplified TER rates based on monthly gross income
-// These are approximations - the real tables are more detailed
+// Monthly TER rates per Lampiran PP 58/2023, one table per category.
+// Each bracket covers monthly gross income up to and including maxIncome.
 interface TERBracket {
-    minIncome: number;
     maxIncome: number;
-    rateA: number; // Category A
-    rateB: number; // Category B
-    rateC: number; // Category C
-}
-
-const TER_MONTHLY_RATES: TERBracket[] = [
-    { minIncome: 0, maxIncome: 5_000_000, rateA: 0.0000, rateB: 0.0000, rateC: 0.0000 },
-    { minIncome: 5_000_001, maxIncome: 6_000_000, rateA: 0.0025, rateB: 0.0050, rateC: 0.0075 },
-    { minIncome: 6_000_001, maxIncome: 7_000_000, rateA: 0.0050, rateB: 0.0075, rateC: 0.0100 },
-    { minIncome: 7_000_001, maxIncome: 8_000_000, rateA: 0.0075, rateB: 0.0100, rateC: 0.0125 },
-    { minIncome: 8_000_001, maxIncome: 10_000_000, rateA: 0.0100, rateB: 0.0150, rateC: 0.0200 },
-    { minIncome: 10_000_001, maxIncome: 15_000_000, rateA: 0.0200, rateB: 0.0300, rateC: 0.0400 },
-    { minIncome: 15_000_001, maxIncome: 25_000_000, rateA: 0.0400, rateB: 0.0600, rateC: 0.0800 },
-    { minIncome: 25_000_001, maxIncome: 50_000_000, rateA: 0.0800, rateB: 0.1200, rateC: 0.1600 },
-    { minIncome: 50_000_001, maxIncome: Infinity, rateA: 0.1500, rateB: 0.2000, rateC: 0.2500 },
+    rate: number;
+}
+
+// Daily TER rates per Lampiran PP 58/2023; daily income above the last bracket
+// is taxed at Pasal 17 rates on 50% of gross instead
+const TER_DAILY_RATES: TERBracket[] = [
+    { maxIncome: 450_000, rate: 0.0000 },
+    { maxIncome: 2_500_000, rate: 0.0050 },
+];
+
+const TER_MONTHLY_RATES: Record<PPh21TERCategory, TERBracket[]> = {
+    [PPh21TERCategory.A]: [
+        { maxIncome: 5_400_000, rate: 0.0000 },
+        { maxIncome: 5_650_000, rate: 0.0025 },
+        { maxIncome: 5_950_000, rate: 0.0050 },
+        { maxIncome: 6_300_000, rate: 0.0075 },
+        { maxIncome: 6_750_000, rate: 0.0100 },
+        { maxIncome: 7_500_000, rate: 0.0125 },
+        { maxIncome: 8_550_000, rate: 0.0150 },
+        { maxIncome: 9_650_000, rate: 0.0175 },
+        { maxIncome: 10_050_000, rate: 0.0200 },
+        { maxIncome: 10_350_000, rate: 0.0225 },
+        { maxIncome: 10_700_000, rate: 0.0250 },
+        { maxIncome: 11_050_000, rate: 0.0300 },
+        { maxIncome: 11_600_000, rate: 0.0350 },
+        { maxIncome: 12_500_000, rate: 0.0400 },
+        { maxIncome: 13_750_000, rate: 0.0500 },
+        { maxIncome: 15_100_000, rate: 0.0600 },
+        { maxIncome: 16_950_000, rate: 0.0700 },
+        { maxIncome: 19_750_000, rate: 0.0800 },
+        { maxIncome: 24_150_000, rate: 0.0900 },
+        { maxIncome: 26_450_000, rate: 0.1000 },
+        { maxIncome: 28_000_000, rate: 0.1100 },
+        { maxIncome: 30_050_000, rate: 0.1200 },
+        { maxIncome: 32_400_000, rate: 0.1300 },
+        { maxIncome: 35_400_000, rate: 0.1400 },
+        { maxIncome: 39_100_000, rate: 0.1500 },
+        { maxIncome: 43_850_000, rate: 0.1600 },
+        { maxIncome: 47_800_000, rate: 0.1700 },
+        { maxIncome: 51_400_000, rate: 0.1800 },
+        { maxIncome: 56_300_000, rate: 0.1900 },
+        { maxIncome: 62_200_000, rate: 0.2000 },
+        { maxIncome: 68_600_000, rate: 0.2100 },
+        { maxIncome: 77_500_000, rate: 0.2200 },
+        { maxIncome: 89_000_000, rate: 0.2300 },
+        { maxIncome: 103_000_000, rate: 0.2400 },
+        { maxIncome: 125_000_000, rate: 0.2500 },
+        { maxIncome: 157_000_000, rate: 0.2600 },
+        { maxIncome: 206_000_000, rate: 0.2700 },
+        { maxIncome: 337_000_000, rate: 0.2800 },
+        { maxIncome: 454_000_000, rate: 0.2900 },
+        { maxIncome: 550_000_000, rate: 0.3000 },
+        { maxIncome: 695_000_000, rate: 0.3100 },
+        { maxIncome: 910_000_000, rate: 0.3200 },
+        { maxIncome: 1_400_000_000, rate: 0.3300 },
+        { maxIncome: Infinity, rate: 0.3400 },
+    ],
+    [PPh21TERCategory.B]: [
+        { maxIncome: 6_200_000, rate: 0.0000 },
+        { maxIncome: 6_500_000, rate: 0.0025 },
+        { maxIncome: 6_850_000, rate: 0.0050 },
+        { maxIncome: 7_300_000, rate: 0.0075 },
+        { maxIncome: 9_200_000, rate: 0.0100 },
+        { maxIncome: 10_750_000, rate: 0.0150 },
+        { maxIncome: 11_250_000, rate: 0.0200 },
+        { maxIncome: 11_600_000, rate: 0.0250 },
+        { maxIncome: 12_600_000, rate: 0.0300 },
+        { maxIncome: 13_600_000, rate: 0.0400 },
+        { maxIncome: 14_950_000, rate: 0.0500 },
+        { maxIncome: 16_400_000, rate: 0.0600 },
+        { maxIncome: 18_450_000, rate: 0.0700 },
+        { maxIncome: 21_850_000, rate: 0.0800 },
+        { maxIncome: 26_000_000, rate: 0.0900 },
+        { maxIncome: 27_700_000, rate: 0.1000 },
+        { maxIncome: 29_350_000, rate: 0.1100 },
+        { maxIncome: 31_450_000, rate: 0.1200 },
+        { maxIncome: 33_950_000, rate: 0.1300 },
+        { maxIncome: 37_100_000, rate: 0.1400 },
+        { maxIncome: 41_100_000, rate: 0.1500 },
+        { maxIncome: 45_800_000, rate: 0.1600 },
+        { maxIncome: 49_500_000, rate: 0.1700 },
+        { maxIncome: 53_800_000, rate: 0.1800 },
+        { maxIncome: 58_500_000, rate: 0.1900 },
+        { maxIncome: 64_000_000, rate: 0.2000 },
+        { maxIncome: 71_000_000, rate: 0.2100 },
+        { maxIncome: 80_000_000, rate: 0.2200 },
+        { maxIncome: 93_000_000, rate: 0.2300 },
+        { maxIncome: 109_000_000, rate: 0.2400 },
+        { maxIncome: 129_000_000, rate: 0.2500 },
+        { maxIncome: 163_000_000, rate: 0.2600 },
+        { maxIncome: 211_000_000, rate: 0.2700 },
+        { maxIncome: 374_000_000, rate: 0.2800 },
+        { maxIncome: 459_000_000, rate: 0.2900 },
+        { maxIncome: 555_000_000, rate: 0.3000 },
+        { maxIncome: 704_000_000, rate: 0.3100 },
+        { maxIncome: 957_000_000, rate: 0.3200 },
+        { maxIncome: 1_405_000_000, rate: 0.3300 },
+        { maxIncome: Infinity, rate: 0.3400 },
+    ],
+    [PPh21TERCategory.C]: [
+        { maxIncome: 6_600_000, rate: 0.0000 },
+        { maxIncome: 6_950_000, rate: 0.0025 },
+        { maxIncome: 7_350_000, rate: 0.0050 },
+        { maxIncome: 7_800_000, rate: 0.0075 },
+        { maxIncome: 8_850_000, rate: 0.0100 },
+        { maxIncome: 9_800_000, rate: 0.0125 },
+        { maxIncome: 10_950_000, rate: 0.0150 },
+        { maxIncome: 11_200_000, rate: 0.0175 },
+        { maxIncome: 12_050_000, rate: 0.0200 },
+        { maxIncome: 12_950_000, rate: 0.0300 },
+        { maxIncome: 14_150_000, rate: 0.0400 },
+        { maxIncome: 15_550_000, rate: 0.0500 },
+        { maxIncome: 17_050_000, rate: 0.0600 },
+        { maxIncome: 19_500_000, rate: 0.0700 },
+        { maxIncome: 22_700_000, rate: 0.0800 },
+        { maxIncome: 26_600_000, rate: 0.0900 },
+        { maxIncome: 28_100_000, rate: 0.1000 },
+        { maxIncome: 30_100_000, rate: 0.1100 },
+        { maxIncome: 32_600_000, rate: 0.1200 },
+        { maxIncome: 35_400_000, rate: 0.1300 },
+        { maxIncome: 38_900_000, rate: 0.1400 },
+        { maxIncome: 43_000_000, rate: 0.1500 },
+        { maxIncome: 47_400_000, rate: 0.1600 },
+        { maxIncome: 51_200_000, rate: 0.1700 },
+        { maxIncome: 55_800_000, rate: 0.1800 },
+        { maxIncome: 60_400_000, rate: 0.1900 },
+        { maxIncome: 66_700_000, rate: 0.2000 },
+        { maxIncome: 74_500_000, rate: 0.2100 },
+        { maxIncome: 83_200_000, rate: 0.2200 },
+        { maxIncome: 95_600_000, rate: 0.2300 },
+        { maxIncome: 110_000_000, rate: 0.2400 },
+        { maxIncome: 134_000_000, rate: 0.2500 },
+        { maxIncome: 169_000_000, rate: 0.2600 },
+        { maxIncome: 221_000_000, rate: 0.2700 },
+        { maxIncome: 390_000_000, rate: 0.2800 },
+        { maxIncome: 463_000_000, rate: 0.2900 },
+        { maxIncome: 561_000_000, rate: 0.3000 },
+        { maxIncome: 709_000_000, rate: 0.3100 },
+        { maxIncome: 965_000_000, rate: 0.3200 },
+        { maxIncome: 1_419_000_000, rate: 0.3300 },
+        { maxIncome: Infinity, rate: 0.3400 },
+    ],
+};
+
+// Deduction limits (PMK 250/PMK.03/2008, PMK 168/2023), pro-rated per month worked
+const BIAYA_JABATAN_RATE = 0.05;
+const BIAYA_JABATAN_MONTHLY_CAP = 500_000;
+const PENSION_DEDUCTION_MONTHLY_CAP = 200_000;
+
+// Net-to-gross solver bounds: the largest monthly take-home it will search for, and the most
+// steps either search phase may take before giving up
+const SOLVER_MAX_TAKE_HOME_MONTHLY = 1e15;
+const SOLVER_MAX_STEPS = 200;
+
+// Exemption threshold for a benefit in kind category, per month or per year
+interface NaturaExemption {
+    limit: number; // Infinity when fully exempt, 0 when fully taxable
+    period: 'monthly' | 'annual';
+}
+
+// Benefits in kind exempt from PPh 21, fully or up to a threshold (PMK 66/2023 Pasal 5-9)
+const NATURA_EXEMPTIONS_PMK_66_2023: Record<BenefitCategory, NaturaExemption> = {
+    [BenefitCategory.FOOD]: { limit: Infinity, period: 'monthly' },
+    [BenefitCategory.MEAL_VOUCHER]: { limit: 2_000_000, period: 'monthly' },
+    [BenefitCategory.HOLIDAY_GIFT]: { limit: 3_000_000, period: 'annual' },
+    [BenefitCategory.WORK_EQUIPMENT]: { limit: Infinity, period: 'monthly' },
+    [BenefitCategory.HEALTHCARE]: { limit: Infinity, period: 'monthly' },
+    [BenefitCategory.SPORTS]: { limit: Infinity, period: 'monthly' },
+    [BenefitCategory.HOUSING_COMMUNAL]: { limit: Infinity, period: 'monthly' },
+    [BenefitCategory.HOUSING_INDIVIDUAL]: { limit: 2_000_000, period: 'monthly' },
+    [BenefitCategory.VEHICLE]: { limit: 0, period: 'monthly' },
+    [BenefitCategory.OTHER]: { limit: 0, period: 'monthly' },
+};
+
+// Non-employees are taxed on 50% of gross (PMK 168/2023 Pasal 15)
+const NON_EMPLOYEE_DPP_RATE = 0.5;
+
+// Final tax tiers for lump sums paid on termination or retirement (PP 68/2009)
+const SEVERANCE_TAX_BRACKETS: Record<SeverancePaymentType, TaxBracket[]> = {
+    [SeverancePaymentType.SEVERANCE]: [
+        { limit: 50_000_000, rate: 0 },
+        { limit: 100_000_000, rate: 0.05 },
+        { limit: 500_000_000, rate: 0.15 },
+        { limit: Infinity, rate: 0.25 },
+    ],
+    [SeverancePaymentType.PENSION_LUMP_SUM]: [
+        { limit: 50_000_000, rate: 0 },
+        { limit: Infinity, rate: 0.05 },
+    ],
+};
+
+// Surcharge on the tax for recipients without NPWP (UU PPh Pasal 21(5a), 22(3), 23(1a))
+const NON_NPWP_SURCHARGE = {
+    pph21: 0.20,
+    pph22: 1.00,
+    pph23: 1.00,
+};
+
+// PPh 21 rule set, effective from fromYear until the next rule set
+interface PPh21TaxRules {
+    fromYear: number;
+    brackets: TaxBracket[];
+    ptkp: PTKPRates;
+    terRates?: Record<PPh21TERCategory, TERBracket[]>; // Monthly TER withholding, 2024 onwards
+    terDailyRates?: TERBracket[];                      // Daily TER withholding, 2024 onwards
+    naturaExemptions?: Record<BenefitCategory, NaturaExemption>; // Benefits in kind are not employee income without it
+}
+
+// Ordered by fromYear
+const PPH21_TAX_RULES: PPh21TaxRules[] = [
+    { fromYear: 2009, brackets: TAX_BRACKETS_UU_PPH, ptkp: PTKP_RATES_2009 },
+    { fromYear: 2013, brackets: TAX_BRACKETS_UU_PPH, ptkp: PTKP_RATES_2013 },
+    { fromYear: 2015, brackets: TAX_BRACKETS_UU_PPH, ptkp: PTKP_RATES_2015 },
+    { fromYear: 2016, brackets: TAX_BRACKETS_UU_PPH, ptkp: PTKP_RATES_2016 },
+    { fromYear: 2022, brackets: TAX_BRACKETS_UU_HPP, ptkp: PTKP_RATES_2016 },
+    {
+        fromYear: 2023,
+        brackets: TAX_BRACKETS_UU_HPP,
+        ptkp: PTKP_RATES_2016,
+        naturaExemptions: NATURA_EXEMPTIONS_PMK_66_2023,
+    },
+    {
+        fromYear: 2024,
+        brackets: TAX_BRACKETS_UU_HPP,
+        ptkp: PTKP_RATES_2016,
+        terRates: TER_MONTHLY_RATES,
+        terDailyRates: TER_DAILY_RATES,
+        naturaExemptions: NATURA_EXEMPTIONS_PMK_66_2023,
+    },
+];
+
+const MIN_TAX_YEAR = PPH21_TAX_RULES[0].fromYear;
+const LATEST_TAX_YEAR = new Date().getFullYear();
+
+// BPJS Ketenagakerjaan (PP 44, 45, 46/2015) and BPJS Kesehatan (Perpres 82/2018) rates
+const BPJS_RATES = {
+    jhtEmployee: 0.02,
+    jhtEmployer: 0.037,
+    jpEmployee: 0.01,
+    jpEmployer: 0.02,
+    jkm: 0.003,
+    kesehatanEmployee: 0.01,
+    kesehatanEmployer: 0.04,
+};
+
+// JKK rate by workplace risk class (PP 44/2015 Lampiran I)
+const JKK_RATES: Record<JKKRiskClass, number> = {
+    [JKKRiskClass.VERY_LOW]: 0.0024,
+    [JKKRiskClass.LOW]: 0.0054,
+    [JKKRiskClass.MEDIUM]: 0.0089,
+    [JKKRiskClass.HIGH]: 0.0127,
+    [JKKRiskClass.VERY_HIGH]: 0.0174,
+};
+
+// Monthly wage caps, effective from fromYear until the next entry
+interface BPJSWageCaps {
+    fromYear: number;
+    jpWageCap: number;
+    kesehatanWageCap: number;
+}
+
+// Ordered by fromYear; JP caps are the BPJS Ketenagakerjaan annual adjustments
+const BPJS_WAGE_CAPS: BPJSWageCaps[] = [
+    { fromYear: 2015, jpWageCap: 7_000_000, kesehatanWageCap: 4_725_000 },
+    { fromYear: 2016, jpWageCap: 7_335_300, kesehatanWageCap: 8_000_000 },
+    { fromYear: 2017, jpWageCap: 7_703_500, kesehatanWageCap: 8_000_000 },
+    { fromYear: 2018, jpWageCap: 8_094_000, kesehatanWageCap: 8_000_000 },
+    { fromYear: 2019, jpWageCap: 8_512_400, kesehatanWageCap: 8_000_000 },
+    { fromYear: 2020, jpWageCap: 8_754_600, kesehatanWageCap: 12_000_000 },
+    { fromYear: 2021, jpWageCap: 8_939_700, kesehatanWageCap: 12_000_000 },
+    { fromYear: 2022, jpWageCap: 9_077_600, kesehatanWageCap: 12_000_000 },
+    { fromYear: 2023, jpWageCap: 9_559_600, kesehatanWageCap: 12_000_000 },
+    { fromYear: 2024, jpWageCap: 10_042_300, kesehatanWageCap: 12_000_000 },
+    { fromYear: 2025, jpWageCap: 10_547_400, kesehatanWageCap: 12_000_000 },
 ];
 
+// Monthly minimum wage of a province (UMP) or city/regency (UMK), by year
+interface MinimumWageRegion {
+    id: string;
+    name: string;
+    type: 'province' | 'city';
+    wages: Record<number, number>;
+}
+
+// Bundled for offline use; set by governor decree each November for the following year
+// Provinces (UMP) in the order of Kemendagri codes, then a selection of cities and regencies (UMK).
+// Provinces formed in 2022 used their parent province's UMP until they set their own.
+const MINIMUM_WAGES: MinimumWageRegion[] = [
+    { id: 'aceh', name: 'Aceh', type: 'province', wages: { 2023: 3_413_666, 2024: 3_460_672, 2025: 3_685_616 } },
+    { id: 'sumatera_utara', name: 'Sumatera Utara', type: 'province', wages: { 2023: 2_710_493, 2024: 2_809_915, 2025: 2_992_559 } },
+    { id: 'sumatera_barat', name: 'Sumatera Barat', type: 'province', wages: { 2023: 2_742_476, 2024: 2_811_449, 2025: 2_994_193 } },
+    { id: 'riau', name: 'Riau', type: 'province', wages: { 2023: 3_191_662, 2024: 3_294_625, 2025: 3_508_775 } },
+    { id: 'kepulauan_riau', name: 'Kepulauan Riau', type: 'province', wages: { 2023: 3_279_194, 2024: 3_402_492, 2025: 3_623_653 } },
+    { id: 'jambi', name: 'Jambi', type: 'province', wages: { 2023: 2_943_033, 2024: 3_037_121, 2025: 3_234_533 } },
+    { id: 'sumatera_selatan', name: 'Sumatera Selatan', type: 'province', wages: { 2023: 3_404_177, 2024: 3_456_874, 2025: 3_681_571 } },
+    { id: 'bangka_belitung', name: 'Kepulauan Bangka Belitung', type: 'province', wages: { 2023: 3_498_479, 2024: 3_640_000, 2025: 3_876_600 } },
+    { id: 'bengkulu', name: 'Bengkulu', type: 'province', wages: { 2023: 2_418_280, 2024: 2_507_079, 2025: 2_670_039 } },
+    { id: 'lampung', name: 'Lampung', type: 'province', wages: { 2023: 2_633_284, 2024: 2_716_497, 2025: 2_893_070 } },
+    { id: 'dki_jakarta', name: 'DKI Jakarta', type: 'province', wages: { 2023: 4_901_798, 2024: 5_067_381, 2025: 5_396_761 } },
+    { id: 'jawa_barat', name: 'Jawa Barat', type: 'province', wages: { 2023: 1_986_670, 2024: 2_057_495, 2025: 2_191_232 } },
+    { id: 'banten', name: 'Banten', type: 'province', wages: { 2023: 2_661_280, 2024: 2_727_812, 2025: 2_905_119 } },
+    { id: 'jawa_tengah', name: 'Jawa Tengah', type: 'province', wages: { 2023: 1_958_169, 2024: 2_036_947, 2025: 2_169_349 } },
+    { id: 'di_yogyakarta', name: 'DI Yogyakarta', type: 'province', wages: { 2023: 1_981_782, 2024: 2_125_897, 2025: 2_264_080 } },
+    { id: 'jawa_timur', name: 'Jawa Timur', type: 'province', wages: { 2023: 2_040_244, 2024: 2_165_244, 2025: 2_305_985 } },
+    { id: 'bali', name: 'Bali', type: 'province', wages: { 2023: 2_713_672, 2024: 2_813_672, 2025: 2_996_561 } },
+    { id: 'nusa_tenggara_barat', name: 'Nusa Tenggara Barat', type: 'province', wages: { 2023: 2_371_407, 2024: 2_444_067, 2025: 2_602_931 } },
+    { id: 'nusa_tenggara_timur', name: 'Nusa Tenggara Timur', type: 'province', wages: { 2023: 2_123_994, 2024: 2_186_826, 2025: 2_328_969 } },
+    { id: 'kalimantan_barat', name: 'Kalimantan Barat', type: 'province', wages: { 2023: 2_608_601, 2024: 2_702_616, 2025: 2_878_286 } },
+    { id: 'kalimantan_tengah', name: 'Kalimantan Tengah', type: 'province', wages: { 2023: 3_181_013, 2024: 3_261_616, 2025: 3_473_621 } },
+    { id: 'kalimantan_selatan', name: 'Kalimantan Selatan', type: 'province', wages: { 2023: 3_149_977, 2024: 3_282_812, 2025: 3_496_194 } },
+    { id: 'kalimantan_timur', name: 'Kalimantan Timur', type: 'province', wages: { 2023: 3_201_396, 2024: 3_360_858, 2025: 3_579_313 } },
+    { id: 'kalimantan_utara', name: 'Kalimantan Utara', type: 'province', wages: { 2023: 3_251_702, 2024: 3_361_653, 2025: 3_580_160 } },
+    { id: 'sulawesi_utara', name: 'Sulawesi Utara', type: 'province', wages: { 2023: 3_485_000, 2024: 3_545_000, 2025: 3_775_425 } },
+    { id: 'gorontalo', name: 'Gorontalo', type: 'province', wages: { 2023: 2_989_350, 2024: 3_025_100, 2025: 3_221_731 } },
+    { id: 'sulawesi_tengah', name: 'Sulawesi Tengah', type: 'province', wages: { 2023: 2_599_546, 2024: 2_736_698, 2025: 2_914_583 } },
+    { id: 'sulawesi_barat', name: 'Sulawesi Barat', type: 'province', wages: { 2023: 2_871_794, 2024: 2_914_958, 2025: 3_104_430 } },
+    { id: 'sulawesi_selatan', name: 'Sulawesi Selatan', type: 'province', wages: { 2023: 3_385_145, 2024: 3_434_298, 2025: 3_657_527 } },
+    { id: 'sulawesi_tenggara', name: 'Sulawesi Tenggara', type: 'province', wages: { 2023: 2_758_984, 2024: 2_885_964, 2025: 3_073_551 } },
+    { id: 'maluku', name: 'Maluku', type: 'province', wages: { 2023: 2_812_827, 2024: 2_949_953, 2025: 3_141_699 } },
+    { id: 'maluku_utara', name: 'Maluku Utara', type: 'province', wages: { 2023: 2_976_720, 2024: 3_200_000, 2025: 3_408_000 } },
+    { id: 'papua', name: 'Papua', type: 'province', wages: { 2023: 3_864_696, 2024: 4_024_270, 2025: 4_285_848 } },
+    { id: 'papua_barat', name: 'Papua Barat', type: 'province', wages: { 2023: 3_282_000, 2024: 3_393_500, 2025: 3_615_000 } },
+    { id: 'papua_selatan', name: 'Papua Selatan', type: 'province', wages: { 2023: 3_864_696, 2024: 4_024_270, 2025: 4_285_848 } },
+    { id: 'papua_tengah', name: 'Papua Tengah', type: 'province', wages: { 2023: 3_864_696, 2024: 4_024_270, 2025: 4_285_848 } },
+    { id: 'papua_pegunungan', name: 'Papua Pegunungan', type: 'province', wages: { 2023: 3_864_696, 2024: 4_024_270, 2025: 4_285_848 } },
+    { id: 'papua_barat_daya', name: 'Papua Barat Daya', type: 'province', wages: { 2023: 3_282_000, 2024: 3_393_500, 2025: 3_614_000 } },
+    { id: 'kota_bekasi', name: 'Kota Bekasi', type: 'city', wages: { 2023: 5_158_248, 2024: 5_343_430, 2025: 5_690_752 } },
+    { id: 'kab_karawang', name: 'Kabupaten Karawang', type: 'city', wages: { 2023: 5_176_179, 2024: 5_257_834, 2025: 5_599_593 } },
+    { id: 'kota_tangerang', name: 'Kota Tangerang', type: 'city', wages: { 2023: 4_584_519, 2024: 4_760_289, 2025: 5_069_708 } },
+    { id: 'kota_surabaya', name: 'Kota Surabaya', type: 'city', wages: { 2023: 4_525_479, 2024: 4_725_479, 2025: 4_961_753 } },
+    { id: 'kota_batam', name: 'Kota Batam', type: 'city', wages: { 2023: 4_500_440, 2024: 4_685_050, 2025: 4_989_600 } },
+    { id: 'kota_bandung', name: 'Kota Bandung', type: 'city', wages: { 2023: 4_048_462, 2024: 4_209_309, 2025: 4_482_914 } },
+    { id: 'kota_medan', name: 'Kota Medan', type: 'city', wages: { 2023: 3_624_117, 2024: 3_769_082, 2025: 4_014_272 } },
+    { id: 'kota_semarang', name: 'Kota Semarang', type: 'city', wages: { 2023: 3_060_348, 2024: 3_243_969, 2025: 3_454_827 } },
+    { id: 'kota_denpasar', name: 'Kota Denpasar', type: 'city', wages: { 2023: 2_970_000, 2024: 3_096_823, 2025: 3_298_117 } },
+    { id: 'kota_yogyakarta', name: 'Kota Yogyakarta', type: 'city', wages: { 2023: 2_324_775, 2024: 2_492_997, 2025: 2_655_041 } },
+];
+
+// Hourly wage for overtime is 1/173 of the monthly wage
+const OVERTIME_HOURLY_DIVISOR = 173;
+
+// Overtime multipliers by hour of the day, up to and including upToHour (Kepmenakertrans 102/2004 Pasal 11)
+const OVERTIME_MULTIPLIERS: Record<OvertimeDayType, { upToHour: number; multiplier: number }[]> = {
+    [OvertimeDayType.WORKDAY]: [
+        { upToHour: 1, multiplier: 1.5 },
+        { upToHour: Infinity, multiplier: 2 },
+    ],
+    [OvertimeDayType.REST_DAY_SIX_DAY_WEEK]: [
+        { upToHour: 7, multiplier: 2 },
+        { upToHour: 8, multiplier: 3 },
+        { upToHour: Infinity, multiplier: 4 },
+    ],
+    [OvertimeDayType.SHORTEST_WORKDAY_HOLIDAY]: [
+        { upToHour: 5, multiplier: 2 },
+        { upToHour: 6, multiplier: 3 },
+        { upToHour: Infinity, multiplier: 4 },
+    ],
+    [OvertimeDayType.REST_DAY_FIVE_DAY_WEEK]: [
+        { upToHour: 8, multiplier: 2 },
+        { upToHour: 9, multiplier: 3 },
+        { upToHour: Infinity, multiplier: 4 },
+    ],
+};
+
+// Payroll batch CSV: id, ptkp_status and gross_monthly are required; pension_monthly, zakat_annual
+// and bonus_1..bonus_12 (bonus paid in that month) default to zero, npwp (Y/N) defaults to yes
+const PAYROLL_CSV_REQUIRED_COLUMNS = ['id', 'ptkp_status', 'gross_monthly'];
+const PAYROLL_CSV_NPWP_YES = ['y', 'yes', 'ya', 'true', '1'];
+const PAYROLL_CSV_NPWP_NO = ['n', 'no', 'tidak', 'false', '0'];
+
+// Columns of the batch summary table and the results CSV, in display order
+const PAYROLL_BATCH_COLUMNS: { key: keyof PayrollBatchRow; label: string; format: 'text' | 'amount' | 'percent' }[] = [
+    { key: 'id', label: 'ID', format: 'text' },
+    { key: 'ptkpStatus', label: 'PTKP', format: 'text' },
+    { key: 'hasNpwp', label: 'NPWP', format: 'text' },
+    { key: 'grossMonthly', label: 'Gross Monthly', format: 'amount' },
+    { key: 'bonusTotal', label: 'Bonuses', format: 'amount' },
+    { key: 'grossAnnual', label: 'Gross Annual', format: 'amount' },
+    { key: 'annualTax', label: 'Annual Tax', format: 'amount' },
+    { key: 'regularMonthTax', label: 'Monthly Tax (No Bonus)', format: 'amount' },
+    { key: 'finalMonthTax', label: 'December Tax', format: 'amount' },
+    { key: 'finalMonthRefund', label: 'December Refund', format: 'amount' },
+    { key: 'effectiveTaxRate', label: 'Effective Rate', format: 'percent' },
+    { key: 'takeHomeMonthly', label: 'Take-Home Monthly', format: 'amount' },
+    { key: 'takeHomeAnnual', label: 'Take-Home Annual', format: 'amount' },
+    { key: 'employerCostAnnual', label: 'Employer Cost', format: 'amount' },
+];
+
+class BPJSCalculator {
+    /**
+     * Get the wage caps in force for a year
+     */
+    getWageCaps(year: number): BPJSWageCaps {
+        if (year < BPJS_WAGE_CAPS[0].fromYear) {
+            throw new TaxInputError(`BPJS contributions are available from ${BPJS_WAGE_CAPS[0].fromYear}`);
+        }
+
+        let caps = BPJS_WAGE_CAPS[0];
+        for (const entry of BPJS_WAGE_CAPS) {
+            if (entry.fromYear <= year) {
+                caps = entry;
+            }
+        }
+        return caps;
+    }
+
+    /**
+     * Average monthly results, e.g. over a year with a changing wage
+     */
+    average(results: BPJSResult[]): BPJSResult {
+        const average = { ...results[0] };
+        for (const key of Object.keys(average) as (keyof BPJSResult)[]) {
+            average[key] = results
+                .reduce((sum, result) => sum.plus(result[key]), new Decimal(0))
+                .dividedBy(results.length)
+                .toNumber();
+        }
+        return average;
+    }
+
+    /**
+     * Calculate monthly BPJS Ketenagakerjaan and Kesehatan contributions
+     * JHT, JKK, JKM: full wage; JP and Kesehatan: wage up to the cap
+     * wageFloor: regional minimum wage, the lowest wage contributions are based on
+     */
+    calculate(wageInput: number, jkkRiskClass: JKKRiskClass, year: number = LATEST_TAX_YEAR, wageFloor: number = 0): BPJSResult {
+        // Contributions are never based on less than the regional minimum wage
+        const wage = Decimal.max(new Decimal(wageInput), wageFloor);
+        const caps = this.getWageCaps(year);
+        const jpWage = Decimal.min(wage, caps.jpWageCap);
+        const kesehatanWage = Decimal.min(wage, caps.kesehatanWageCap);
+        const jkkRate = new Decimal(JKK_RATES[jkkRiskClass]);
+
+        const jhtEmployee = wage.times(BPJS_RATES.jhtEmployee);
+        const jhtEmployer = wage.times(BPJS_RATES.jhtEmployer);
+        const jpEmployee = jpWage.times(BPJS_RATES.jpEmployee);
+        const jpEmployer = jpWage.times(BPJS_RATES.jpEmployer);
+        const jkk = wage.times(jkkRate);
+        const jkm = wage.times(BPJS_RATES.jkm);
+        const kesehatanEmployee = kesehatanWage.times(BPJS_RATES.kesehatanEmployee);
+        const kesehatanEmployer = kesehatanWage.times(BPJS_RATES.kesehatanEmployer);
+
+        return {
+            wage: wage.toNumber(),
+            jpWage: jpWage.toNumber(),
+            kesehatanWage: kesehatanWage.toNumber(),
+            jhtEmployee: jhtEmployee.toNumber(),
+            jhtEmployer: jhtEmployer.toNumber(),
+            jpEmployee: jpEmployee.toNumber(),
+            jpEmployer: jpEmployer.toNumber(),
+            jkk: jkk.toNumber(),
+            jkkRate: jkkRate.toNumber(),
+            jkm: jkm.toNumber(),
+            kesehatanEmployee: kesehatanEmployee.toNumber(),
+            kesehatanEmployer: kesehatanEmployer.toNumber(),
+            employerTaxable: jkk.plus(jkm).plus(kesehatanEmployer).toNumber(),
+            employeeDeductible: jhtEmployee.plus(jpEmployee).toNumber(),
+            employeeTotal: jhtEmployee.plus(jpEmployee).plus(kesehatanEmployee).toNumber(),
+            employerTotal: jhtEmployer.plus(jpEmployer).plus(jkk).plus(jkm).plus(kesehatanEmployer).toNumber(),
+        };
+    }
+}
+
+class MinimumWageTable {
+    /**
+     * Find a region by id
+     */
+    getRegion(regionId: string): MinimumWageRegion {
+        const region = MINIMUM_WAGES.find(r => r.id === regionId);
+        if (!region) {
+            throw new TaxInputError(`Unknown minimum wage region: ${regionId}`);
+        }
+        return region;
+    }
+
+    /**
+     * Minimum wage in force for a year; years after the table use its latest year, earlier years have none
+     */
+    getMinimumWage(regionId: string, year: number): { year: number; amount: number } | undefined {
+        const region = this.getRegion(regionId);
+        const years = Object.keys(region.wages).map(Number).filter(y => y <= year);
+        if (years.length === 0) {
+            return undefined;
+        }
+        const tableYear = Math.max(...years);
+        return { year: tableYear, amount: region.wages[tableYear] };
+    }
+
+    /**
+     * First year the table has a minimum wage for
+     */
+    getFirstYear(regionId: string): number {
+        return Math.min(...Object.keys(this.getRegion(regionId).wages).map(Number));
+    }
+}
+
+class OvertimeCalculator {
+    /**
+     * Hours of one overtime day weighted by the multiplier of each hour
+     */
+    getPaidHours(hours: number, dayType: OvertimeDayType): Decimal {
+        let paidHours = new Decimal(0);
+        let previousLimit = 0;
+
+        for (const tier of OVERTIME_MULTIPLIERS[dayType]) {
+            const hoursInTier = Math.min(hours, tier.upToHour) - previousLimit;
+            if (hoursInTier > 0) {
+                paidHours = paidHours.plus(new Decimal(hoursInTier).times(tier.multiplier));
+            }
+            if (hours <= tier.upToHour) {
+                break;
+            }
+            previousLimit = tier.upToHour;
+        }
+
+        return paidHours;
+    }
+
+    /**
+     * Calculate overtime pay for one month from the monthly wage (basic plus fixed allowances)
+     */
+    calculate(month: number, entries: PPh21OvertimeEntry[], monthlyWage: number): OvertimeResult {
+        const hourlyWage = new Decimal(monthlyWage).dividedBy(OVERTIME_HOURLY_DIVISOR);
+        let hours = new Decimal(0);
+        let paidHours = new Decimal(0);
+
+        for (const entry of entries) {
+            if (entry.hoursPerDay <= 0 || entry.days <= 0) {
+                throw new TaxInputError('Overtime hours and days must be positive');
+            }
+            hours = hours.plus(new Decimal(entry.hoursPerDay).times(entry.days));
+            paidHours = paidHours.plus(this.getPaidHours(entry.hoursPerDay, entry.dayType).times(entry.days));
+        }
+
+        return {
+            month,
+            monthlyWage,
+            hourlyWage: hourlyWage.toNumber(),
+            hours: hours.toNumber(),
+            paidHours: paidHours.toNumber(),
+            pay: hourlyWage.times(paidHours).toNumber(),
+        };
+    }
+}
+
 class PPH21Calculator {
+    private bpjsCalculator = new BPJSCalculator();
+    private overtimeCalculator = new OvertimeCalculator();
+    private minimumWageTable = new MinimumWageTable();
+
+    /**
+     * Get the rule set in force for a tax year
+     */
+    getTaxRules(taxYear: number): PPh21TaxRules {
+        if (!Number.isInteger(taxYear) || taxYear < MIN_TAX_YEAR || taxYear > LATEST_TAX_YEAR) {
+            throw new TaxInputError(`Tax year must be between ${MIN_TAX_YEAR} and ${LATEST_TAX_YEAR}`);
+        }
+
+        let rules = PPH21_TAX_RULES[0];
+        for (const ruleSet of PPH21_TAX_RULES) {
+            if (ruleSet.fromYear <= taxYear) {
+                rules = ruleSet;
+            }
+        }
+        return rules;
+    }
+
+    /**
+     * Check whether TER withholding applies in a tax year
+     */
+    isTERAvailable(taxYear: number): boolean {
+        return this.getTaxRules(taxYear).terRates !== undefined;
+    }
+
     /**
      * Get PTKP (Non-taxable income) amount based on status
      */
-    getPTKP(status: string): Decimal {
-        return new Decimal(PTKP_RATES[status] || PTKP_RATES['TK']);
+    getPTKP(status: string, taxYear: number = LATEST_TAX_YEAR): Decimal {
+        const ptkpRates = this.getTaxRules(taxYear).ptkp;
+        if (!Object.prototype.hasOwnProperty.call(ptkpRates, status)) {
+            throw new TaxInputError(`Unknown PTKP status: ${status}`);
+        }
+        return new Decimal(ptkpRates[status]);
+    }
+
+    /**
+     * Get the TER category mandated for a PTKP status
+     */
+    getTERCategory(status: string): PPh21TERCategory {
+        if (!Object.prototype.hasOwnProperty.call(TER_CATEGORY_BY_PTKP, status)) {
+            throw new TaxInputError(`Unknown PTKP status: ${status}`);
+        }
+        return TER_CATEGORY_BY_PTKP[status];
     }
 
     /**
      * Calculate progressive tax using Pasal 17 rates
      */
-    calculateProgressiveTax(pkp: Decimal): Decimal {
+    calculateProgressiveTax(pkp: Decimal, taxYear: number = LATEST_TAX_YEAR): Decimal {
         if (pkp.lte(0)) return new Decimal(0);
 
         let tax = new Decimal(0);
         let previousLimit = new Decimal(0);
 
-        for (const bracket of TAX_BRACKETS) {
+        for (const bracket of this.getTaxRules(taxYear).brackets) {
             const limit = new Decimal(bracket.limit);
             const rate = new Decimal(bracket.rate);
             const taxableInBracket = Decimal.min(pkp, limit).minus(previousLimit);
@@ -206,29 +1240,52 @@ class PPH21Calculator {
     /**
      * Get TER rate for monthly income and category
      */
-    getTERRate(monthlyIncome: Decimal, category: PPh21TERCategory): Decimal {
-        for (const bracket of TER_MONTHLY_RATES) {
-            if (monthlyIncome.gte(bracket.minIncome) && monthlyIncome.lte(bracket.maxIncome)) {
-                switch (category) {
-                    case PPh21TERCategory.A:
-                        return new Decimal(bracket.rateA);
-                    case PPh21TERCategory.B:
-                        return new Decimal(bracket.rateB);
-                    case PPh21TERCategory.C:
-                        return new Decimal(bracket.rateC);
-                }
+    getTERRate(monthlyIncome: Decimal, category: PPh21TERCategory, taxYear: number = LATEST_TAX_YEAR): Decimal {
+        const terRates = this.getTaxRules(taxYear).terRates;
+        if (!terRates) {
+            throw new TaxInputError(`TER withholding is not available for tax year ${taxYear}`);
+        }
+
+        const brackets = terRates[category];
+        for (const bracket of brackets) {
+            if (monthlyIncome.lte(bracket.maxIncome)) {
+                return new Decimal(bracket.rate);
+            }
+        }
+        // Unreachable: the last bracket is open-ended
+        return new Decimal(brackets[brackets.length - 1].rate);
+    }
+
+    /**
+     * Get the daily TER rate, or undefined when daily income exceeds the TER daily threshold
+     */
+    getTERDailyRate(dailyIncome: Decimal, taxYear: number = LATEST_TAX_YEAR): Decimal | undefined {
+        const terDailyRates = this.getTaxRules(taxYear).terDailyRates;
+        if (!terDailyRates) {
+            throw new TaxInputError(`TER daily rates are not available for tax year ${taxYear}`);
+        }
+
+        for (const bracket of terDailyRates) {
+            if (dailyIncome.lte(bracket.maxIncome)) {
+                return new Decimal(bracket.rate);
             }
         }
-        // Default to highest rate if not found
-        return new Decimal(category === PPh21TERCategory.A ? 0.15 : category === PPh21TERCategory.B ? 0.20 : 0.25);
+        return undefined;
+    }
+
+    /**
+     * Calculate biaya jabatan (position allowance): 5% of gross, max 500 thousand per month worked
+     */
+    calculateBiayaJabatan(grossAnnual: Decimal, workMonths: number = 12): Decimal {
+        const biaya = grossAnnual.times(BIAYA_JABATAN_RATE);
+        return Decimal.min(biaya, new Decimal(BIAYA_JABATAN_MONTHLY_CAP).times(workMonths));
     }
 
     /**
-     * Calculate biaya jabatan (position allowance): 5% of gross, max 6 million
+     * Calculate deductible pension/JHT contributions: max 200 thousand per month worked
      */
-    calculateBiayaJabatan(grossAnnual: Decimal): Decimal {
-        const biaya = grossAnnual.times(0.05);
-        return Decimal.min(biaya, 6_000_000);
+    calculatePensionDeduction(pensionAnnual: Decimal, workMonths: number = 12): Decimal {
+        return Decimal.min(pensionAnnual, new Decimal(PENSION_DEDUCTION_MONTHLY_CAP).times(workMonths));
     }
 
     /**
@@ -241,48 +1298,187 @@ class PPH21Calculator {
     /**
      * Calculate PPh 21 with full details
      */
-    calculate(
-        grossMonthlyInput: number,
-        ptkpStatus: string,
-        workMonthsInput: number = 12,
-        scheme: PPh21Scheme = PPh21Scheme.TRADITIONAL,
-        terCategory: PPh21TERCategory = PPh21TERCategory.B,
-        pensionMonthlyInput: number = 0,
-        zakatAnnualInput: number = 0,
-        bonuses: PPh21Bonus[] = []
-    ): PPh21DetailedResult {
-        const grossMonthly = new Decimal(grossMonthlyInput);
-        const workMonths = Math.max(1, Math.min(12, workMonthsInput));
+    calculate(input: PPh21Input): PPh21DetailedResult {
+        const {
+            ptkpStatus,
+            workMonths: workMonthsInput = 12,
+            scheme = PPh21Scheme.TRADITIONAL,
+            terCategoryOverride,
+            pensionMonthly: pensionMonthlyInput = 0,
+            zakatAnnual: zakatAnnualInput = 0,
+            bonuses = [],
+            benefits = [],
+            overtime = [],
+            taxYear = LATEST_TAX_YEAR,
+            grossUp = false,
+            bpjs,
+            minimumWageRegion,
+            monthlySchedule,
+            priorEmployment,
+            hasNpwp = true,
+        } = input;
+
+        // TER only exists from 2024; earlier years withhold annualized Pasal 17 tax
+        if (scheme === PPh21Scheme.TER && !this.isTERAvailable(taxYear)) {
+            throw new TaxInputError(`TER scheme applies from tax year 2024; use the traditional scheme for ${taxYear}`);
+        }
+
+        // Employment window: startMonth..endMonth (1-12), by default the first workMonths months
+        const startMonth = input.startMonth || 1;
+        const endMonth = input.endMonth || Math.min(12, startMonth + Math.max(1, workMonthsInput) - 1);
+        if (!Number.isInteger(startMonth) || !Number.isInteger(endMonth)
+            || startMonth < 1 || endMonth > 12 || startMonth > endMonth) {
+            throw new TaxInputError('Employment must start and end within the tax year, start month first');
+        }
+        const workMonths = endMonth - startMonth + 1;
+        const isEmployed = (monthIndex: number) => monthIndex >= startMonth - 1 && monthIndex <= endMonth - 1;
+
+        for (const bonus of bonuses) {
+            if (bonus.month < startMonth || bonus.month > endMonth) {
+                throw new TaxInputError(
+                    `${bonus.name} is paid in month ${bonus.month}, outside the employment period (months ${startMonth}-${endMonth})`
+                );
+            }
+        }
+
+        for (const entry of overtime) {
+            if (entry.month < startMonth || entry.month > endMonth) {
+                throw new TaxInputError(
+                    `Overtime in month ${entry.month} is outside the employment period (months ${startMonth}-${endMonth})`
+                );
+            }
+        }
+
+        for (const benefit of benefits) {
+            if (benefit.month !== undefined && (benefit.month < startMonth || benefit.month > endMonth)) {
+                throw new TaxInputError(
+                    `${benefit.name} is provided in month ${benefit.month}, outside the employment period (months ${startMonth}-${endMonth})`
+                );
+            }
+        }
+
         const pensionMonthly = new Decimal(pensionMonthlyInput);
         const zakatAnnual = new Decimal(zakatAnnualInput);
 
+        if (monthlySchedule && monthlySchedule.length !== 12) {
+            throw new TaxInputError('Monthly income schedule must have 12 months');
+        }
+
+        // TER category follows the PTKP status unless explicitly overridden
+        const terCategory = terCategoryOverride || this.getTERCategory(ptkpStatus);
+
+        // Salary per month (0-indexed), from the schedule or the single gross monthly amount
+        const monthlySalary: Decimal[] = new Array(12).fill(new Decimal(0));
+        for (let i = startMonth - 1; i < endMonth; i++) {
+            monthlySalary[i] = monthlySchedule
+                ? new Decimal(monthlySchedule[i].salary).plus(monthlySchedule[i].allowance || 0)
+                : new Decimal(input.grossMonthly);
+        }
+
         // Calculate gross annual from salary
-        const grossFromSalary = grossMonthly.times(workMonths);
+        const grossFromSalary = monthlySalary.reduce((sum, salary) => sum.plus(salary), new Decimal(0));
+        const grossMonthly = grossFromSalary.dividedBy(workMonths);
+
+        // Overtime on the month's wage; allowances in a schedule are variable pay and not part of it
+        const overtimeResults: OvertimeResult[] = [];
+        const overtimeByMonth: Decimal[] = new Array(12).fill(new Decimal(0));
+        for (let month = startMonth; month <= endMonth; month++) {
+            const entries = overtime.filter(e => e.month === month);
+            if (entries.length === 0) {
+                continue;
+            }
+            const monthlyWage = monthlySchedule ? monthlySchedule[month - 1].salary : input.grossMonthly;
+            const result = this.overtimeCalculator.calculate(month, entries, monthlyWage);
+            overtimeResults.push(result);
+            overtimeByMonth[month - 1] = new Decimal(result.pay);
+        }
+        const overtimeAnnual = overtimeByMonth.reduce((sum, pay) => sum.plus(pay), new Decimal(0));
 
         // Calculate total bonuses
         const bonusTotal = bonuses.reduce((sum, bonus) => sum.plus(bonus.amount), new Decimal(0));
-        const grossAnnual = grossFromSalary.plus(bonusTotal);
-
-        // Calculate annual pension contributions
-        const pensionAnnual = pensionMonthly.times(workMonths);
-
-        // Calculate deductions
-        const biayaJabatan = this.calculateBiayaJabatan(grossAnnual);
-        const totalDeductions = biayaJabatan.plus(pensionAnnual).plus(zakatAnnual);
 
-        // Calculate netto
-        const nettoAnnual = grossAnnual.minus(totalDeductions);
+        // Benefits in kind: taxable portion per month after the category exemptions
+        const naturaTaxableByMonth: Decimal[] = new Array(12).fill(new Decimal(0));
+        const benefitBreakdown = this.calculateBenefits(benefits, startMonth, endMonth, taxYear, naturaTaxableByMonth);
+        const sumBenefits = (field: 'value' | 'exempt' | 'taxable') =>
+            benefitBreakdown.reduce((sum, b) => sum.plus(b[field]), new Decimal(0));
+        const naturaTaxableAnnual = sumBenefits('taxable');
+
+        // Regional minimum wage: flags underpaid months and sets the BPJS wage floor
+        const minimumWage = minimumWageRegion
+            ? this.minimumWageTable.getMinimumWage(minimumWageRegion, taxYear)
+            : undefined;
+        const wageFloor = minimumWage ? minimumWage.amount : 0;
+        const belowMinimumWage = monthlySalary.some((salary, i) => isEmployed(i) && salary.lt(wageFloor));
+
+        // BPJS: employer JKK/JKM/Kesehatan premiums are income, employee JHT/JP are deductible
+        const bpjsByMonth: (BPJSResult | undefined)[] = monthlySalary.map((salary, i) =>
+            bpjs && isEmployed(i)
+                ? this.bpjsCalculator.calculate(salary.toNumber(), bpjs.jkkRiskClass, taxYear, wageFloor)
+                : undefined
+        );
+        const bpjsTaxableByMonth = bpjsByMonth.map(b => new Decimal(b ? b.employerTaxable : 0));
+        const sumBPJS = (field: 'employerTaxable' | 'employeeDeductible' | 'employeeTotal') =>
+            bpjsByMonth.reduce((sum, b) => sum.plus(b ? b[field] : 0), new Decimal(0));
+        const bpjsTaxableAnnual = sumBPJS('employerTaxable');
+        const bpjsDeductibleAnnual = sumBPJS('employeeDeductible');
+        const bpjsEmployeeAnnual = sumBPJS('employeeTotal');
+        const bpjsResult = bpjs
+            ? this.bpjsCalculator.average(bpjsByMonth.filter((b): b is BPJSResult => b !== undefined))
+            : undefined;
+
+        // Calculate annual pension contributions (including employee JHT and JP)
+        const pensionAnnual = pensionMonthly.times(workMonths).plus(bpjsDeductibleAnnual);
+        const pensionDeduction = this.calculatePensionDeduction(pensionAnnual, workMonths);
 
         // Get PTKP
-        const ptkp = this.getPTKP(ptkpStatus);
+        const ptkp = this.getPTKP(ptkpStatus, taxYear);
+
+        // Prior employer netto joins the annual computation; their withholding is credited
+        const priorNetto = new Decimal(priorEmployment ? priorEmployment.netto : 0);
+        const priorTaxPaid = new Decimal(priorEmployment ? priorEmployment.taxPaid : 0);
+
+        // Without NPWP every withholding, TER and annual alike, is 20% higher
+        const surchargeRate = new Decimal(hasNpwp ? 0 : NON_NPWP_SURCHARGE.pph21);
+
+        // Annual computation for a given annual gross income
+        const taxFor = (grossAnnual: Decimal) => {
+            // Calculate deductions
+            const biayaJabatan = this.calculateBiayaJabatan(grossAnnual, workMonths);
+            const totalDeductions = biayaJabatan.plus(pensionDeduction).plus(zakatAnnual);
+
+            // Calculate netto
+            const nettoAnnual = grossAnnual.minus(totalDeductions);
+
+            // Calculate PKP (rounded down to thousand)
+            const combinedNetto = nettoAnnual.plus(priorNetto);
+            const pkp = this.roundDownThousand(Decimal.max(0, combinedNetto.minus(ptkp)));
+
+            const annualTaxBase = this.calculateProgressiveTax(pkp, taxYear);
+            const npwpSurcharge = annualTaxBase.times(surchargeRate);
+            const annualTax = annualTaxBase.plus(npwpSurcharge);
+            // A prior employer's over-withholding is claimed in the annual return (SPT), not refunded here
+            const employerTax = Decimal.max(0, annualTax.minus(priorTaxPaid));
+            return {
+                grossAnnual, biayaJabatan, totalDeductions, nettoAnnual, combinedNetto, pkp,
+                annualTaxBase, npwpSurcharge, annualTax, employerTax,
+            };
+        };
 
-        // Calculate PKP (rounded down to thousand)
-        const pkp = this.roundDownThousand(Decimal.max(0, nettoAnnual.minus(ptkp)));
+        // Annual computation for the year's income and a given tax allowance (zero unless grossed up)
+        const annualFor = (taxAllowance: Decimal) => taxFor(
+            grossFromSalary.plus(overtimeAnnual).plus(bpjsTaxableAnnual).plus(naturaTaxableAnnual).plus(bonusTotal).plus(taxAllowance)
+        );
 
-        let annualTax: Decimal;
+        let taxAllowanceAnnual = new Decimal(0);
         let terPaid: Decimal | undefined;
+        let withheld: Decimal | undefined;
         let month12Adjustment: Decimal | undefined;
+        let overpaymentRefund: Decimal | undefined;
+        let finalMonthIncome: Decimal | undefined;
+        let month12TaxAllowance: Decimal | undefined;
         let monthlyBreakdown: PPh21DetailedResult['monthlyBreakdown'] | undefined;
+        let bonusTaxes: PPh21DetailedResult['bonusTaxes'] | undefined;
 
         if (scheme === PPh21Scheme.TER) {
             // TER Scheme: Month-by-month calculation
@@ -291,23 +1487,34 @@ class PPH21Calculator {
 
             // Initialize monthly income array
             const monthlyIncome: Decimal[] = new Array(12).fill(new Decimal(0));
-            for (let i = 0; i < workMonths; i++) {
-                monthlyIncome[i] = grossMonthly;
+            for (let i = startMonth - 1; i < endMonth; i++) {
+                monthlyIncome[i] = monthlySalary[i].plus(overtimeByMonth[i]).plus(bpjsTaxableByMonth[i]).plus(naturaTaxableByMonth[i]);
             }
 
-            // Add bonuses to appropriate months
+            // Add bonuses to appropriate months (validated against the employment window above)
             for (const bonus of bonuses) {
                 const monthIndex = bonus.month - 1; // Convert to 0-indexed
-                if (monthIndex >= 0 && monthIndex < 12 && monthIndex < workMonths) {
-                    monthlyIncome[monthIndex] = monthlyIncome[monthIndex].plus(bonus.amount);
-                }
+                monthlyIncome[monthIndex] = monthlyIncome[monthIndex].plus(bonus.amount);
             }
 
-            // Calculate TER for months 1-11 only
-            for (let i = 0; i < 11 && i < workMonths; i++) {
-                const income = monthlyIncome[i];
-                const terRate = this.getTERRate(income, terCategory);
-                const monthTax = income.times(terRate);
+            // Calculate TER for every month except the final one, which carries the annual adjustment
+            for (let i = startMonth - 1; i < endMonth - 1; i++) {
+                // Gross-up: the month's allowance is itself taxed at that month's TER rate,
+                // so once the bracket is known the allowance is income × rate / (1 - rate)
+                let monthAllowance = new Decimal(0);
+                if (grossUp) {
+                    const approxAllowance = this.solveTaxAllowance(allowance => {
+                        const grossedUp = monthlyIncome[i].plus(allowance);
+                        return grossedUp.times(this.getTERRate(grossedUp, terCategory, taxYear)).times(surchargeRate.plus(1));
+                    });
+                    const rate = this.getTERRate(monthlyIncome[i].plus(approxAllowance), terCategory, taxYear)
+                        .times(surchargeRate.plus(1));
+                    monthAllowance = monthlyIncome[i].times(rate).dividedBy(new Decimal(1).minus(rate));
+                }
+                const income = monthlyIncome[i].plus(monthAllowance);
+                const terRate = this.getTERRate(income, terCategory, taxYear);
+                const monthSurcharge = income.times(terRate).times(surchargeRate);
+                const monthTax = income.times(terRate).plus(monthSurcharge);
 
                 // Check if this month has bonuses
                 const monthBonuses = bonuses.filter(b => b.month === i + 1);
@@ -317,55 +1524,909 @@ class PPH21Calculator {
                 monthlyBreakdown.push({
                     month: i + 1,
                     income: income.toNumber(),
+                    overtime: overtimeByMonth[i].gt(0) ? overtimeByMonth[i].toNumber() : undefined,
                     terRate: terRate.toNumber(),
                     tax: monthTax.toNumber(),
+                    surcharge: hasNpwp ? undefined : monthSurcharge.toNumber(),
                     hasBonus,
-                    bonusNames: hasBonus ? bonusNames : undefined
+                    bonusNames: hasBonus ? bonusNames : undefined,
+                    taxAllowance: grossUp ? monthAllowance.toNumber() : undefined
                 });
 
                 terPaid = terPaid.plus(monthTax);
+                taxAllowanceAnnual = taxAllowanceAnnual.plus(monthAllowance);
             }
 
-            // Calculate annual progressive tax
-            annualTax = this.calculateProgressiveTax(pkp);
-
-            // Month 12 adjustment
-            month12Adjustment = annualTax.minus(terPaid);
+            finalMonthIncome = monthlyIncome[endMonth - 1];
 
+            // Final month: the allowance covers whatever annual tax TER has not withheld yet.
+            // When TER withheld too much it is negative, so the refund goes back to the employer
+            // and the year's allowances still equal the annual tax.
+            if (grossUp) {
+                const allowanceToDate = taxAllowanceAnnual;
+                const paidToDate = terPaid;
+                month12TaxAllowance = this.solveTaxAllowance(allowance =>
+                    annualFor(allowanceToDate.plus(allowance)).employerTax.minus(paidToDate)
+                );
+                taxAllowanceAnnual = taxAllowanceAnnual.plus(month12TaxAllowance);
+                finalMonthIncome = finalMonthIncome.plus(month12TaxAllowance);
+            }
+        } else if (grossUp) {
+            // Traditional Scheme: the annual allowance is taxed along with the rest of the year's income
+            taxAllowanceAnnual = this.solveTaxAllowance(allowance => annualFor(allowance).employerTax);
+        }
+
+        const {
+            grossAnnual, biayaJabatan, totalDeductions, nettoAnnual, combinedNetto, pkp,
+            annualTaxBase, npwpSurcharge, annualTax, employerTax,
+        } = annualFor(taxAllowanceAnnual);
+
+        if (scheme === PPh21Scheme.TRADITIONAL) {
+            // Traditional Scheme: each month's regular income is annualized and withheld pro rata;
+            // irregular income (bonuses) is withheld in its month as the extra annual tax it causes
+            monthlyBreakdown = [];
+            bonusTaxes = [];
+            withheld = new Decimal(0);
+            const allowanceMonthly = taxAllowanceAnnual.dividedBy(workMonths);
+            const regularIncome = (i: number) =>
+                monthlySalary[i].plus(overtimeByMonth[i]).plus(bpjsTaxableByMonth[i]).plus(naturaTaxableByMonth[i])
+                    .plus(allowanceMonthly);
+            const irregularIncome = (i: number) => bonuses
+                .filter(b => b.month === i + 1)
+                .reduce((sum, b) => sum.plus(b.amount), new Decimal(0));
+
+            for (let i = startMonth - 1; i < endMonth - 1; i++) {
+                const regularAnnualized = regularIncome(i).times(workMonths);
+                const regularAnnualTax = taxFor(regularAnnualized).employerTax;
+                const regularTax = regularAnnualTax.dividedBy(workMonths);
+                const irregularTax = irregularIncome(i).gt(0)
+                    ? taxFor(regularAnnualized.plus(irregularIncome(i))).employerTax.minus(regularAnnualTax)
+                    : new Decimal(0);
+                const monthBonuses = bonuses.filter(b => b.month === i + 1);
+                bonusTaxes.push(...this.attributeBonusTax(monthBonuses, irregularTax));
+
+                monthlyBreakdown.push({
+                    month: i + 1,
+                    income: regularIncome(i).plus(irregularIncome(i)).toNumber(),
+                    overtime: overtimeByMonth[i].gt(0) ? overtimeByMonth[i].toNumber() : undefined,
+                    tax: regularTax.plus(irregularTax).toNumber(),
+                    regularTax: regularTax.toNumber(),
+                    irregularTax: monthBonuses.length > 0 ? irregularTax.toNumber() : undefined,
+                    hasBonus: monthBonuses.length > 0,
+                    bonusNames: monthBonuses.length > 0 ? monthBonuses.map(b => b.name).join(', ') : undefined,
+                    taxAllowance: grossUp ? allowanceMonthly.toNumber() : undefined
+                });
+
+                withheld = withheld.plus(regularTax).plus(irregularTax);
+            }
+
+            finalMonthIncome = regularIncome(endMonth - 1).plus(irregularIncome(endMonth - 1));
+            month12TaxAllowance = grossUp ? allowanceMonthly : undefined;
         } else {
-            // Traditional Scheme: Simple annual progressive tax
-            annualTax = this.calculateProgressiveTax(pkp);
+            withheld = terPaid;
         }
 
-        // Calculate monthly tax and take-home
-        const monthlyTax = annualTax.dividedBy(12);
-        const effectiveTaxRate = grossAnnual.gt(0) ? annualTax.dividedBy(grossAnnual).times(100) : new Decimal(0);
-        const takeHomeAnnual = grossAnnual.minus(annualTax);
-        const takeHomeMonthly = takeHomeAnnual.dividedBy(12);
+        if (withheld && monthlyBreakdown && finalMonthIncome) {
+            // Final month adjustment: annual tax less prior employer and earlier withholding.
+            // When more was withheld than the annual tax, nothing is withheld and the excess is refunded.
+            const adjustment = employerTax.minus(withheld);
+            month12Adjustment = Decimal.max(0, adjustment);
+            overpaymentRefund = Decimal.min(withheld, Decimal.max(0, withheld.minus(employerTax)));
+
+            // Traditional: final-month bonuses carry the annual tax they add over the year without them
+            const finalMonthBonuses = bonuses.filter(b => b.month === endMonth);
+            let finalIrregularTax: Decimal | undefined;
+            if (bonusTaxes && finalMonthBonuses.length > 0) {
+                const finalBonusTotal = finalMonthBonuses.reduce((sum, b) => sum.plus(b.amount), new Decimal(0));
+                const taxWithoutFinalBonuses = taxFor(grossAnnual.minus(finalBonusTotal)).employerTax;
+                finalIrregularTax = employerTax.minus(taxWithoutFinalBonuses);
+                bonusTaxes.push(...this.attributeBonusTax(finalMonthBonuses, finalIrregularTax));
+            }
+
+            monthlyBreakdown.push({
+                month: endMonth,
+                income: finalMonthIncome.toNumber(),
+                overtime: overtimeByMonth[endMonth - 1].gt(0) ? overtimeByMonth[endMonth - 1].toNumber() : undefined,
+                tax: month12Adjustment.toNumber(),
+                irregularTax: finalIrregularTax ? finalIrregularTax.toNumber() : undefined,
+                hasBonus: finalMonthBonuses.length > 0,
+                bonusNames: finalMonthBonuses.length > 0 ? finalMonthBonuses.map(b => b.name).join(', ') : undefined,
+                taxAllowance: month12TaxAllowance ? month12TaxAllowance.toNumber() : undefined,
+                isFinalMonth: true,
+                refund: overpaymentRefund.gt(0) ? overpaymentRefund.toNumber() : undefined
+            });
+        }
+
+        // Calculate monthly tax and take-home over the months worked
+        const monthlyTax = employerTax.dividedBy(workMonths);
+        const priorGross = new Decimal(priorEmployment ? priorEmployment.gross : 0);
+        const yearGross = grossAnnual.plus(priorGross);
+        const effectiveTaxRate = yearGross.gt(0) ? annualTax.dividedBy(yearGross).times(100) : new Decimal(0);
+        // BPJS premiums paid by the employer and benefits in kind are not cash; employee shares are withheld from pay
+        const takeHomeAnnual = grossAnnual
+            .minus(employerTax)
+            .minus(bpjsTaxableAnnual)
+            .minus(naturaTaxableAnnual)
+            .minus(bpjsEmployeeAnnual);
+        const takeHomeMonthly = takeHomeAnnual.dividedBy(workMonths);
+
+        // Employer cost: cash pay, full benefit value and every employer BPJS share, month by month
+        const employerCostMonthly: (PPh21EmployerCost & { month: number })[] = [];
+        for (let month = startMonth; month <= endMonth; month++) {
+            const i = month - 1;
+            const breakdownMonth = monthlyBreakdown ? monthlyBreakdown.find(m => m.month === month) : undefined;
+            const salary = monthlySalary[i];
+            const monthBonuses = bonuses
+                .filter(b => b.month === month)
+                .reduce((sum, b) => sum.plus(b.amount), new Decimal(0));
+            const monthBenefits = benefits
+                .filter(b => b.month === undefined || b.month === month)
+                .reduce((sum, b) => sum.plus(b.amount), new Decimal(0));
+            const bpjsEmployer = new Decimal(bpjsByMonth[i] ? bpjsByMonth[i]!.employerTotal : 0);
+            const monthAllowance = new Decimal(breakdownMonth && breakdownMonth.taxAllowance || 0);
+
+            employerCostMonthly.push({
+                month,
+                salary: salary.toNumber(),
+                overtime: overtimeByMonth[i].toNumber(),
+                bonuses: monthBonuses.toNumber(),
+                benefits: monthBenefits.toNumber(),
+                bpjsEmployer: bpjsEmployer.toNumber(),
+                taxAllowance: monthAllowance.toNumber(),
+                total: salary.plus(overtimeByMonth[i]).plus(monthBonuses).plus(monthBenefits).plus(bpjsEmployer)
+                    .plus(monthAllowance).toNumber(),
+            });
+        }
+        const sumEmployerCost = (field: keyof PPh21EmployerCost) =>
+            employerCostMonthly.reduce((sum, m) => sum.plus(m[field]), new Decimal(0)).toNumber();
+        const employerCostAnnual: PPh21EmployerCost = {
+            salary: sumEmployerCost('salary'),
+            overtime: sumEmployerCost('overtime'),
+            bonuses: sumEmployerCost('bonuses'),
+            benefits: sumEmployerCost('benefits'),
+            bpjsEmployer: sumEmployerCost('bpjsEmployer'),
+            taxAllowance: sumEmployerCost('taxAllowance'),
+            total: sumEmployerCost('total'),
+        };
 
         return {
+            taxYear,
             grossMonthly: grossMonthly.toNumber(),
+            grossFromSalary: grossFromSalary.toNumber(),
+            monthlySchedule,
             grossAnnual: grossAnnual.toNumber(),
             bonusTotal: bonusTotal.toNumber(),
             bonuses,
+            bonusTaxes: bonusTaxes && bonusTaxes.length > 0 ? bonusTaxes : undefined,
             workMonths,
+            startMonth,
+            endMonth,
+            grossUp,
+            taxAllowanceAnnual: grossUp ? taxAllowanceAnnual.toNumber() : undefined,
+            overtime: overtimeResults.length > 0 ? overtimeResults : undefined,
+            overtimeAnnual: overtimeResults.length > 0 ? overtimeAnnual.toNumber() : undefined,
+            benefits: benefits.length > 0 ? benefitBreakdown : undefined,
+            benefitValueAnnual: benefits.length > 0 ? sumBenefits('value').toNumber() : undefined,
+            benefitExemptAnnual: benefits.length > 0 ? sumBenefits('exempt').toNumber() : undefined,
+            benefitTaxableAnnual: benefits.length > 0 ? naturaTaxableAnnual.toNumber() : undefined,
+            bpjs: bpjsResult,
+            bpjsTaxableAnnual: bpjsResult ? bpjsTaxableAnnual.toNumber() : undefined,
+            bpjsDeductibleAnnual: bpjsResult ? bpjsDeductibleAnnual.toNumber() : undefined,
+            minimumWage: minimumWageRegion
+                ? { region: this.minimumWageTable.getRegion(minimumWageRegion).name, year: taxYear, ...minimumWage }
+                : undefined,
+            belowMinimumWage: minimumWage ? belowMinimumWage : undefined,
+            biayaJabatanUncapped: grossAnnual.times(BIAYA_JABATAN_RATE).toNumber(),
+            biayaJabatanCap: BIAYA_JABATAN_MONTHLY_CAP * workMonths,
             biayaJabatan: biayaJabatan.toNumber(),
             pensionAnnual: pensionAnnual.toNumber(),
+            pensionCap: PENSION_DEDUCTION_MONTHLY_CAP * workMonths,
+            pensionDeduction: pensionDeduction.toNumber(),
             zakatDonation: zakatAnnual.toNumber(),
             totalDeductions: totalDeductions.toNumber(),
+            priorGross: priorEmployment ? priorGross.toNumber() : undefined,
+            priorNetto: priorEmployment ? priorNetto.toNumber() : undefined,
+            priorTaxPaid: priorEmployment ? priorTaxPaid.toNumber() : undefined,
+            combinedNetto: priorEmployment ? combinedNetto.toNumber() : undefined,
             nettoAnnual: nettoAnnual.toNumber(),
             ptkp: ptkp.toNumber(),
             pkp: pkp.toNumber(),
             scheme,
             terCategory: scheme === PPh21Scheme.TER ? terCategory : undefined,
+            terCategoryOverridden: scheme === PPh21Scheme.TER ? terCategoryOverride !== undefined : undefined,
+            hasNpwp,
+            annualTaxBase: annualTaxBase.toNumber(),
+            npwpSurcharge: npwpSurcharge.toNumber(),
             annualTax: annualTax.toNumber(),
+            employerTax: employerTax.toNumber(),
             monthlyTax: monthlyTax.toNumber(),
             effectiveTaxRate: effectiveTaxRate.toNumber(),
             terPaid: terPaid ? terPaid.toNumber() : undefined,
-            month12Adjustment: month12Adjustment ? month12Adjustment.toNumber() : undefined,
+            withheldBeforeFinalMonth: withheld ? withheld.toNumber() : undefined,
+            month12Adjustment: month12Adjustment !== undefined ? month12Adjustment.toNumber() : undefined,
+            overpaymentRefund: overpaymentRefund !== undefined ? overpaymentRefund.toNumber() : undefined,
+            month12TaxAllowance: month12TaxAllowance ? month12TaxAllowance.toNumber() : undefined,
             monthlyBreakdown,
             takeHomeAnnual: takeHomeAnnual.toNumber(),
             takeHomeMonthly: takeHomeMonthly.toNumber(),
+            employerCostMonthly,
+            employerCostAnnual,
+        };
+    }
+
+    /**
+     * Apply the benefit in kind exemptions for the tax year, category by category.
+     * Monthly thresholds apply to each month's value; annual thresholds are used up in month order.
+     * Fills taxableByMonth (0-indexed) and returns the annual breakdown per category.
+     */
+    calculateBenefits(
+        benefits: PPh21Benefit[],
+        startMonth: number,
+        endMonth: number,
+        taxYear: number,
+        taxableByMonth: Decimal[]
+    ): NonNullable<PPh21DetailedResult['benefits']> {
+        const exemptions = this.getTaxRules(taxYear).naturaExemptions;
+        const categories = Array.from(new Set(benefits.map(b => b.category)));
+
+        return categories.map(category => {
+            // Before PMK 66/2023 benefits in kind are not income of the employee
+            const exemption = exemptions ? exemptions[category] : { limit: Infinity, period: 'annual' };
+            let annualAllowance = new Decimal(exemption.limit);
+            let value = new Decimal(0);
+            let taxable = new Decimal(0);
+
+            for (let month = startMonth; month <= endMonth; month++) {
+                const monthValue = benefits
+                    .filter(b => b.category === category && (b.month === undefined || b.month === month))
+                    .reduce((sum, b) => sum.plus(b.amount), new Decimal(0));
+
+                let monthExempt: Decimal;
+                if (exemption.period === 'annual') {
+                    monthExempt = Decimal.min(monthValue, annualAllowance);
+                    annualAllowance = annualAllowance.minus(monthExempt);
+                } else {
+                    monthExempt = Decimal.min(monthValue, exemption.limit);
+                }
+
+                const monthTaxable = monthValue.minus(monthExempt);
+                taxableByMonth[month - 1] = taxableByMonth[month - 1].plus(monthTaxable);
+                value = value.plus(monthValue);
+                taxable = taxable.plus(monthTaxable);
+            }
+
+            return {
+                category,
+                value: value.toNumber(),
+                exempt: value.minus(taxable).toNumber(),
+                taxable: taxable.toNumber(),
+            };
+        });
+    }
+
+    /**
+     * Split a month's irregular income tax across its bonuses in proportion to their amounts
+     */
+    attributeBonusTax(monthBonuses: PPh21Bonus[], irregularTax: Decimal): (PPh21Bonus & { tax: number })[] {
+        const monthTotal = monthBonuses.reduce((sum, b) => sum.plus(b.amount), new Decimal(0));
+        return monthBonuses.map(bonus => ({
+            ...bonus,
+            tax: monthTotal.gt(0) ? irregularTax.times(bonus.amount).dividedBy(monthTotal).toNumber() : 0,
+        }));
+    }
+
+    /**
+     * Gross-up: find the tax allowance equal to the tax it generates.
+     * Each extra rupiah of allowance adds less than a rupiah of tax, so iterating from zero
+     * converges to the fixed point, also when it is negative.
+     */
+    solveTaxAllowance(taxFor: (allowance: Decimal) => Decimal): Decimal {
+        let allowance = new Decimal(0);
+        for (let i = 0; i < 100; i++) {
+            const tax = taxFor(allowance);
+            if (tax.minus(allowance).abs().lt(0.01)) {
+                return tax;
+            }
+            allowance = tax;
+        }
+        return allowance;
+    }
+
+    /**
+     * Run the same input under both schemes. The schemes only shift withholding between months:
+     * the final-month adjustment brings both to the same annual tax.
+     */
+    compareSchemes(input: PPh21Input): PPh21SchemeComparison {
+        const taxYear = input.taxYear || LATEST_TAX_YEAR;
+        if (!this.isTERAvailable(taxYear)) {
+            throw new TaxInputError(`TER scheme applies from tax year 2024; there is nothing to compare for ${taxYear}`);
+        }
+
+        const traditional = this.calculate({ ...input, scheme: PPh21Scheme.TRADITIONAL });
+        const ter = this.calculate({ ...input, scheme: PPh21Scheme.TER });
+
+        const months: PPh21SchemeComparison['months'] = [];
+        let traditionalTotal = new Decimal(0);
+        let terTotal = new Decimal(0);
+        for (let month = ter.startMonth; month <= ter.endMonth; month++) {
+            const traditionalMonth = traditional.monthlyBreakdown!.find(m => m.month === month)!;
+            const terMonth = ter.monthlyBreakdown!.find(m => m.month === month)!;
+            const traditionalTax = new Decimal(traditionalMonth.tax).minus(traditionalMonth.refund || 0);
+            const terTax = new Decimal(terMonth.tax).minus(terMonth.refund || 0);
+
+            traditionalTotal = traditionalTotal.plus(traditionalTax);
+            terTotal = terTotal.plus(terTax);
+            months.push({
+                month,
+                traditionalTax: traditionalTax.toNumber(),
+                terTax: terTax.toNumber(),
+                difference: terTax.minus(traditionalTax).toNumber(),
+                cumulativeDifference: terTotal.minus(traditionalTotal).toNumber(),
+            });
+        }
+
+        return {
+            taxYear,
+            traditional,
+            ter,
+            months,
+            traditionalTotal: traditionalTotal.toNumber(),
+            terTotal: terTotal.toNumber(),
+        };
+    }
+
+    /**
+     * Net-to-gross solver: find the gross monthly salary whose take-home
+     * matches the target, keeping bonuses, pension and other inputs fixed.
+     * Bisects to the lowest whole rupiah reaching the target; targets that
+     * are out of range or cannot be bracketed throw a TaxInputError.
+     */
+    solveGrossMonthly(targetTakeHomeMonthly: number, input: Omit<PPh21Input, 'grossMonthly'>): PPh21DetailedResult {
+        if (input.monthlySchedule) {
+            throw new TaxInputError('The net-to-gross solver needs a single gross monthly salary, not a monthly schedule');
+        }
+
+        if (!Number.isFinite(targetTakeHomeMonthly) || targetTakeHomeMonthly <= 0 || targetTakeHomeMonthly > SOLVER_MAX_TAKE_HOME_MONTHLY) {
+            throw new TaxInputError(`Target monthly take-home must be a positive amount no greater than ${formatCurrency(SOLVER_MAX_TAKE_HOME_MONTHLY)}`);
+        }
+
+        const target = new Decimal(targetTakeHomeMonthly);
+        const takeHomeFor = (grossMonthly: Decimal): Decimal =>
+            new Decimal(this.calculate({ ...input, grossMonthly: grossMonthly.toNumber() }).takeHomeMonthly);
+
+        // Take-home grows with gross (marginal rates are below 100%), so widen until bracketed
+        let low = new Decimal(0);
+        let high = Decimal.max(target, 1);
+        let steps = 0;
+        while (takeHomeFor(high).lt(target)) {
+            if (++steps > SOLVER_MAX_STEPS) {
+                throw new TaxInputError('No gross salary reaches the target monthly take-home');
+            }
+            low = high;
+            high = high.times(2);
+        }
+
+        steps = 0;
+        while (high.minus(low).gt(1)) {
+            if (++steps > SOLVER_MAX_STEPS) {
+                throw new TaxInputError('The net-to-gross solver did not converge on a gross salary');
+            }
+            const mid = low.plus(high).dividedBy(2).floor();
+            if (takeHomeFor(mid).lt(target)) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        return {
+            ...this.calculate({ ...input, grossMonthly: high.toNumber() }),
+            targetTakeHomeMonthly: target.toNumber(),
+        };
+    }
+}
+
+class PPH21NonEmployeeCalculator {
+    private pph21Calculator = new PPH21Calculator();
+
+    /**
+     * Calculate PPh 21 for non-employees (bukan pegawai), payment by payment
+     * Non-cumulative: Pasal 17 on 50% of each payment
+     * Cumulative: Pasal 17 on 50% of gross to date, less tax on earlier payments
+     * TER daily: gross × daily TER rate, Pasal 17 on 50% above the daily threshold
+     */
+    calculate(
+        payments: PPh21NonEmployeePayment[],
+        method: PPh21NonEmployeeMethod,
+        taxYear: number = LATEST_TAX_YEAR,
+        hasNpwp: boolean = true
+    ): PPh21NonEmployeeResult {
+        if (payments.length === 0) {
+            throw new TaxInputError('Please add at least one payment');
+        }
+
+        const surchargeRate = new Decimal(hasNpwp ? 0 : NON_NPWP_SURCHARGE.pph21);
+        let cumulativeDpp = new Decimal(0);
+        let totalGross = new Decimal(0);
+        let totalDpp = new Decimal(0);
+        let totalBaseTax = new Decimal(0);
+        let totalSurcharge = new Decimal(0);
+
+        const paymentResults = payments.map(payment => {
+            const gross = new Decimal(payment.amount);
+            let dpp = gross.times(NON_EMPLOYEE_DPP_RATE);
+            let baseTax: Decimal;
+            let terRate: Decimal | undefined;
+
+            switch (method) {
+                case PPh21NonEmployeeMethod.CUMULATIVE: {
+                    const previousTax = this.pph21Calculator.calculateProgressiveTax(cumulativeDpp, taxYear);
+                    cumulativeDpp = cumulativeDpp.plus(dpp);
+                    baseTax = this.pph21Calculator.calculateProgressiveTax(cumulativeDpp, taxYear).minus(previousTax);
+                    break;
+                }
+                case PPh21NonEmployeeMethod.TER_DAILY:
+                    terRate = this.pph21Calculator.getTERDailyRate(gross, taxYear);
+                    if (terRate) {
+                        dpp = gross;
+                        baseTax = gross.times(terRate);
+                    } else {
+                        baseTax = this.pph21Calculator.calculateProgressiveTax(dpp, taxYear);
+                    }
+                    break;
+                default:
+                    baseTax = this.pph21Calculator.calculateProgressiveTax(dpp, taxYear);
+            }
+
+            const surcharge = baseTax.times(surchargeRate);
+            totalGross = totalGross.plus(gross);
+            totalDpp = totalDpp.plus(dpp);
+            totalBaseTax = totalBaseTax.plus(baseTax);
+            totalSurcharge = totalSurcharge.plus(surcharge);
+
+            return {
+                description: payment.description,
+                gross: gross.toNumber(),
+                dpp: dpp.toNumber(),
+                cumulativeDpp: method === PPh21NonEmployeeMethod.CUMULATIVE ? cumulativeDpp.toNumber() : undefined,
+                terRate: terRate ? terRate.toNumber() : undefined,
+                baseTax: baseTax.toNumber(),
+                surcharge: surcharge.toNumber(),
+                tax: baseTax.plus(surcharge).toNumber(),
+            };
+        });
+
+        const totalTax = totalBaseTax.plus(totalSurcharge);
+        const effectiveTaxRate = totalGross.gt(0) ? totalTax.dividedBy(totalGross).times(100) : new Decimal(0);
+
+        return {
+            taxYear,
+            method,
+            hasNpwp,
+            payments: paymentResults,
+            totalGross: totalGross.toNumber(),
+            totalDpp: totalDpp.toNumber(),
+            totalBaseTax: totalBaseTax.toNumber(),
+            totalSurcharge: totalSurcharge.toNumber(),
+            totalTax: totalTax.toNumber(),
+            effectiveTaxRate: effectiveTaxRate.toNumber(),
+            netPaid: totalGross.minus(totalTax).toNumber(),
+        };
+    }
+}
+
+class PPH21DailyWorkerCalculator {
+    private pph21Calculator = new PPH21Calculator();
+
+    /**
+     * Calculate PPh 21 for casual workers (pegawai tidak tetap) paid daily or weekly
+     * Average daily wage up to the daily threshold: gross × TER daily rate
+     * Above the threshold: Pasal 17 on 50% of gross
+     */
+    calculate(
+        wages: PPh21DailyWage[],
+        taxYear: number = LATEST_TAX_YEAR,
+        hasNpwp: boolean = true
+    ): PPh21DailyWorkerResult {
+        if (wages.length === 0) {
+            throw new TaxInputError('Please add at least one wage payment');
+        }
+
+        const surchargeRate = new Decimal(hasNpwp ? 0 : NON_NPWP_SURCHARGE.pph21);
+        let totalGross = new Decimal(0);
+        let totalBaseTax = new Decimal(0);
+        let totalSurcharge = new Decimal(0);
+        let totalDays = 0;
+
+        const wageResults = wages.map(wage => {
+            const date = new Date(wage.date);
+            if (isNaN(date.getTime()) || date.getUTCFullYear() !== taxYear) {
+                throw new TaxInputError(`Wage date ${wage.date} is not in tax year ${taxYear}`);
+            }
+
+            const days = wage.days || 1;
+            const gross = new Decimal(wage.amount);
+            const dailyAverage = gross.dividedBy(days);
+            const terRate = this.pph21Calculator.getTERDailyRate(dailyAverage, taxYear);
+            const dpp = terRate ? gross : gross.times(NON_EMPLOYEE_DPP_RATE);
+            const baseTax = terRate
+                ? gross.times(terRate)
+                : this.pph21Calculator.calculateProgressiveTax(dpp, taxYear);
+            const surcharge = baseTax.times(surchargeRate);
+
+            totalGross = totalGross.plus(gross);
+            totalBaseTax = totalBaseTax.plus(baseTax);
+            totalSurcharge = totalSurcharge.plus(surcharge);
+            totalDays += days;
+
+            return {
+                date: wage.date,
+                month: date.getUTCMonth() + 1,
+                days,
+                gross: gross.toNumber(),
+                dailyAverage: dailyAverage.toNumber(),
+                dpp: dpp.toNumber(),
+                terRate: terRate ? terRate.toNumber() : undefined,
+                baseTax: baseTax.toNumber(),
+                surcharge: surcharge.toNumber(),
+                tax: baseTax.plus(surcharge).toNumber(),
+            };
+        });
+
+        const monthlySummary: PPh21DailyWorkerResult['monthlySummary'] = [];
+        for (let month = 1; month <= 12; month++) {
+            const monthWages = wageResults.filter(w => w.month === month);
+            if (monthWages.length === 0) {
+                continue;
+            }
+
+            const gross = monthWages.reduce((sum, w) => sum.plus(w.gross), new Decimal(0));
+            const tax = monthWages.reduce((sum, w) => sum.plus(w.tax), new Decimal(0));
+            monthlySummary.push({
+                month,
+                daysWorked: monthWages.reduce((sum, w) => sum + w.days, 0),
+                gross: gross.toNumber(),
+                tax: tax.toNumber(),
+                netPaid: gross.minus(tax).toNumber(),
+            });
+        }
+
+        const totalTax = totalBaseTax.plus(totalSurcharge);
+        const effectiveTaxRate = totalGross.gt(0) ? totalTax.dividedBy(totalGross).times(100) : new Decimal(0);
+
+        return {
+            taxYear,
+            hasNpwp,
+            wages: wageResults.sort((a, b) => a.date.localeCompare(b.date)),
+            monthlySummary,
+            totalDays,
+            totalGross: totalGross.toNumber(),
+            totalBaseTax: totalBaseTax.toNumber(),
+            totalSurcharge: totalSurcharge.toNumber(),
+            totalTax: totalTax.toNumber(),
+            effectiveTaxRate: effectiveTaxRate.toNumber(),
+            netPaid: totalGross.minus(totalTax).toNumber(),
+        };
+    }
+}
+
+class PayrollBatchCalculator {
+    private pph21Calculator = new PPH21Calculator();
+
+    /**
+     * Split CSV text into rows of fields; quoted fields may hold the delimiter, doubled quotes and line breaks
+     */
+    splitRows(text: string, delimiter: string): string[][] {
+        const rows: string[][] = [];
+        let row: string[] = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * Read employees from a payroll CSV with a header row; blank rows are skipped
+     */
+    parseCSV(text: string): PayrollEmployee[] {
+        const content = text.replace(/^\uFEFF/, '');
+        // Spreadsheets in locales with a decimal comma, Indonesian included, save with semicolons
+        const headerLine = content.split(/\r?\n/, 1)[0];
+        const delimiter = headerLine.includes(';') && !headerLine.includes(',') ? ';' : ',';
+        const [header, ...rows] = this.splitRows(content, delimiter);
+        if (!header) {
+            throw new TaxInputError('The payroll CSV is empty');
+        }
+
+        const columns = header.map(column => column.trim().toLowerCase());
+        for (const column of PAYROLL_CSV_REQUIRED_COLUMNS) {
+            if (!columns.includes(column)) {
+                throw new TaxInputError(`The payroll CSV has no ${column} column`);
+            }
+        }
+
+        const employees: PayrollEmployee[] = [];
+        const ids = new Set<string>();
+        rows.forEach((fields, index) => {
+            const row = index + 2;
+            if (fields.every(field => field.trim() === '')) {
+                return;
+            }
+
+            const value = (column: string) => {
+                const position = columns.indexOf(column);
+                return position >= 0 && position < fields.length ? fields[position].trim() : '';
+            };
+            const amount = (column: string) => {
+                const parsed = value(column) === '' ? 0 : Number(value(column));
+                if (!Number.isFinite(parsed) || parsed < 0) {
+                    throw new TaxInputError(`Row ${row}, column ${column}: "${value(column)}" is not a non-negative number without separators`);
+                }
+                return parsed;
+            };
+
+            const id = value('id');
+            if (!id) {
+                throw new TaxInputError(`Row ${row}: id is empty`);
+            }
+            if (ids.has(id)) {
+                throw new TaxInputError(`Row ${row}: employee ${id} appears more than once`);
+            }
+            ids.add(id);
+
+            const npwp = value('npwp').toLowerCase();
+            if (npwp !== '' && !PAYROLL_CSV_NPWP_YES.includes(npwp) && !PAYROLL_CSV_NPWP_NO.includes(npwp)) {
+                throw new TaxInputError(`Row ${row}: npwp must be Y or N`);
+            }
+
+            const bonuses: PPh21Bonus[] = [];
+            for (let month = 1; month <= 12; month++) {
+                const bonus = amount(`bonus_${month}`);
+                if (bonus > 0) {
+                    bonuses.push({ name: `Bonus month ${month}`, amount: bonus, month });
+                }
+            }
+
+            employees.push({
+                row,
+                id,
+                ptkpStatus: value('ptkp_status').toUpperCase(),
+                grossMonthly: amount('gross_monthly'),
+                pensionMonthly: amount('pension_monthly'),
+                zakatAnnual: amount('zakat_annual'),
+                bonuses,
+                hasNpwp: !PAYROLL_CSV_NPWP_NO.includes(npwp),
+            });
+        });
+
+        if (employees.length === 0) {
+            throw new TaxInputError('The payroll CSV has no employee rows');
+        }
+        return employees;
+    }
+
+    /**
+     * Calculate a full tax year of PPh 21 for every employee; the first invalid row stops the batch
+     */
+    calculate(employees: PayrollEmployee[], taxYear: number, scheme: PPh21Scheme): PayrollBatchRow[] {
+        return employees.map(employee => {
+            const input: PPh21Input = {
+                grossMonthly: employee.grossMonthly,
+                ptkpStatus: employee.ptkpStatus,
+                scheme,
+                pensionMonthly: employee.pensionMonthly,
+                zakatAnnual: employee.zakatAnnual,
+                bonuses: employee.bonuses,
+                taxYear,
+                hasNpwp: employee.hasNpwp,
+            };
+            let result: PPh21DetailedResult;
+            try {
+                result = this.pph21Calculator.calculate(input);
+            } catch (error) {
+                if (error instanceof TaxInputError) {
+                    throw new TaxInputError(`Row ${employee.row} (${employee.id}): ${error.message}`);
+                }
+                throw error;
+            }
+
+            // Months with a bonus withhold more; December settles the year. A month's regular
+            // withholding does not depend on other months, so when January to November all carry
+            // a bonus, January without its bonus gives the same figure
+            const regularMonth = result.monthlyBreakdown!.find(m => !m.hasBonus && !m.isFinalMonth)
+                || this.pph21Calculator.calculate({ ...input, bonuses: [] }).monthlyBreakdown![0];
+
+            return {
+                id: employee.id,
+                ptkpStatus: employee.ptkpStatus,
+                hasNpwp: employee.hasNpwp,
+                grossMonthly: employee.grossMonthly,
+                bonusTotal: result.bonusTotal,
+                grossAnnual: result.grossAnnual,
+                annualTax: result.annualTax,
+                regularMonthTax: regularMonth.tax,
+                finalMonthTax: result.month12Adjustment || 0,
+                finalMonthRefund: result.overpaymentRefund || 0,
+                effectiveTaxRate: result.effectiveTaxRate,
+                takeHomeMonthly: result.takeHomeMonthly,
+                takeHomeAnnual: result.takeHomeAnnual,
+                employerCostAnnual: result.employerCostAnnual.total,
+            };
+        });
+    }
+
+    /**
+     * Write batch results as CSV, amounts in whole rupiah and text cells safe to open in a spreadsheet
+     */
+    toCSV(rows: PayrollBatchRow[]): string {
+        // Text starting with a formula character gets a leading quote so spreadsheets show it as text
+        const escape = (text: string) => {
+            const value = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+            return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        };
+        const header = PAYROLL_BATCH_COLUMNS.map(column => escape(column.label));
+        const lines = rows.map(row => PAYROLL_BATCH_COLUMNS.map(column => {
+            const value = row[column.key];
+            if (typeof value === 'boolean') {
+                return value ? 'Y' : 'N';
+            }
+            if (typeof value === 'number') {
+                return column.format === 'percent' ? value.toFixed(2) : Math.round(value).toString();
+            }
+            return escape(value);
+        }).join(','));
+        return [header.join(','), ...lines].join('\r\n') + '\r\n';
+    }
+}
+
+class THRCalculator {
+    /**
+     * Parse a YYYY-MM-DD date into year, month (1-12) and day
+     */
+    private parseDate(value: string, label: string): { year: number; month: number; day: number } {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        if (!match) {
+            throw new TaxInputError(`Please enter a valid ${label}`);
+        }
+
+        // Date.UTC rolls 2024-02-30 over to March, so a date that does not round-trip does not exist
+        const year = parseInt(match[1]);
+        const month = parseInt(match[2]);
+        const day = parseInt(match[3]);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            throw new TaxInputError(`Please enter a valid ${label}`);
+        }
+        return { year, month, day };
+    }
+
+    /**
+     * Calculate THR (Permenaker 6/2016): one month's wage from 12 months of service,
+     * pro-rated as months of service / 12 from one month of service
+     */
+    calculate(joinDate: string, payoutDate: string, basicWage: number, fixedAllowances: number = 0): THRResult {
+        const joined = this.parseDate(joinDate, 'join date');
+        const payout = this.parseDate(payoutDate, 'payout date');
+
+        // Completed months between the two dates
+        const serviceMonths = (payout.year - joined.year) * 12 + (payout.month - joined.month)
+            - (payout.day < joined.day ? 1 : 0);
+        if (serviceMonths < 1) {
+            throw new TaxInputError('THR requires at least one month of continuous service');
+        }
+
+        const monthlyWage = new Decimal(basicWage).plus(fixedAllowances);
+        const proRated = serviceMonths < 12;
+        const amount = proRated
+            ? monthlyWage.times(serviceMonths).dividedBy(12).floor()
+            : monthlyWage;
+
+        return {
+            joinDate,
+            payoutDate,
+            serviceMonths,
+            monthlyWage: monthlyWage.toNumber(),
+            proRated,
+            amount: amount.toNumber(),
+        };
+    }
+}
+
+class PPH21SeveranceCalculator {
+    /**
+     * Apply the final tax tiers to a cumulative amount
+     */
+    private calculateTiers(amount: Decimal, brackets: TaxBracket[]): PPH21SeveranceResult['tiers'] {
+        const tiers: PPH21SeveranceResult['tiers'] = [];
+        let previousLimit = new Decimal(0);
+
+        for (const bracket of brackets) {
+            const limit = new Decimal(bracket.limit);
+            const taxable = Decimal.max(Decimal.min(amount, limit).minus(previousLimit), 0);
+            tiers.push({
+                limit: bracket.limit,
+                rate: bracket.rate,
+                taxable: taxable.toNumber(),
+                tax: taxable.times(bracket.rate).toNumber(),
+            });
+            previousLimit = limit;
+        }
+
+        return tiers;
+    }
+
+    /**
+     * Calculate final PPh 21 on severance or pension lump sums (PP 68/2009)
+     * Installments of the same payment are taxed on the cumulative amount,
+     * less the tax already withheld on earlier installments
+     */
+    calculate(
+        paymentType: SeverancePaymentType,
+        grossAmountInput: number,
+        priorInstallmentsInput: number = 0,
+        hasNpwp: boolean = true
+    ): PPH21SeveranceResult {
+        const brackets = SEVERANCE_TAX_BRACKETS[paymentType];
+        const grossAmount = new Decimal(grossAmountInput);
+        const priorInstallments = new Decimal(priorInstallmentsInput);
+        const cumulativeAmount = grossAmount.plus(priorInstallments);
+
+        const tiers = this.calculateTiers(cumulativeAmount, brackets);
+        const sumTax = (t: PPH21SeveranceResult['tiers']) => t.reduce((sum, tier) => sum.plus(tier.tax), new Decimal(0));
+        const cumulativeTax = sumTax(tiers);
+        const priorTax = sumTax(this.calculateTiers(priorInstallments, brackets));
+        const baseTax = cumulativeTax.minus(priorTax);
+        const surcharge = baseTax.times(hasNpwp ? 0 : NON_NPWP_SURCHARGE.pph21);
+        const tax = baseTax.plus(surcharge);
+        const effectiveTaxRate = grossAmount.gt(0) ? tax.dividedBy(grossAmount).times(100) : new Decimal(0);
+
+        return {
+            paymentType,
+            grossAmount: grossAmount.toNumber(),
+            priorInstallments: priorInstallments.toNumber(),
+            cumulativeAmount: cumulativeAmount.toNumber(),
+            hasNpwp,
+            tiers,
+            cumulativeTax: cumulativeTax.toNumber(),
+            priorTax: priorTax.toNumber(),
+            baseTax: baseTax.toNumber(),
+            surcharge: surcharge.toNumber(),
+            tax: tax.toNumber(),
+            effectiveTaxRate: effectiveTaxRate.toNumber(),
+            netPaid: grossAmount.minus(tax).toNumber(),
         };
     }
 }
@@ -373,16 +2434,21 @@ class PPH21Calculator {
 class PPH22Calculator {
     /**
      * Calculate PPh 22 (Import/Export Withholding Tax)
-     * Formula: Tax = DPP × Rate
+     * Formula: Tax = DPP × Rate, +100% without NPWP
      */
-    calculate(dppInput: number, rateInput: number): PPH22Result {
+    calculate(dppInput: number, rateInput: number, hasNpwp: boolean = true): PPH22Result {
         const dpp = new Decimal(dppInput);
         const rate = new Decimal(rateInput);
-        const tax = dpp.times(rate.dividedBy(100));
+        const baseTax = dpp.times(rate.dividedBy(100));
+        const surcharge = hasNpwp ? new Decimal(0) : baseTax.times(NON_NPWP_SURCHARGE.pph22);
+        const tax = baseTax.plus(surcharge);
 
         return {
             dpp: dpp.toNumber(),
             rate: rate.toNumber(),
+            hasNpwp,
+            baseTax: baseTax.toNumber(),
+            surcharge: surcharge.toNumber(),
             tax: tax.toNumber(),
         };
     }
@@ -391,16 +2457,21 @@ class PPH22Calculator {
 class PPH23Calculator {
     /**
      * Calculate PPh 23 (Service Withholding Tax)
-     * Formula: Tax = Gross Income × Rate
+     * Formula: Tax = Gross Income × Rate, +100% without NPWP
      */
-    calculate(grossIncomeInput: number, rateInput: number): PPH23Result {
+    calculate(grossIncomeInput: number, rateInput: number, hasNpwp: boolean = true): PPH23Result {
         const grossIncome = new Decimal(grossIncomeInput);
         const rate = new Decimal(rateInput);
-        const tax = grossIncome.times(rate.dividedBy(100));
+        const baseTax = grossIncome.times(rate.dividedBy(100));
+        const surcharge = hasNpwp ? new Decimal(0) : baseTax.times(NON_NPWP_SURCHARGE.pph23);
+        const tax = baseTax.plus(surcharge);
 
         return {
             grossIncome: grossIncome.toNumber(),
             rate: rate.toNumber(),
+            hasNpwp,
+            baseTax: baseTax.toNumber(),
+            surcharge: surcharge.toNumber(),
             tax: tax.toNumber(),
         };
     }
@@ -507,6 +2578,12 @@ function formatPercent(value: number): string {
 
 // Initialize calculators
 const pph21Calculator = new PPH21Calculator();
+const pph21NonEmployeeCalculator = new PPH21NonEmployeeCalculator();
+const pph21DailyWorkerCalculator = new PPH21DailyWorkerCalculator();
+const thrCalculator = new THRCalculator();
+const payrollBatchCalculator = new PayrollBatchCalculator();
+const minimumWageTable = new MinimumWageTable();
+const pph21SeveranceCalculator = new PPH21SeveranceCalculator();
 const pph22Calculator = new PPH22Calculator();
 const pph23Calculator = new PPH23Calculator();
 const pph42Calculator = new PPH42Calculator();
@@ -521,6 +2598,7 @@ const errorDiv = document.getElementById('error') as HTMLDivElement;
 
 // Form field containers
 const pph21Fields = document.getElementById('pph21-fields') as HTMLDivElement;
+const severanceFields = document.getElementById('severance-fields') as HTMLDivElement;
 const pph22Fields = document.getElementById('pph22-fields') as HTMLDivElement;
 const pph23Fields = document.getElementById('pph23-fields') as HTMLDivElement;
 const pph42Fields = document.getElementById('pph42-fields') as HTMLDivElement;
@@ -529,6 +2607,10 @@ const ppnbmFields = document.getElementById('ppnbm-fields') as HTMLDivElement;
 
 // Results containers
 const pph21Results = document.getElementById('pph21-results') as HTMLDivElement;
+const pph21DailyResults = document.getElementById('pph21-daily-results') as HTMLDivElement;
+const pph21NonEmployeeResults = document.getElementById('pph21-nonemployee-results') as HTMLDivElement;
+const pph21BatchResults = document.getElementById('pph21-batch-results') as HTMLDivElement;
+const severanceResults = document.getElementById('severance-results') as HTMLDivElement;
 const pph22Results = document.getElementById('pph22-results') as HTMLDivElement;
 const pph23Results = document.getElementById('pph23-results') as HTMLDivElement;
 const pph42Results = document.getElementById('pph42-results') as HTMLDivElement;
@@ -538,6 +2620,45 @@ const ppnbmResults = document.getElementById('ppnbm-results') as HTMLDivElement;
 // Bonus management
 let bonusList: PPh21Bonus[] = [];
 
+// Overtime management
+let overtimeList: PPh21OvertimeEntry[] = [];
+
+const OVERTIME_DAY_TYPE_LABELS: Record<OvertimeDayType, string> = {
+    [OvertimeDayType.WORKDAY]: 'Workday',
+    [OvertimeDayType.REST_DAY_SIX_DAY_WEEK]: 'Rest day / holiday (6-day week)',
+    [OvertimeDayType.SHORTEST_WORKDAY_HOLIDAY]: 'Holiday on shortest workday',
+    [OvertimeDayType.REST_DAY_FIVE_DAY_WEEK]: 'Rest day / holiday (5-day week)',
+};
+
+// Benefit in kind management
+let benefitList: PPh21Benefit[] = [];
+
+const BENEFIT_CATEGORY_LABELS: Record<BenefitCategory, string> = {
+    [BenefitCategory.FOOD]: 'Food & drinks',
+    [BenefitCategory.MEAL_VOUCHER]: 'Meal vouchers',
+    [BenefitCategory.HOLIDAY_GIFT]: 'Holiday gifts',
+    [BenefitCategory.WORK_EQUIPMENT]: 'Work equipment',
+    [BenefitCategory.HEALTHCARE]: 'Medical treatment',
+    [BenefitCategory.SPORTS]: 'Sports facilities',
+    [BenefitCategory.HOUSING_COMMUNAL]: 'Shared housing',
+    [BenefitCategory.HOUSING_INDIVIDUAL]: 'Individual housing',
+    [BenefitCategory.VEHICLE]: 'Vehicle',
+    [BenefitCategory.OTHER]: 'Other',
+};
+
+// Casual worker wage management
+let wageList: PPh21DailyWage[] = [];
+
+// Non-employee payment management
+let paymentList: PPh21NonEmployeePayment[] = [];
+
+// Payroll batch management: employees from the chosen CSV, and their results in the summary table
+let payrollEmployees: PayrollEmployee[] = [];
+let payrollBatchRows: PayrollBatchRow[] = [];
+let payrollBatchSort: { key: keyof PayrollBatchRow; ascending: boolean } = { key: 'id', ascending: true };
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
 /**
  * Show/hide form fields based on selected tax type
  */
@@ -545,7 +2666,7 @@ function updateFormFields(): void {
     const selectedType = taxTypeSelect.value as TaxType;
 
     // Hide all field containers
-    [pph21Fields, pph22Fields, pph23Fields, pph42Fields, ppnFields, ppnbmFields].forEach(el => {
+    [pph21Fields, severanceFields, pph22Fields, pph23Fields, pph42Fields, ppnFields, ppnbmFields].forEach(el => {
         el.style.display = 'none';
     });
 
@@ -555,6 +2676,9 @@ function updateFormFields(): void {
             pph21Fields.style.display = 'block';
             updateSchemeFields();
             break;
+        case TaxType.PPH21_SEVERANCE:
+            severanceFields.style.display = 'block';
+            break;
         case TaxType.PPH22:
             pph22Fields.style.display = 'block';
             break;
@@ -578,91 +2702,696 @@ function updateFormFields(): void {
 }
 
 /**
- * Show/hide TER category field based on scheme selection
+ * Show/hide TER category field based on scheme selection
+ */
+function updateSchemeFields(): void {
+    const schemeRadios = Array.from(document.getElementsByName('pph21Scheme') as NodeListOf<HTMLInputElement>);
+    let selectedScheme = PPh21Scheme.TRADITIONAL;
+
+    for (const radio of schemeRadios) {
+        if (radio.checked) {
+            selectedScheme = radio.value as PPh21Scheme;
+            break;
+        }
+    }
+
+    // The comparison also runs TER, so its category stays visible
+    const compareSchemes = (document.getElementById('pph21CompareSchemes') as HTMLInputElement).checked;
+    const terCategoryField = document.getElementById('ter-category-field') as HTMLDivElement;
+    if (selectedScheme === PPh21Scheme.TER || compareSchemes) {
+        terCategoryField.style.display = 'block';
+        updateTERCategoryField();
+    } else {
+        terCategoryField.style.display = 'none';
+    }
+}
+
+/**
+ * Swap the gross salary field for the target take-home field in net-to-gross mode
+ */
+function updateDirectionFields(): void {
+    const direction = (document.getElementById('pph21Direction') as HTMLSelectElement).value as PPh21Direction;
+    const solving = direction === PPh21Direction.NET_TO_GROSS;
+
+    (document.getElementById('gross-monthly-field') as HTMLDivElement).style.display = solving ? 'none' : 'block';
+    (document.getElementById('target-take-home-field') as HTMLDivElement).style.display = solving ? 'block' : 'none';
+}
+
+/**
+ * Fill the minimum wage region selector, provinces (UMP) then cities and regencies (UMK)
+ */
+function populateMinimumWageRegions(): void {
+    const regionSelect = document.getElementById('pph21MinimumWageRegion') as HTMLSelectElement;
+    const group = (label: string, type: MinimumWageRegion['type']) => `<optgroup label="${label}">${
+        MINIMUM_WAGES.filter(r => r.type === type).map(r => `<option value="${r.id}">${r.name}</option>`).join('')
+    }</optgroup>`;
+    regionSelect.innerHTML = '<option value="" selected>Not specified</option>'
+        + group('Provinces (UMP)', 'province')
+        + group('Cities and Regencies (UMK)', 'city');
+}
+
+/**
+ * Warn when the gross monthly salary is below the selected region's minimum wage
+ */
+function updateMinimumWageWarning(): void {
+    const warning = document.getElementById('minimum-wage-warning') as HTMLElement;
+    const regionId = (document.getElementById('pph21MinimumWageRegion') as HTMLSelectElement).value;
+    const taxYear = parseInt((document.getElementById('pph21TaxYear') as HTMLSelectElement).value);
+    const grossMonthly = parseFloat((document.getElementById('pph21GrossMonthly') as HTMLInputElement).value);
+    if (!regionId) {
+        warning.style.display = 'none';
+        warning.textContent = '';
+        return;
+    }
+
+    const region = minimumWageTable.getRegion(regionId);
+    const minimumWage = minimumWageTable.getMinimumWage(regionId, taxYear);
+    if (!minimumWage) {
+        warning.style.display = 'block';
+        warning.textContent = `No ${region.name} minimum wage bundled for ${taxYear} (data from `
+            + `${minimumWageTable.getFirstYear(regionId)}): the salary is not checked and BPJS has no wage floor`;
+        return;
+    }
+
+    if (isNaN(grossMonthly) || grossMonthly >= minimumWage.amount) {
+        warning.style.display = 'none';
+        warning.textContent = '';
+        return;
+    }
+
+    warning.style.display = 'block';
+    warning.textContent = `Below the ${region.name} minimum wage of ${formatCurrency(minimumWage.amount)}`
+        + (minimumWage.year !== taxYear ? ` (latest available: ${minimumWage.year})` : '');
+}
+
+/**
+ * Show the JKK risk class selector only when BPJS is calculated
+ */
+function updateBPJSFields(): void {
+    const bpjsEnabled = (document.getElementById('pph21BpjsEnabled') as HTMLInputElement).checked;
+    (document.getElementById('bpjs-fields') as HTMLDivElement).style.display = bpjsEnabled ? 'block' : 'none';
+}
+
+/**
+ * Switch between employee, casual worker and non-employee (bukan pegawai) PPh 21 fields
+ */
+function updateRecipientFields(): void {
+    const recipientType = (document.getElementById('pph21RecipientType') as HTMLSelectElement).value as PPh21RecipientType;
+    const containers: Record<PPh21RecipientType, string> = {
+        [PPh21RecipientType.EMPLOYEE]: 'pph21-employee-fields',
+        [PPh21RecipientType.DAILY_WORKER]: 'pph21-daily-fields',
+        [PPh21RecipientType.NON_EMPLOYEE]: 'pph21-nonemployee-fields',
+        [PPh21RecipientType.PAYROLL_BATCH]: 'pph21-batch-fields',
+    };
+
+    for (const [type, id] of Object.entries(containers)) {
+        (document.getElementById(id) as HTMLDivElement).style.display = type === recipientType ? 'block' : 'none';
+    }
+}
+
+/**
+ * Build the 12-month salary schedule grid
+ */
+function populateScheduleGrid(): void {
+    const grid = document.getElementById('schedule-grid') as HTMLDivElement;
+    grid.innerHTML = MONTH_NAMES.map((name, index) => `
+        <div style="display: grid; grid-template-columns: 60px 1fr 1fr; gap: 8px; align-items: center; margin-bottom: 8px;">
+            <strong style="font-size: 14px;">${name}</strong>
+            <input type="number" id="scheduleSalary${index + 1}" placeholder="Salary" min="0">
+            <input type="number" id="scheduleAllowance${index + 1}" placeholder="Allowance" min="0">
+        </div>
+    `).join('');
+}
+
+/**
+ * Copy the single gross monthly salary into every month of the schedule
+ */
+function fillScheduleFromGross(): void {
+    const grossMonthly = (document.getElementById('pph21GrossMonthly') as HTMLInputElement).value;
+    for (let month = 1; month <= 12; month++) {
+        (document.getElementById(`scheduleSalary${month}`) as HTMLInputElement).value = grossMonthly;
+    }
+}
+
+/**
+ * Read the salary schedule grid; blank cells count as zero
+ */
+function readMonthlySchedule(): PPh21MonthlyIncome[] {
+    const schedule: PPh21MonthlyIncome[] = [];
+    for (let month = 1; month <= 12; month++) {
+        const salary = parseFloat((document.getElementById(`scheduleSalary${month}`) as HTMLInputElement).value) || 0;
+        const allowance = parseFloat((document.getElementById(`scheduleAllowance${month}`) as HTMLInputElement).value) || 0;
+        schedule.push({ salary, allowance });
+    }
+    return schedule;
+}
+
+/**
+ * Show the schedule grid when month-by-month salary is selected
+ */
+function updateScheduleFields(): void {
+    const useSchedule = (document.getElementById('pph21UseSchedule') as HTMLInputElement).checked;
+    (document.getElementById('schedule-fields') as HTMLDivElement).style.display = useSchedule ? 'block' : 'none';
+}
+
+/**
+ * Show prior employer fields when the employee changed jobs this year
+ */
+function updatePriorEmployerFields(): void {
+    const hasPriorEmployer = (document.getElementById('pph21HasPriorEmployer') as HTMLInputElement).checked;
+    (document.getElementById('prior-employer-fields') as HTMLDivElement).style.display = hasPriorEmployer ? 'block' : 'none';
+}
+
+/**
+ * Fill the tax year selector, newest year first
+ */
+function populateTaxYears(): void {
+    const taxYearSelect = document.getElementById('pph21TaxYear') as HTMLSelectElement;
+    const options: string[] = [];
+    for (let year = LATEST_TAX_YEAR; year >= MIN_TAX_YEAR; year--) {
+        options.push(`<option value="${year}"${year === LATEST_TAX_YEAR ? ' selected' : ''}>${year}</option>`);
+    }
+    taxYearSelect.innerHTML = options.join('');
+}
+
+/**
+ * Disable the TER scheme for tax years before it came into force
+ */
+function updateTaxYearFields(): void {
+    const taxYear = parseInt((document.getElementById('pph21TaxYear') as HTMLSelectElement).value);
+    const terAvailable = pph21Calculator.isTERAvailable(taxYear);
+    const schemeRadios = Array.from(document.getElementsByName('pph21Scheme') as NodeListOf<HTMLInputElement>);
+
+    for (const radio of schemeRadios) {
+        if (radio.value === PPh21Scheme.TER) {
+            radio.disabled = !terAvailable;
+            if (!terAvailable && radio.checked) {
+                radio.checked = false;
+                schemeRadios.find(r => r.value === PPh21Scheme.TRADITIONAL)!.checked = true;
+            }
+        }
+    }
+
+    const compareCheckbox = document.getElementById('pph21CompareSchemes') as HTMLInputElement;
+    compareCheckbox.disabled = !terAvailable;
+    if (!terAvailable) {
+        compareCheckbox.checked = false;
+    }
+
+    // TER daily rates for non-employees follow the same PP 58/2023 start
+    const methodSelect = document.getElementById('pph21NonEmployeeMethod') as HTMLSelectElement;
+    const terDailyOption = Array.from(methodSelect.options).find(o => o.value === PPh21NonEmployeeMethod.TER_DAILY)!;
+    terDailyOption.disabled = !terAvailable;
+    if (!terAvailable && methodSelect.value === PPh21NonEmployeeMethod.TER_DAILY) {
+        methodSelect.value = PPh21NonEmployeeMethod.NON_CUMULATIVE;
+    }
+
+    const batchSchemeSelect = document.getElementById('pph21BatchScheme') as HTMLSelectElement;
+    Array.from(batchSchemeSelect.options).find(o => o.value === PPh21Scheme.TER)!.disabled = !terAvailable;
+    if (!terAvailable && batchSchemeSelect.value === PPh21Scheme.TER) {
+        batchSchemeSelect.value = PPh21Scheme.TRADITIONAL;
+    }
+
+    updateSchemeFields();
+}
+
+/**
+ * Show the TER category derived from PTKP status and toggle the override select
+ */
+function updateTERCategoryField(): void {
+    const ptkpStatus = (document.getElementById('pph21PtkpStatus') as HTMLSelectElement).value;
+    const overrideCheckbox = document.getElementById('pph21TerOverride') as HTMLInputElement;
+    const categorySelect = document.getElementById('pph21TerCategory') as HTMLSelectElement;
+    const derivedCategory = pph21Calculator.getTERCategory(ptkpStatus);
+
+    document.getElementById('ter-category-derived')!.textContent = `Category ${derivedCategory}`;
+    categorySelect.disabled = !overrideCheckbox.checked;
+    if (!overrideCheckbox.checked) {
+        categorySelect.value = derivedCategory;
+    }
+}
+
+/**
+ * Add bonus to list
+ */
+function addBonus(): void {
+    const bonusNameInput = document.getElementById('bonusName') as HTMLInputElement;
+    const bonusAmountInput = document.getElementById('bonusAmount') as HTMLInputElement;
+    const bonusMonthInput = document.getElementById('bonusMonth') as HTMLInputElement;
+
+    const name = bonusNameInput.value.trim();
+    const amount = parseFloat(bonusAmountInput.value);
+    const month = parseInt(bonusMonthInput.value);
+
+    if (!name || isNaN(amount) || amount <= 0 || isNaN(month) || month < 1 || month > 12) {
+        showError('Please enter valid bonus details');
+        return;
+    }
+
+    bonusList.push({ name, amount, month });
+    updateBonusList();
+
+    // Clear inputs
+    bonusNameInput.value = '';
+    bonusAmountInput.value = '';
+    bonusMonthInput.value = '';
+}
+
+/**
+ * Calculate THR from tenure and wage, and add it to the bonus list in the payout month
+ */
+function addTHR(): void {
+    const joinDate = (document.getElementById('thrJoinDate') as HTMLInputElement).value;
+    const payoutDate = (document.getElementById('thrPayoutDate') as HTMLInputElement).value;
+    const basicWage = parseFloat((document.getElementById('thrBasicWage') as HTMLInputElement).value);
+    const fixedAllowances = parseFloat((document.getElementById('thrFixedAllowances') as HTMLInputElement).value) || 0;
+    const taxYear = parseInt((document.getElementById('pph21TaxYear') as HTMLSelectElement).value);
+
+    if (isNaN(basicWage) || basicWage <= 0 || fixedAllowances < 0) {
+        showError('Please enter a valid basic wage and fixed allowances');
+        return;
+    }
+
+    try {
+        const thr = thrCalculator.calculate(joinDate, payoutDate, basicWage, fixedAllowances);
+        if (parseInt(payoutDate.slice(0, 4)) !== taxYear) {
+            showError(`THR payout date must fall in tax year ${taxYear}`);
+            return;
+        }
+
+        const name = thr.proRated ? `THR (${thr.serviceMonths}/12 months)` : 'THR';
+        bonusList.push({ name, amount: thr.amount, month: parseInt(payoutDate.slice(5, 7)) });
+        updateBonusList();
+        clearError();
+
+        document.getElementById('thr-info')!.textContent = thr.proRated
+            ? `${thr.serviceMonths} months of service: ${thr.serviceMonths}/12 × ${formatCurrency(thr.monthlyWage)} = ${formatCurrency(thr.amount)}`
+            : `${thr.serviceMonths} months of service: one month's wage, ${formatCurrency(thr.amount)}`;
+    } catch (error) {
+        if (error instanceof TaxInputError) {
+            showError(error.message);
+            return;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Remove bonus from list
+ */
+function removeBonus(index: number): void {
+    bonusList.splice(index, 1);
+    updateBonusList();
+}
+
+/**
+ * Update bonus list display
+ */
+function updateBonusList(): void {
+    const bonusListDiv = document.getElementById('bonus-list') as HTMLDivElement;
+    const bonusTotalDiv = document.getElementById('bonus-total') as HTMLSpanElement;
+
+    if (bonusList.length === 0) {
+        bonusListDiv.innerHTML = '<p style="color: #999; font-size: 14px;">No bonuses added yet</p>';
+        bonusTotalDiv.textContent = formatCurrency(0);
+        return;
+    }
+
+    const total = bonusList.reduce((sum, bonus) => sum + bonus.amount, 0);
+    bonusTotalDiv.textContent = formatCurrency(total);
+
+    bonusListDiv.innerHTML = bonusList.map((bonus, index) => `
+        <div style="display: flex; justify-content: space-between; align-items: center; padding: 8px; background: white; border-radius: 4px; margin-bottom: 8px;">
+            <div>
+                <strong>${bonus.name}</strong><br>
+                <small>Month ${bonus.month}: ${formatCurrency(bonus.amount)}</small>
+            </div>
+            <button type="button" onclick="removeBonus(${index})" style="padding: 4px 12px; background: #dc2626; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;">Remove</button>
+        </div>
+    `).join('');
+}
+
+// Make removeBonus available globally
+(window as any).removeBonus = removeBonus;
+
+/**
+ * Add overtime entry to list
+ */
+function addOvertime(): void {
+    const monthInput = document.getElementById('overtimeMonth') as HTMLInputElement;
+    const dayTypeSelect = document.getElementById('overtimeDayType') as HTMLSelectElement;
+    const hoursInput = document.getElementById('overtimeHours') as HTMLInputElement;
+    const daysInput = document.getElementById('overtimeDays') as HTMLInputElement;
+
+    const month = parseInt(monthInput.value);
+    const dayType = dayTypeSelect.value as OvertimeDayType;
+    const hoursPerDay = parseFloat(hoursInput.value);
+    const days = parseInt(daysInput.value);
+
+    if (isNaN(month) || month < 1 || month > 12 || isNaN(hoursPerDay) || hoursPerDay <= 0 || hoursPerDay > 24
+        || isNaN(days) || days < 1 || days > 31) {
+        showError('Please enter valid overtime details');
+        return;
+    }
+
+    overtimeList.push({ month, dayType, hoursPerDay, days });
+    updateOvertimeList();
+
+    // Clear inputs
+    hoursInput.value = '';
+    daysInput.value = '1';
+}
+
+/**
+ * Remove overtime entry from list
+ */
+function removeOvertime(index: number): void {
+    overtimeList.splice(index, 1);
+    updateOvertimeList();
+}
+
+/**
+ * Update overtime list display
+ */
+function updateOvertimeList(): void {
+    const overtimeListDiv = document.getElementById('overtime-list') as HTMLDivElement;
+
+    if (overtimeList.length === 0) {
+        overtimeListDiv.innerHTML = '<p style="color: #999; font-size: 14px;">No overtime added yet</p>';
+        return;
+    }
+
+    overtimeListDiv.innerHTML = overtimeList.map((entry, index) => `
+        <div style="display: flex; justify-content: space-between; align-items: center; padding: 8px; background: white; border-radius: 4px; margin-bottom: 8px;">
+            <div>
+                <strong>${MONTH_NAMES[entry.month - 1]}: ${OVERTIME_DAY_TYPE_LABELS[entry.dayType]}</strong><br>
+                <small>${entry.hoursPerDay} hour(s) × ${entry.days} day(s)</small>
+            </div>
+            <button type="button" onclick="removeOvertime(${index})" style="padding: 4px 12px; background: #dc2626; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;">Remove</button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Add benefit in kind to list
+ */
+function addBenefit(): void {
+    const nameInput = document.getElementById('benefitName') as HTMLInputElement;
+    const categorySelect = document.getElementById('benefitCategory') as HTMLSelectElement;
+    const amountInput = document.getElementById('benefitAmount') as HTMLInputElement;
+    const monthInput = document.getElementById('benefitMonth') as HTMLInputElement;
+
+    const name = nameInput.value.trim();
+    const category = categorySelect.value as BenefitCategory;
+    const amount = parseFloat(amountInput.value);
+    const month = monthInput.value ? parseInt(monthInput.value) : undefined;
+
+    if (!name || isNaN(amount) || amount <= 0 || (month !== undefined && (isNaN(month) || month < 1 || month > 12))) {
+        showError('Please enter valid benefit details');
+        return;
+    }
+
+    benefitList.push({ name, category, amount, month });
+    updateBenefitList();
+
+    // Clear inputs
+    nameInput.value = '';
+    amountInput.value = '';
+    monthInput.value = '';
+}
+
+/**
+ * Remove benefit in kind from list
+ */
+function removeBenefit(index: number): void {
+    benefitList.splice(index, 1);
+    updateBenefitList();
+}
+
+/**
+ * Update benefit in kind list display
  */
-function updateSchemeFields(): void {
-    const schemeRadios = Array.from(document.getElementsByName('pph21Scheme') as NodeListOf<HTMLInputElement>);
-    let selectedScheme = PPh21Scheme.TRADITIONAL;
+function updateBenefitList(): void {
+    const benefitListDiv = document.getElementById('benefit-list') as HTMLDivElement;
 
-    for (const radio of schemeRadios) {
-        if (radio.checked) {
-            selectedScheme = radio.value as PPh21Scheme;
-            break;
-        }
+    if (benefitList.length === 0) {
+        benefitListDiv.innerHTML = '<p style="color: #999; font-size: 14px;">No benefits added yet</p>';
+        return;
     }
 
-    const terCategoryField = document.getElementById('ter-category-field') as HTMLDivElement;
-    if (selectedScheme === PPh21Scheme.TER) {
-        terCategoryField.style.display = 'block';
-    } else {
-        terCategoryField.style.display = 'none';
-    }
+    // Benefit names are typed by the user, so rows are built with textContent rather than parsed as HTML
+    benefitListDiv.innerHTML = '';
+    benefitList.forEach((benefit, index) => {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; padding: 8px; background: white; border-radius: 4px; margin-bottom: 8px;';
+
+        const details = document.createElement('div');
+        const name = document.createElement('strong');
+        name.textContent = benefit.name;
+        const amount = document.createElement('small');
+        amount.textContent = `${benefit.month !== undefined ? 'Month ' + benefit.month : 'Every month'}: ${formatCurrency(benefit.amount)}`;
+        details.append(name, ` (${BENEFIT_CATEGORY_LABELS[benefit.category]})`, document.createElement('br'), amount);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.textContent = 'Remove';
+        remove.style.cssText = 'padding: 4px 12px; background: #dc2626; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;';
+        remove.addEventListener('click', () => removeBenefit(index));
+
+        row.append(details, remove);
+        benefitListDiv.appendChild(row);
+    });
 }
 
 /**
- * Add bonus to list
+ * Add casual worker wage payment to list
  */
-function addBonus(): void {
-    const bonusNameInput = document.getElementById('bonusName') as HTMLInputElement;
-    const bonusAmountInput = document.getElementById('bonusAmount') as HTMLInputElement;
-    const bonusMonthInput = document.getElementById('bonusMonth') as HTMLInputElement;
+function addWage(): void {
+    const dateInput = document.getElementById('wageDate') as HTMLInputElement;
+    const amountInput = document.getElementById('wageAmount') as HTMLInputElement;
+    const daysInput = document.getElementById('wageDays') as HTMLInputElement;
 
-    const name = bonusNameInput.value.trim();
-    const amount = parseFloat(bonusAmountInput.value);
-    const month = parseInt(bonusMonthInput.value);
+    const date = dateInput.value;
+    const amount = parseFloat(amountInput.value);
+    const days = parseInt(daysInput.value);
 
-    if (!name || isNaN(amount) || amount <= 0 || isNaN(month) || month < 1 || month > 12) {
-        showError('Please enter valid bonus details');
+    if (!date || isNaN(amount) || amount <= 0 || isNaN(days) || days < 1 || days > 31) {
+        showError('Please enter valid wage details');
         return;
     }
 
-    bonusList.push({ name, amount, month });
-    updateBonusList();
+    wageList.push({ date, amount, days });
+    updateWageList();
 
     // Clear inputs
-    bonusNameInput.value = '';
-    bonusAmountInput.value = '';
-    bonusMonthInput.value = '';
+    amountInput.value = '';
 }
 
 /**
- * Remove bonus from list
+ * Remove casual worker wage payment from list
  */
-function removeBonus(index: number): void {
-    bonusList.splice(index, 1);
-    updateBonusList();
+function removeWage(index: number): void {
+    wageList.splice(index, 1);
+    updateWageList();
 }
 
 /**
- * Update bonus list display
+ * Update casual worker wage list display
  */
-function updateBonusList(): void {
-    const bonusListDiv = document.getElementById('bonus-list') as HTMLDivElement;
-    const bonusTotalDiv = document.getElementById('bonus-total') as HTMLSpanElement;
+function updateWageList(): void {
+    const wageListDiv = document.getElementById('wage-list') as HTMLDivElement;
+    const wageTotalDiv = document.getElementById('wage-total') as HTMLSpanElement;
 
-    if (bonusList.length === 0) {
-        bonusListDiv.innerHTML = '<p style="color: #999; font-size: 14px;">No bonuses added yet</p>';
-        bonusTotalDiv.textContent = formatCurrency(0);
+    if (wageList.length === 0) {
+        wageListDiv.innerHTML = '<p style="color: #999; font-size: 14px;">No wage payments added yet</p>';
+        wageTotalDiv.textContent = formatCurrency(0);
         return;
     }
 
-    const total = bonusList.reduce((sum, bonus) => sum + bonus.amount, 0);
-    bonusTotalDiv.textContent = formatCurrency(total);
+    const total = wageList.reduce((sum, wage) => sum + wage.amount, 0);
+    wageTotalDiv.textContent = formatCurrency(total);
 
-    bonusListDiv.innerHTML = bonusList.map((bonus, index) => `
+    wageListDiv.innerHTML = wageList.map((wage, index) => `
         <div style="display: flex; justify-content: space-between; align-items: center; padding: 8px; background: white; border-radius: 4px; margin-bottom: 8px;">
             <div>
-                <strong>${bonus.name}</strong><br>
-                <small>Month ${bonus.month}: ${formatCurrency(bonus.amount)}</small>
+                <strong>${wage.date}</strong><br>
+                <small>${wage.days} day(s): ${formatCurrency(wage.amount)}</small>
             </div>
-            <button type="button" onclick="removeBonus(${index})" style="padding: 4px 12px; background: #dc2626; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;">Remove</button>
+            <button type="button" onclick="removeWage(${index})" style="padding: 4px 12px; background: #dc2626; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;">Remove</button>
         </div>
     `).join('');
 }
 
-// Make removeBonus available globally
-(window as any).removeBonus = removeBonus;
+/**
+ * Add non-employee payment to list
+ */
+function addPayment(): void {
+    const descriptionInput = document.getElementById('paymentDescription') as HTMLInputElement;
+    const amountInput = document.getElementById('paymentAmount') as HTMLInputElement;
+
+    const description = descriptionInput.value.trim();
+    const amount = parseFloat(amountInput.value);
+
+    if (!description || isNaN(amount) || amount <= 0) {
+        showError('Please enter valid payment details');
+        return;
+    }
+
+    paymentList.push({ description, amount });
+    updatePaymentList();
+
+    // Clear inputs
+    descriptionInput.value = '';
+    amountInput.value = '';
+}
+
+/**
+ * Remove non-employee payment from list
+ */
+function removePayment(index: number): void {
+    paymentList.splice(index, 1);
+    updatePaymentList();
+}
+
+/**
+ * Update non-employee payment list display
+ */
+function updatePaymentList(): void {
+    const paymentListDiv = document.getElementById('payment-list') as HTMLDivElement;
+    const paymentTotalDiv = document.getElementById('payment-total') as HTMLSpanElement;
+
+    if (paymentList.length === 0) {
+        paymentListDiv.innerHTML = '<p style="color: #999; font-size: 14px;">No payments added yet</p>';
+        paymentTotalDiv.textContent = formatCurrency(0);
+        return;
+    }
+
+    const total = paymentList.reduce((sum, payment) => sum + payment.amount, 0);
+    paymentTotalDiv.textContent = formatCurrency(total);
+
+    // Descriptions are typed by the user, so rows are built with textContent rather than parsed as HTML
+    paymentListDiv.innerHTML = '';
+    paymentList.forEach((payment, index) => {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; padding: 8px; background: white; border-radius: 4px; margin-bottom: 8px;';
+
+        const details = document.createElement('div');
+        const description = document.createElement('strong');
+        description.textContent = payment.description;
+        const amount = document.createElement('small');
+        amount.textContent = formatCurrency(payment.amount);
+        details.append(description, document.createElement('br'), amount);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.textContent = 'Remove';
+        remove.style.cssText = 'padding: 4px 12px; background: #dc2626; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;';
+        remove.addEventListener('click', () => removePayment(index));
+
+        row.append(details, remove);
+        paymentListDiv.appendChild(row);
+    });
+}
+
+/**
+ * Read employees from the chosen payroll CSV file
+ */
+async function loadPayrollFile(): Promise<void> {
+    const fileInput = document.getElementById('pph21BatchFile') as HTMLInputElement;
+    const info = document.getElementById('batch-file-info') as HTMLElement;
+    const file = fileInput.files && fileInput.files[0];
+    payrollEmployees = [];
+    info.textContent = '';
+    clearError();
+    if (!file) {
+        return;
+    }
+
+    try {
+        payrollEmployees = payrollBatchCalculator.parseCSV(await file.text());
+        info.textContent = `${payrollEmployees.length} employees loaded from ${file.name}`;
+    } catch (error) {
+        if (error instanceof TaxInputError) {
+            showError(error.message);
+            return;
+        }
+        showError('The payroll file could not be read. Please try again.');
+        console.error('Payroll file error:', error);
+    }
+}
+
+/**
+ * Batch results in the current sort order
+ */
+function sortedPayrollBatchRows(): PayrollBatchRow[] {
+    const { key, ascending } = payrollBatchSort;
+    return [...payrollBatchRows].sort((a, b) => {
+        const left = a[key];
+        const right = b[key];
+        const order = typeof left === 'string' && typeof right === 'string'
+            ? left.localeCompare(right, undefined, { numeric: true })
+            : Number(left) - Number(right);
+        return ascending ? order : -order;
+    });
+}
+
+/**
+ * Sort the batch summary table by a column; sorting by the same column again reverses the order
+ */
+function sortPayrollBatch(key: keyof PayrollBatchRow): void {
+    payrollBatchSort = {
+        key,
+        ascending: payrollBatchSort.key === key ? !payrollBatchSort.ascending : true,
+    };
+    renderPayrollBatchTable();
+}
+
+/**
+ * Render the batch summary table in the current sort order
+ */
+function renderPayrollBatchTable(): void {
+    const cell = 'padding: 6px 8px; text-align: right; border-bottom: 1px solid #e5e7eb; white-space: nowrap;';
+    document.getElementById('batch-table-head')!.innerHTML = `<tr>${PAYROLL_BATCH_COLUMNS.map(column => `
+        <th onclick="sortPayrollBatch('${column.key}')"
+            style="padding: 6px 8px; text-align: ${column.format === 'text' ? 'left' : 'right'}; cursor: pointer; white-space: nowrap;">
+            ${column.label}${payrollBatchSort.key === column.key ? (payrollBatchSort.ascending ? ' ▲' : ' ▼') : ''}
+        </th>
+    `).join('')}</tr>`;
+
+    // Cells hold CSV text, so they are filled with textContent rather than parsed as HTML
+    const body = document.getElementById('batch-table-body') as HTMLTableSectionElement;
+    body.innerHTML = '';
+    for (const row of sortedPayrollBatchRows()) {
+        const tr = document.createElement('tr');
+        for (const column of PAYROLL_BATCH_COLUMNS) {
+            const value = row[column.key];
+            const td = document.createElement('td');
+            td.style.cssText = cell + (column.format === 'text' ? ' text-align: left;' : '');
+            if (typeof value === 'boolean') {
+                td.textContent = value ? 'Yes' : 'No';
+            } else if (typeof value === 'string') {
+                td.textContent = value;
+            } else {
+                td.textContent = column.format === 'percent' ? formatPercent(value) : formatCurrency(value);
+            }
+            tr.appendChild(td);
+        }
+        body.appendChild(tr);
+    }
+}
 
+/**
+ * Download the batch results as CSV, in the order shown
+ */
+function downloadPayrollBatchCSV(): void {
+    const csv = payrollBatchCalculator.toCSV(sortedPayrollBatchRows());
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'pph21-payroll-batch.csv';
+    link.click();
+    URL.revokeObjectURL(url);
+}
 
 /**
  * Display error message
@@ -685,7 +3414,7 @@ function clearError(): void {
  */
 function displayPPH21Results(result: PPh21DetailedResult): void {
     // Hide all result containers
-    [pph21Results, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
+    [pph21Results, pph21DailyResults, pph21NonEmployeeResults, pph21BatchResults, severanceResults, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
         el.style.display = 'none';
     });
 
@@ -693,52 +3422,452 @@ function displayPPH21Results(result: PPh21DetailedResult): void {
     pph21Results.style.display = 'block';
 
     // Basic info
+    document.getElementById('result-tax-year')!.textContent = result.taxYear.toString();
     document.getElementById('result-gross-monthly')!.textContent = formatCurrency(result.grossMonthly);
-    document.getElementById('result-work-months')!.textContent = result.workMonths.toString();
-    document.getElementById('result-gross-salary')!.textContent = formatCurrency(result.grossMonthly * result.workMonths);
+    document.getElementById('result-work-months')!.textContent =
+        `${MONTH_NAMES[result.startMonth - 1]} - ${MONTH_NAMES[result.endMonth - 1]} (${result.workMonths} months)`;
+    document.getElementById('result-gross-salary')!.textContent = formatCurrency(result.grossFromSalary);
     document.getElementById('result-bonus-total')!.textContent = formatCurrency(result.bonusTotal);
+
+    // Regional minimum wage
+    const minimumWageRow = document.getElementById('result-minimum-wage-row') as HTMLDivElement;
+    if (result.minimumWage) {
+        minimumWageRow.style.display = 'flex';
+        document.getElementById('result-minimum-wage')!.textContent = result.minimumWage.amount !== undefined
+            ? `${formatCurrency(result.minimumWage.amount)} (${result.minimumWage.region} ${result.minimumWage.year})`
+                + (result.belowMinimumWage ? ' - salary below minimum' : '')
+            : `No data for ${result.minimumWage.region} ${result.minimumWage.year}: not checked, no BPJS wage floor`;
+    } else {
+        minimumWageRow.style.display = 'none';
+    }
+
+    // Gross-up tax allowance
+    const taxAllowanceRow = document.getElementById('result-tax-allowance-row') as HTMLDivElement;
+    if (result.grossUp) {
+        taxAllowanceRow.style.display = 'flex';
+        document.getElementById('result-tax-allowance')!.textContent = formatCurrency(result.taxAllowanceAnnual || 0);
+    } else {
+        taxAllowanceRow.style.display = 'none';
+    }
     document.getElementById('result-gross-annual')!.textContent = formatCurrency(result.grossAnnual);
 
+    // Overtime
+    const overtimeRow = document.getElementById('result-overtime-row') as HTMLDivElement;
+    const overtimeSection = document.getElementById('overtime-breakdown') as HTMLDivElement;
+    if (result.overtime) {
+        overtimeRow.style.display = 'flex';
+        overtimeSection.style.display = 'block';
+        document.getElementById('result-overtime')!.textContent = formatCurrency(result.overtimeAnnual || 0);
+        document.getElementById('overtime-month-list')!.innerHTML = result.overtime.map(o => `
+            <div style="padding: 8px; border-bottom: 1px solid #e5e7eb;">
+                <strong>${MONTH_NAMES[o.month - 1]}</strong><br>
+                <small>Hourly Wage: ${formatCurrency(o.hourlyWage)} | Hours: ${o.hours} (paid as ${o.paidHours}) | Pay: ${formatCurrency(o.pay)}</small>
+            </div>
+        `).join('');
+    } else {
+        overtimeRow.style.display = 'none';
+        overtimeSection.style.display = 'none';
+    }
+
+    // Bonus tax attribution (traditional scheme)
+    const bonusTaxSection = document.getElementById('bonus-tax-breakdown') as HTMLDivElement;
+    if (result.bonusTaxes) {
+        bonusTaxSection.style.display = 'block';
+        document.getElementById('bonus-tax-list')!.innerHTML = result.bonusTaxes.map(b => `
+            <div style="padding: 8px; border-bottom: 1px solid #e5e7eb;">
+                <strong>${b.name}</strong> (Month ${b.month})<br>
+                <small>Amount: ${formatCurrency(b.amount)} | Tax: ${formatCurrency(b.tax)} | Rate: ${formatPercent(b.amount > 0 ? b.tax / b.amount * 100 : 0)}</small>
+            </div>
+        `).join('');
+    } else {
+        bonusTaxSection.style.display = 'none';
+    }
+
+    // Benefits in kind
+    const benefitIncomeRow = document.getElementById('result-benefit-income-row') as HTMLDivElement;
+    const benefitSection = document.getElementById('benefit-breakdown') as HTMLDivElement;
+    if (result.benefits) {
+        benefitIncomeRow.style.display = 'flex';
+        benefitSection.style.display = 'block';
+        document.getElementById('result-benefit-income')!.textContent = formatCurrency(result.benefitTaxableAnnual || 0);
+        const benefitCategoryList = document.getElementById('benefit-category-list') as HTMLDivElement;
+        benefitCategoryList.innerHTML = '';
+        for (const b of result.benefits) {
+            const row = document.createElement('div');
+            row.style.cssText = 'padding: 8px; border-bottom: 1px solid #e5e7eb;';
+            const label = document.createElement('strong');
+            label.textContent = BENEFIT_CATEGORY_LABELS[b.category];
+            const amounts = document.createElement('small');
+            amounts.textContent = `Value: ${formatCurrency(b.value)} | Exempt: ${formatCurrency(b.exempt)} | Taxable: ${formatCurrency(b.taxable)}`;
+            row.append(label, document.createElement('br'), amounts);
+            benefitCategoryList.appendChild(row);
+        }
+        document.getElementById('result-benefit-value')!.textContent = formatCurrency(result.benefitValueAnnual || 0);
+        document.getElementById('result-benefit-exempt')!.textContent = formatCurrency(result.benefitExemptAnnual || 0);
+        document.getElementById('result-benefit-taxable')!.textContent = formatCurrency(result.benefitTaxableAnnual || 0);
+    } else {
+        benefitIncomeRow.style.display = 'none';
+        benefitSection.style.display = 'none';
+    }
+
+    // BPJS contributions
+    const bpjsIncomeRow = document.getElementById('result-bpjs-income-row') as HTMLDivElement;
+    const bpjsSection = document.getElementById('bpjs-breakdown') as HTMLDivElement;
+    if (result.bpjs) {
+        bpjsIncomeRow.style.display = 'flex';
+        bpjsSection.style.display = 'block';
+        document.getElementById('result-bpjs-income')!.textContent = formatCurrency(result.bpjsTaxableAnnual || 0);
+        document.getElementById('result-bpjs-jht')!.textContent =
+            `${formatCurrency(result.bpjs.jhtEmployee)} / ${formatCurrency(result.bpjs.jhtEmployer)}`;
+        document.getElementById('result-bpjs-jp')!.textContent =
+            `${formatCurrency(result.bpjs.jpEmployee)} / ${formatCurrency(result.bpjs.jpEmployer)}`;
+        document.getElementById('result-bpjs-jkk')!.textContent =
+            `${formatCurrency(result.bpjs.jkk)} (${formatPercent(result.bpjs.jkkRate * 100)})`;
+        document.getElementById('result-bpjs-jkm')!.textContent = formatCurrency(result.bpjs.jkm);
+        document.getElementById('result-bpjs-kesehatan')!.textContent =
+            `${formatCurrency(result.bpjs.kesehatanEmployee)} / ${formatCurrency(result.bpjs.kesehatanEmployer)}`;
+        document.getElementById('result-bpjs-taxable')!.textContent = formatCurrency(result.bpjs.employerTaxable);
+        document.getElementById('result-bpjs-deductible')!.textContent = formatCurrency(result.bpjs.employeeDeductible);
+    } else {
+        bpjsIncomeRow.style.display = 'none';
+        bpjsSection.style.display = 'none';
+    }
+
     // Deductions
+    document.getElementById('result-biaya-jabatan-uncapped')!.textContent = formatCurrency(result.biayaJabatanUncapped);
+    document.getElementById('result-biaya-jabatan-cap')!.textContent = formatCurrency(result.biayaJabatanCap);
     document.getElementById('result-biaya-jabatan')!.textContent = formatCurrency(result.biayaJabatan);
     document.getElementById('result-pension')!.textContent = formatCurrency(result.pensionAnnual);
+    document.getElementById('result-pension-cap')!.textContent = formatCurrency(result.pensionCap);
+    document.getElementById('result-pension-deduction')!.textContent = formatCurrency(result.pensionDeduction);
     document.getElementById('result-zakat')!.textContent = formatCurrency(result.zakatDonation);
     document.getElementById('result-netto')!.textContent = formatCurrency(result.nettoAnnual);
 
+    // Prior employer carry-over
+    const priorRows = document.querySelectorAll<HTMLDivElement>('.result-prior-employer');
+    priorRows.forEach(row => {
+        row.style.display = result.priorNetto !== undefined ? 'flex' : 'none';
+    });
+    if (result.priorNetto !== undefined) {
+        document.getElementById('result-prior-gross')!.textContent = formatCurrency(result.priorGross || 0);
+        document.getElementById('result-prior-netto')!.textContent = formatCurrency(result.priorNetto);
+        document.getElementById('result-combined-netto')!.textContent = formatCurrency(result.combinedNetto || 0);
+        document.getElementById('result-prior-tax-paid')!.textContent = formatCurrency(result.priorTaxPaid || 0);
+        document.getElementById('result-employer-tax')!.textContent = formatCurrency(result.employerTax);
+    }
+
     // PKP and Tax
     document.getElementById('result-ptkp')!.textContent = formatCurrency(result.ptkp);
     document.getElementById('result-pkp')!.textContent = formatCurrency(result.pkp);
+    document.getElementById('result-npwp')!.textContent = result.hasNpwp ? 'Yes' : 'No';
+    document.getElementById('result-annual-tax-base')!.textContent = formatCurrency(result.annualTaxBase);
+    document.getElementById('result-npwp-surcharge')!.textContent = formatCurrency(result.npwpSurcharge);
     document.getElementById('result-annual-tax')!.textContent = formatCurrency(result.annualTax);
     document.getElementById('result-monthly-tax')!.textContent = formatCurrency(result.monthlyTax);
     document.getElementById('result-tax-rate')!.textContent = formatPercent(result.effectiveTaxRate);
 
+    // Net-to-gross target
+    const targetRow = document.getElementById('result-target-take-home-row') as HTMLDivElement;
+    if (result.targetTakeHomeMonthly !== undefined) {
+        targetRow.style.display = 'flex';
+        document.getElementById('result-target-take-home')!.textContent = formatCurrency(result.targetTakeHomeMonthly);
+    } else {
+        targetRow.style.display = 'none';
+    }
+
     // Take-home
     document.getElementById('result-take-home-annual')!.textContent = formatCurrency(result.takeHomeAnnual);
     document.getElementById('result-take-home-monthly')!.textContent = formatCurrency(result.takeHomeMonthly);
 
-    // TER specific results
-    const terBreakdownDiv = document.getElementById('ter-breakdown') as HTMLDivElement;
-    if (result.scheme === PPh21Scheme.TER && result.monthlyBreakdown) {
-        terBreakdownDiv.style.display = 'block';
+    // Employer cost of employment
+    const cell = 'padding: 6px 8px; text-align: right; border-bottom: 1px solid #e5e7eb;';
+    document.getElementById('employer-cost-table-body')!.innerHTML = result.employerCostMonthly.map(m => `
+        <tr>
+            <td style="${cell} text-align: left;">${MONTH_NAMES[m.month - 1]}</td>
+            <td style="${cell}">${formatCurrency(m.salary)}</td>
+            <td style="${cell}">${formatCurrency(m.overtime)}</td>
+            <td style="${cell}">${formatCurrency(m.bonuses)}</td>
+            <td style="${cell}">${formatCurrency(m.benefits)}</td>
+            <td style="${cell}">${formatCurrency(m.bpjsEmployer)}</td>
+            <td style="${cell}">${formatCurrency(m.taxAllowance)}</td>
+            <td style="${cell} font-weight: 700;">${formatCurrency(m.total)}</td>
+        </tr>
+    `).join('');
+
+    const employerCost = result.employerCostAnnual;
+    document.getElementById('result-employer-salary')!.textContent = formatCurrency(employerCost.salary + employerCost.overtime);
+    document.getElementById('result-employer-bonuses')!.textContent = formatCurrency(employerCost.bonuses);
+    document.getElementById('result-employer-benefits')!.textContent = formatCurrency(employerCost.benefits);
+    document.getElementById('result-employer-bpjs')!.textContent = formatCurrency(employerCost.bpjsEmployer);
+    document.getElementById('result-employer-tax-allowance')!.textContent = formatCurrency(employerCost.taxAllowance);
+    document.getElementById('result-employer-total')!.textContent = formatCurrency(employerCost.total);
+    document.getElementById('result-employer-monthly')!.textContent =
+        formatCurrency(employerCost.total / result.employerCostMonthly.length);
+
+    // Monthly withholding, either scheme
+    const monthlyBreakdownDiv = document.getElementById('monthly-breakdown') as HTMLDivElement;
+    if (result.monthlyBreakdown) {
+        const isTER = result.scheme === PPh21Scheme.TER;
+        monthlyBreakdownDiv.style.display = 'block';
+        document.getElementById('monthly-breakdown-title')!.textContent =
+            isTER ? '📅 TER Monthly Withholding' : '📅 Monthly Withholding (Annualized, Pasal 17)';
+
+        const terCategoryRow = document.getElementById('result-ter-category-row') as HTMLDivElement;
+        terCategoryRow.style.display = isTER ? 'flex' : 'none';
+        document.getElementById('result-ter-category')!.textContent =
+            `Category ${result.terCategory}${result.terCategoryOverridden ? ' (override)' : ''}`;
+
+        // TER months show the rate; traditional months split regular and irregular (bonus) tax
+        const monthBasis = (m: NonNullable<PPh21DetailedResult['monthlyBreakdown']>[number]) => {
+            if (m.isFinalMonth) {
+                return 'Annual Tax less Earlier Withholding'
+                    + (m.irregularTax !== undefined ? ' | Of Which Irregular: ' + formatCurrency(m.irregularTax) : '');
+            }
+            if (m.terRate !== undefined) {
+                return 'TER Rate: ' + formatPercent(m.terRate * 100);
+            }
+            return 'Regular: ' + formatCurrency(m.regularTax || 0)
+                + (m.irregularTax !== undefined ? ' | Irregular: ' + formatCurrency(m.irregularTax) : '');
+        };
 
-        const terListDiv = document.getElementById('ter-month-list') as HTMLDivElement;
-        terListDiv.innerHTML = result.monthlyBreakdown.map(m => `
+        const monthListDiv = document.getElementById('month-list') as HTMLDivElement;
+        monthListDiv.innerHTML = result.monthlyBreakdown.map(m => `
             <div style="padding: 8px; background: white; border-radius: 4px; margin-bottom: 8px;">
-                <strong>Month ${m.month}${m.hasBonus ? ' (' + m.bonusNames + ')' : ''}</strong><br>
+                <strong>Month ${m.month}${m.hasBonus ? ' (' + m.bonusNames + ')' : ''}${m.isFinalMonth ? ' - Annual Adjustment' : ''}</strong><br>
                 <small>
-                    Income: ${formatCurrency(m.income)} | 
-                    TER Rate: ${formatPercent(m.terRate * 100)} | 
-                    Tax: ${formatCurrency(m.tax)}
+                    Income: ${formatCurrency(m.income)}${m.overtime !== undefined ? ' (incl. overtime ' + formatCurrency(m.overtime) + ')' : ''} | 
+                    ${monthBasis(m)} | 
+                    Tax: ${formatCurrency(m.tax)}${m.surcharge !== undefined ? ' (incl. surcharge ' + formatCurrency(m.surcharge) + ')' : ''}${m.taxAllowance !== undefined ? ' | Tax Allowance: ' + formatCurrency(m.taxAllowance) : ''}${m.refund !== undefined ? ' | Refund Due: ' + formatCurrency(m.refund) : ''}
                 </small>
             </div>
         `).join('');
 
-        document.getElementById('result-ter-paid')!.textContent = formatCurrency(result.terPaid || 0);
+        document.getElementById('result-withheld-before-final')!.textContent = formatCurrency(result.withheldBeforeFinalMonth || 0);
         document.getElementById('result-month12-adjustment')!.textContent = formatCurrency(result.month12Adjustment || 0);
+
+        const refundRow = document.getElementById('result-refund-row') as HTMLDivElement;
+        if (result.overpaymentRefund) {
+            refundRow.style.display = 'flex';
+            document.getElementById('result-refund-label')!.textContent = result.grossUp
+                ? 'Overpaid Tax Returned to Employer (Final Month Allowance Reduced)'
+                : 'Refund Due to Employee (Overpaid)';
+            document.getElementById('result-refund')!.textContent = formatCurrency(result.overpaymentRefund);
+        } else {
+            refundRow.style.display = 'none';
+        }
+
+        const month12AllowanceRow = document.getElementById('result-month12-allowance-row') as HTMLDivElement;
+        if (result.grossUp) {
+            month12AllowanceRow.style.display = 'flex';
+            document.getElementById('result-month12-allowance')!.textContent = formatCurrency(result.month12TaxAllowance || 0);
+        } else {
+            month12AllowanceRow.style.display = 'none';
+        }
     } else {
-        terBreakdownDiv.style.display = 'none';
+        monthlyBreakdownDiv.style.display = 'none';
+    }
+
+    resultsDiv.classList.add('show');
+}
+
+/**
+ * Display the TER vs. traditional comparison below the PPh 21 results
+ */
+function displaySchemeComparison(comparison: PPh21SchemeComparison | undefined): void {
+    const comparisonDiv = document.getElementById('scheme-comparison') as HTMLDivElement;
+    if (!comparison) {
+        comparisonDiv.style.display = 'none';
+        return;
+    }
+
+    comparisonDiv.style.display = 'block';
+
+    const cell = 'padding: 6px 8px; text-align: right; border-bottom: 1px solid #e5e7eb;';
+    const signed = (value: number) => (value > 0 ? '+' : '') + formatCurrency(value);
+    document.getElementById('comparison-table-body')!.innerHTML = comparison.months.map(m => `
+        <tr>
+            <td style="${cell} text-align: left;">${MONTH_NAMES[m.month - 1]}</td>
+            <td style="${cell}">${formatCurrency(m.traditionalTax)}</td>
+            <td style="${cell}">${formatCurrency(m.terTax)}</td>
+            <td style="${cell}">${signed(m.difference)}</td>
+            <td style="${cell}">${signed(m.cumulativeDifference)}</td>
+        </tr>
+    `).join('');
+
+    document.getElementById('comparison-traditional-total')!.textContent = formatCurrency(comparison.traditionalTotal);
+    document.getElementById('comparison-ter-total')!.textContent = formatCurrency(comparison.terTotal);
+    document.getElementById('comparison-annual-tax')!.textContent = formatCurrency(comparison.ter.employerTax);
+}
+
+/**
+ * Display PPh 21 casual worker results
+ */
+function displayPPH21DailyWorkerResults(result: PPh21DailyWorkerResult): void {
+    [pph21Results, pph21DailyResults, pph21NonEmployeeResults, pph21BatchResults, severanceResults, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
+        el.style.display = 'none';
+    });
+
+    pph21DailyResults.style.display = 'block';
+
+    document.getElementById('result-daily-tax-year')!.textContent = result.taxYear.toString();
+    document.getElementById('result-daily-npwp')!.textContent = result.hasNpwp ? 'Yes' : 'No';
+
+    document.getElementById('daily-wage-list')!.innerHTML = result.wages.map(w => `
+        <div style="padding: 8px; border-bottom: 1px solid #e5e7eb;">
+            <strong>${w.date}</strong> (${w.days} day${w.days > 1 ? 's' : ''})<br>
+            <small>
+                Gross: ${formatCurrency(w.gross)} |
+                Daily Average: ${formatCurrency(w.dailyAverage)} |
+                ${w.terRate !== undefined ? 'TER: ' + formatPercent(w.terRate * 100) : 'Pasal 17 on 50%: ' + formatCurrency(w.dpp)} |
+                Tax: ${formatCurrency(w.tax)}${w.surcharge > 0 ? ' (incl. surcharge ' + formatCurrency(w.surcharge) + ')' : ''}
+            </small>
+        </div>
+    `).join('');
+
+    document.getElementById('daily-month-list')!.innerHTML = result.monthlySummary.map(m => `
+        <div style="padding: 8px; border-bottom: 1px solid #e5e7eb;">
+            <strong>${MONTH_NAMES[m.month - 1]}</strong><br>
+            <small>
+                Days: ${m.daysWorked} |
+                Gross: ${formatCurrency(m.gross)} |
+                Tax: ${formatCurrency(m.tax)} |
+                Net: ${formatCurrency(m.netPaid)}
+            </small>
+        </div>
+    `).join('');
+
+    document.getElementById('result-daily-days')!.textContent = result.totalDays.toString();
+    document.getElementById('result-daily-gross')!.textContent = formatCurrency(result.totalGross);
+    document.getElementById('result-daily-base-tax')!.textContent = formatCurrency(result.totalBaseTax);
+    document.getElementById('result-daily-surcharge')!.textContent = formatCurrency(result.totalSurcharge);
+    document.getElementById('result-daily-tax')!.textContent = formatCurrency(result.totalTax);
+    document.getElementById('result-daily-tax-rate')!.textContent = formatPercent(result.effectiveTaxRate);
+    document.getElementById('result-daily-net')!.textContent = formatCurrency(result.netPaid);
+
+    resultsDiv.classList.add('show');
+}
+
+/**
+ * Display PPh 21 non-employee results
+ */
+function displayPPH21NonEmployeeResults(result: PPh21NonEmployeeResult): void {
+    [pph21Results, pph21DailyResults, pph21NonEmployeeResults, pph21BatchResults, severanceResults, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
+        el.style.display = 'none';
+    });
+
+    pph21NonEmployeeResults.style.display = 'block';
+
+    const methodLabels: Record<PPh21NonEmployeeMethod, string> = {
+        [PPh21NonEmployeeMethod.NON_CUMULATIVE]: 'Non-cumulative (50% × Pasal 17)',
+        [PPh21NonEmployeeMethod.CUMULATIVE]: 'Cumulative (50% × Pasal 17 on gross to date)',
+        [PPh21NonEmployeeMethod.TER_DAILY]: 'TER daily rate',
+    };
+
+    document.getElementById('result-ne-tax-year')!.textContent = result.taxYear.toString();
+    document.getElementById('result-ne-method')!.textContent = methodLabels[result.method];
+    document.getElementById('result-ne-npwp')!.textContent = result.hasNpwp ? 'Yes' : 'No';
+
+    const paymentBreakdown = document.getElementById('ne-payment-list') as HTMLDivElement;
+    paymentBreakdown.innerHTML = '';
+    for (const p of result.payments) {
+        const row = document.createElement('div');
+        row.style.cssText = 'padding: 8px; border-bottom: 1px solid #e5e7eb;';
+        const description = document.createElement('strong');
+        description.textContent = p.description;
+        const amounts = document.createElement('small');
+        amounts.textContent = `Gross: ${formatCurrency(p.gross)} | `
+            + (p.terRate !== undefined ? 'TER: ' + formatPercent(p.terRate * 100) : 'DPP: ' + formatCurrency(p.dpp))
+            + (p.cumulativeDpp !== undefined ? ' | Cumulative DPP: ' + formatCurrency(p.cumulativeDpp) : '')
+            + ` | Tax: ${formatCurrency(p.tax)}`
+            + (p.surcharge > 0 ? ' (incl. surcharge ' + formatCurrency(p.surcharge) + ')' : '');
+        row.append(description, document.createElement('br'), amounts);
+        paymentBreakdown.appendChild(row);
     }
 
+    document.getElementById('result-ne-gross')!.textContent = formatCurrency(result.totalGross);
+    document.getElementById('result-ne-dpp')!.textContent = formatCurrency(result.totalDpp);
+    document.getElementById('result-ne-base-tax')!.textContent = formatCurrency(result.totalBaseTax);
+    document.getElementById('result-ne-surcharge')!.textContent = formatCurrency(result.totalSurcharge);
+    document.getElementById('result-ne-tax')!.textContent = formatCurrency(result.totalTax);
+    document.getElementById('result-ne-tax-rate')!.textContent = formatPercent(result.effectiveTaxRate);
+    document.getElementById('result-ne-net')!.textContent = formatCurrency(result.netPaid);
+
+    resultsDiv.classList.add('show');
+}
+
+/**
+ * Display payroll batch results from payrollBatchRows
+ */
+function displayPayrollBatchResults(taxYear: number, scheme: PPh21Scheme): void {
+    [pph21Results, pph21DailyResults, pph21NonEmployeeResults, pph21BatchResults, severanceResults, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
+        el.style.display = 'none';
+    });
+
+    pph21BatchResults.style.display = 'block';
+
+    const total = (key: 'grossAnnual' | 'annualTax' | 'takeHomeAnnual' | 'employerCostAnnual') =>
+        payrollBatchRows.reduce((sum, row) => sum.plus(row[key]), new Decimal(0)).toNumber();
+
+    document.getElementById('result-batch-tax-year')!.textContent = taxYear.toString();
+    document.getElementById('result-batch-scheme')!.textContent =
+        scheme === PPh21Scheme.TER ? 'TER (Tarif Efektif Rata-rata)' : 'Traditional (Pasal 17)';
+    document.getElementById('result-batch-count')!.textContent = payrollBatchRows.length.toString();
+    document.getElementById('result-batch-gross')!.textContent = formatCurrency(total('grossAnnual'));
+    document.getElementById('result-batch-tax')!.textContent = formatCurrency(total('annualTax'));
+    document.getElementById('result-batch-take-home')!.textContent = formatCurrency(total('takeHomeAnnual'));
+    document.getElementById('result-batch-employer-cost')!.textContent = formatCurrency(total('employerCostAnnual'));
+
+    payrollBatchSort = { key: 'id', ascending: true };
+    renderPayrollBatchTable();
+
+    resultsDiv.classList.add('show');
+}
+
+/**
+ * Display severance and pension lump-sum results
+ */
+function displaySeveranceResults(result: PPH21SeveranceResult): void {
+    [pph21Results, pph21DailyResults, pph21NonEmployeeResults, pph21BatchResults, severanceResults, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
+        el.style.display = 'none';
+    });
+
+    severanceResults.style.display = 'block';
+
+    document.getElementById('result-severance-type')!.textContent =
+        result.paymentType === SeverancePaymentType.SEVERANCE ? 'Severance (Pesangon)' : 'Pension / JHT Lump Sum';
+    document.getElementById('result-severance-gross')!.textContent = formatCurrency(result.grossAmount);
+
+    // Installment rows only shown when earlier installments were paid
+    const installmentRows = document.querySelectorAll<HTMLDivElement>('.result-severance-installment');
+    installmentRows.forEach(row => {
+        row.style.display = result.priorInstallments > 0 ? 'flex' : 'none';
+    });
+    document.getElementById('result-severance-prior')!.textContent = formatCurrency(result.priorInstallments);
+    document.getElementById('result-severance-cumulative')!.textContent = formatCurrency(result.cumulativeAmount);
+    document.getElementById('result-severance-cumulative-tax')!.textContent = formatCurrency(result.cumulativeTax);
+    document.getElementById('result-severance-prior-tax')!.textContent = formatCurrency(result.priorTax);
+
+    let previousLimit = 0;
+    document.getElementById('severance-tier-list')!.innerHTML = result.tiers.map(tier => {
+        const label = tier.limit === Infinity
+            ? `Above ${formatCurrency(previousLimit)}`
+            : `${formatCurrency(previousLimit)} – ${formatCurrency(tier.limit)}`;
+        previousLimit = tier.limit;
+        return `
+        <div style="padding: 8px; border-bottom: 1px solid #e5e7eb;">
+            <strong>${label}</strong> (${formatPercent(tier.rate * 100)})<br>
+            <small>Taxable: ${formatCurrency(tier.taxable)} | Tax: ${formatCurrency(tier.tax)}</small>
+        </div>
+    `;
+    }).join('');
+
+    document.getElementById('result-severance-npwp')!.textContent = result.hasNpwp ? 'Yes' : 'No';
+    document.getElementById('result-severance-base-tax')!.textContent = formatCurrency(result.baseTax);
+    document.getElementById('result-severance-surcharge')!.textContent = formatCurrency(result.surcharge);
+    document.getElementById('result-severance-tax')!.textContent = formatCurrency(result.tax);
+    document.getElementById('result-severance-tax-rate')!.textContent = formatPercent(result.effectiveTaxRate);
+    document.getElementById('result-severance-net')!.textContent = formatCurrency(result.netPaid);
+
     resultsDiv.classList.add('show');
 }
 
@@ -746,7 +3875,7 @@ function displayPPH21Results(result: PPh21DetailedResult): void {
  * Display PPh 22 results
  */
 function displayPPH22Results(result: PPH22Result): void {
-    [pph21Results, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
+    [pph21Results, pph21DailyResults, pph21NonEmployeeResults, pph21BatchResults, severanceResults, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
         el.style.display = 'none';
     });
 
@@ -754,6 +3883,9 @@ function displayPPH22Results(result: PPH22Result): void {
 
     document.getElementById('result-pph22-dpp')!.textContent = formatCurrency(result.dpp);
     document.getElementById('result-pph22-rate')!.textContent = formatPercent(result.rate);
+    document.getElementById('result-pph22-npwp')!.textContent = result.hasNpwp ? 'Yes' : 'No';
+    document.getElementById('result-pph22-base-tax')!.textContent = formatCurrency(result.baseTax);
+    document.getElementById('result-pph22-surcharge')!.textContent = formatCurrency(result.surcharge);
     document.getElementById('result-pph22-tax')!.textContent = formatCurrency(result.tax);
 
     resultsDiv.classList.add('show');
@@ -763,7 +3895,7 @@ function displayPPH22Results(result: PPH22Result): void {
  * Display PPh 23 results
  */
 function displayPPH23Results(result: PPH23Result): void {
-    [pph21Results, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
+    [pph21Results, pph21DailyResults, pph21NonEmployeeResults, pph21BatchResults, severanceResults, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
         el.style.display = 'none';
     });
 
@@ -771,6 +3903,9 @@ function displayPPH23Results(result: PPH23Result): void {
 
     document.getElementById('result-pph23-gross')!.textContent = formatCurrency(result.grossIncome);
     document.getElementById('result-pph23-rate')!.textContent = formatPercent(result.rate);
+    document.getElementById('result-pph23-npwp')!.textContent = result.hasNpwp ? 'Yes' : 'No';
+    document.getElementById('result-pph23-base-tax')!.textContent = formatCurrency(result.baseTax);
+    document.getElementById('result-pph23-surcharge')!.textContent = formatCurrency(result.surcharge);
     document.getElementById('result-pph23-tax')!.textContent = formatCurrency(result.tax);
 
     resultsDiv.classList.add('show');
@@ -780,7 +3915,7 @@ function displayPPH23Results(result: PPH23Result): void {
  * Display PPh 4(2) results
  */
 function displayPPH42Results(result: PPH42Result): void {
-    [pph21Results, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
+    [pph21Results, pph21DailyResults, pph21NonEmployeeResults, pph21BatchResults, severanceResults, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
         el.style.display = 'none';
     });
 
@@ -797,7 +3932,7 @@ function displayPPH42Results(result: PPH42Result): void {
  * Display PPN results
  */
 function displayPPNResults(result: PPNResult): void {
-    [pph21Results, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
+    [pph21Results, pph21DailyResults, pph21NonEmployeeResults, pph21BatchResults, severanceResults, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
         el.style.display = 'none';
     });
 
@@ -816,7 +3951,7 @@ function displayPPNResults(result: PPNResult): void {
  * Display PPNBM results
  */
 function displayPPNBMResults(result: PPNBMResult): void {
-    [pph21Results, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
+    [pph21Results, pph21DailyResults, pph21NonEmployeeResults, pph21BatchResults, severanceResults, pph22Results, pph23Results, pph42Results, ppnResults, ppnbmResults].forEach(el => {
         el.style.display = 'none';
     });
 
@@ -844,11 +3979,59 @@ form.addEventListener('submit', (e: Event) => {
     try {
         switch (selectedType) {
             case TaxType.PPH21: {
+                const recipientType = (document.getElementById('pph21RecipientType') as HTMLSelectElement).value as PPh21RecipientType;
+                if (recipientType === PPh21RecipientType.DAILY_WORKER) {
+                    const taxYear = parseInt((document.getElementById('pph21TaxYear') as HTMLSelectElement).value);
+                    const hasNpwp = (document.getElementById('pph21DailyHasNpwp') as HTMLInputElement).checked;
+
+                    const result = pph21DailyWorkerCalculator.calculate(wageList, taxYear, hasNpwp);
+                    displayPPH21DailyWorkerResults(result);
+                    break;
+                }
+
+                if (recipientType === PPh21RecipientType.PAYROLL_BATCH) {
+                    if (payrollEmployees.length === 0) {
+                        showError('Please choose a payroll CSV file');
+                        return;
+                    }
+                    const taxYear = parseInt((document.getElementById('pph21TaxYear') as HTMLSelectElement).value);
+                    const scheme = (document.getElementById('pph21BatchScheme') as HTMLSelectElement).value as PPh21Scheme;
+
+                    payrollBatchRows = payrollBatchCalculator.calculate(payrollEmployees, taxYear, scheme);
+                    displayPayrollBatchResults(taxYear, scheme);
+                    break;
+                }
+
+                if (recipientType === PPh21RecipientType.NON_EMPLOYEE) {
+                    const method = (document.getElementById('pph21NonEmployeeMethod') as HTMLSelectElement).value as PPh21NonEmployeeMethod;
+                    const taxYear = parseInt((document.getElementById('pph21TaxYear') as HTMLSelectElement).value);
+                    const hasNpwp = (document.getElementById('pph21NonEmployeeHasNpwp') as HTMLInputElement).checked;
+
+                    const result = pph21NonEmployeeCalculator.calculate(paymentList, method, taxYear, hasNpwp);
+                    displayPPH21NonEmployeeResults(result);
+                    break;
+                }
+
+                const direction = (document.getElementById('pph21Direction') as HTMLSelectElement).value as PPh21Direction;
                 const grossMonthly = parseFloat((document.getElementById('pph21GrossMonthly') as HTMLInputElement).value);
+                const targetTakeHome = parseFloat((document.getElementById('pph21TargetTakeHome') as HTMLInputElement).value);
                 const ptkpStatus = (document.getElementById('pph21PtkpStatus') as HTMLSelectElement).value;
-                const workMonths = parseInt((document.getElementById('pph21WorkMonths') as HTMLInputElement).value) || 12;
+                const startMonth = parseInt((document.getElementById('pph21StartMonth') as HTMLSelectElement).value);
+                const endMonth = parseInt((document.getElementById('pph21EndMonth') as HTMLSelectElement).value);
                 const pensionMonthly = parseFloat((document.getElementById('pph21Pension') as HTMLInputElement).value) || 0;
                 const zakatAnnual = parseFloat((document.getElementById('pph21Zakat') as HTMLInputElement).value) || 0;
+                const taxYear = parseInt((document.getElementById('pph21TaxYear') as HTMLSelectElement).value);
+                const grossUp = (document.getElementById('pph21GrossUp') as HTMLInputElement).checked;
+                const bpjsEnabled = (document.getElementById('pph21BpjsEnabled') as HTMLInputElement).checked;
+                const jkkRiskClass = (document.getElementById('pph21JkkRiskClass') as HTMLSelectElement).value as JKKRiskClass;
+                const minimumWageRegion = (document.getElementById('pph21MinimumWageRegion') as HTMLSelectElement).value;
+                const useSchedule = (document.getElementById('pph21UseSchedule') as HTMLInputElement).checked;
+                const hasPriorEmployer = (document.getElementById('pph21HasPriorEmployer') as HTMLInputElement).checked;
+                const hasNpwp = (document.getElementById('pph21HasNpwp') as HTMLInputElement).checked;
+                const compareSchemes = (document.getElementById('pph21CompareSchemes') as HTMLInputElement).checked;
+                const priorGross = parseFloat((document.getElementById('pph21PriorGross') as HTMLInputElement).value) || 0;
+                const priorNetto = parseFloat((document.getElementById('pph21PriorNetto') as HTMLInputElement).value) || 0;
+                const priorTaxPaid = parseFloat((document.getElementById('pph21PriorTaxPaid') as HTMLInputElement).value) || 0;
 
                 // Get scheme
                 const schemeRadios = Array.from(document.getElementsByName('pph21Scheme') as NodeListOf<HTMLInputElement>);
@@ -860,24 +4043,88 @@ form.addEventListener('submit', (e: Event) => {
                     }
                 }
 
-                const terCategory = (document.getElementById('pph21TerCategory') as HTMLSelectElement).value as PPh21TERCategory;
-
-                if (isNaN(grossMonthly) || grossMonthly <= 0) {
-                    showError('Please enter a valid gross monthly income');
-                    return;
-                }
+                // TER category is derived from PTKP status unless override mode is on
+                const terOverride = (document.getElementById('pph21TerOverride') as HTMLInputElement).checked;
+                const terCategory = terOverride
+                    ? (document.getElementById('pph21TerCategory') as HTMLSelectElement).value as PPh21TERCategory
+                    : undefined;
 
-                const result = pph21Calculator.calculate(
-                    grossMonthly,
+                const input: Omit<PPh21Input, 'grossMonthly'> = {
                     ptkpStatus,
-                    workMonths,
+                    startMonth,
+                    endMonth,
                     scheme,
-                    terCategory,
+                    terCategoryOverride: terCategory,
                     pensionMonthly,
                     zakatAnnual,
-                    bonusList
-                );
+                    bonuses: bonusList,
+                    benefits: benefitList,
+                    overtime: overtimeList,
+                    taxYear,
+                    grossUp,
+                    bpjs: bpjsEnabled ? { jkkRiskClass } : undefined,
+                    minimumWageRegion: minimumWageRegion || undefined,
+                    monthlySchedule: useSchedule ? readMonthlySchedule() : undefined,
+                    priorEmployment: hasPriorEmployer
+                        ? { gross: priorGross, netto: priorNetto, taxPaid: priorTaxPaid }
+                        : undefined,
+                    hasNpwp,
+                };
+
+                if (hasPriorEmployer && (priorNetto > priorGross || priorTaxPaid < 0)) {
+                    showError('Prior employer netto cannot exceed their gross, and tax paid cannot be negative');
+                    return;
+                }
+
+                if (direction === PPh21Direction.NET_TO_GROSS) {
+                    if (!Number.isFinite(targetTakeHome) || targetTakeHome <= 0) {
+                        showError('Please enter a valid target monthly take-home');
+                        return;
+                    }
+
+                    const solved = pph21Calculator.solveGrossMonthly(targetTakeHome, input);
+                    displayPPH21Results(solved);
+                    displaySchemeComparison(compareSchemes
+                        ? pph21Calculator.compareSchemes({ ...input, grossMonthly: solved.grossMonthly })
+                        : undefined);
+                    break;
+                }
+
+                if (useSchedule) {
+                    if (!input.monthlySchedule!.some(m => m.salary + (m.allowance || 0) > 0)) {
+                        showError('Please enter the salary for at least one month of the schedule');
+                        return;
+                    }
+                } else if (!Number.isFinite(grossMonthly) || grossMonthly <= 0) {
+                    showError('Please enter a valid gross monthly income');
+                    return;
+                }
+
+                const result = pph21Calculator.calculate({ ...input, grossMonthly: useSchedule ? 0 : grossMonthly });
                 displayPPH21Results(result);
+                displaySchemeComparison(compareSchemes
+                    ? pph21Calculator.compareSchemes({ ...input, grossMonthly: useSchedule ? 0 : grossMonthly })
+                    : undefined);
+                break;
+            }
+
+            case TaxType.PPH21_SEVERANCE: {
+                const paymentType = (document.getElementById('severanceType') as HTMLSelectElement).value as SeverancePaymentType;
+                const grossAmount = parseFloat((document.getElementById('severanceAmount') as HTMLInputElement).value);
+                const priorInstallments = parseFloat((document.getElementById('severancePriorPaid') as HTMLInputElement).value) || 0;
+
+                if (isNaN(grossAmount) || grossAmount <= 0) {
+                    showError('Please enter a valid payment amount');
+                    return;
+                }
+                if (priorInstallments < 0) {
+                    showError('Earlier installments cannot be negative');
+                    return;
+                }
+
+                const hasNpwp = (document.getElementById('severanceHasNpwp') as HTMLInputElement).checked;
+                const result = pph21SeveranceCalculator.calculate(paymentType, grossAmount, priorInstallments, hasNpwp);
+                displaySeveranceResults(result);
                 break;
             }
 
@@ -894,7 +4141,8 @@ form.addEventListener('submit', (e: Event) => {
                     return;
                 }
 
-                const result = pph22Calculator.calculate(dpp, rate);
+                const hasNpwp = (document.getElementById('pph22HasNpwp') as HTMLInputElement).checked;
+                const result = pph22Calculator.calculate(dpp, rate, hasNpwp);
                 displayPPH22Results(result);
                 break;
             }
@@ -912,7 +4160,8 @@ form.addEventListener('submit', (e: Event) => {
                     return;
                 }
 
-                const result = pph23Calculator.calculate(grossIncome, rate);
+                const hasNpwp = (document.getElementById('pph23HasNpwp') as HTMLInputElement).checked;
+                const result = pph23Calculator.calculate(grossIncome, rate, hasNpwp);
                 displayPPH23Results(result);
                 break;
             }
@@ -978,6 +4227,10 @@ form.addEventListener('submit', (e: Event) => {
             }
         }
     } catch (error) {
+        if (error instanceof TaxInputError) {
+            showError(error.message);
+            return;
+        }
         showError('An error occurred during calculation. Please try again.');
         console.error('Calculation error:', error);
     }
@@ -989,6 +4242,28 @@ form.addEventListener('reset', () => {
     resultsDiv.classList.remove('show');
     bonusList = [];
     updateBonusList();
+    document.getElementById('thr-info')!.textContent = '';
+    benefitList = [];
+    updateBenefitList();
+    overtimeList = [];
+    updateOvertimeList();
+    wageList = [];
+    updateWageList();
+    paymentList = [];
+    updatePaymentList();
+    payrollEmployees = [];
+    payrollBatchRows = [];
+    document.getElementById('batch-file-info')!.textContent = '';
+    // Form values are restored after the reset event fires
+    setTimeout(() => {
+        updateRecipientFields();
+        updateDirectionFields();
+        updateScheduleFields();
+        updateBPJSFields();
+        updatePriorEmployerFields();
+        updateTaxYearFields();
+        updateMinimumWageWarning();
+    });
 });
 
 // Handle tax type change
@@ -1000,10 +4275,63 @@ schemeRadios.forEach(radio => {
     radio.addEventListener('change', updateSchemeFields);
 });
 
+// Handle recipient type change
+document.getElementById('pph21RecipientType')!.addEventListener('change', updateRecipientFields);
+
+// Handle scheme comparison toggle
+document.getElementById('pph21CompareSchemes')!.addEventListener('change', updateSchemeFields);
+
+// Handle calculation direction change
+document.getElementById('pph21Direction')!.addEventListener('change', updateDirectionFields);
+
+// Handle salary schedule toggle
+document.getElementById('pph21UseSchedule')!.addEventListener('change', updateScheduleFields);
+
+// Handle prior employer toggle
+document.getElementById('pph21HasPriorEmployer')!.addEventListener('change', updatePriorEmployerFields);
+
+// Handle payroll CSV selection
+document.getElementById('pph21BatchFile')!.addEventListener('change', loadPayrollFile);
+
+// Handle BPJS toggle
+document.getElementById('pph21BpjsEnabled')!.addEventListener('change', updateBPJSFields);
+
+// Handle tax year change
+document.getElementById('pph21TaxYear')!.addEventListener('change', updateTaxYearFields);
+document.getElementById('pph21TaxYear')!.addEventListener('change', updateMinimumWageWarning);
+
+// Handle gross salary and minimum wage region changes
+document.getElementById('pph21GrossMonthly')!.addEventListener('input', updateMinimumWageWarning);
+document.getElementById('pph21MinimumWageRegion')!.addEventListener('change', updateMinimumWageWarning);
+
+// Handle PTKP status and TER override changes
+document.getElementById('pph21PtkpStatus')!.addEventListener('change', updateTERCategoryField);
+document.getElementById('pph21TerOverride')!.addEventListener('change', updateTERCategoryField);
+
 // Make functions available globally
+(window as any).addBenefit = addBenefit;
 (window as any).addBonus = addBonus;
+(window as any).addOvertime = addOvertime;
+(window as any).addPayment = addPayment;
+(window as any).addTHR = addTHR;
+(window as any).addWage = addWage;
+(window as any).downloadPayrollBatchCSV = downloadPayrollBatchCSV;
+(window as any).fillScheduleFromGross = fillScheduleFromGross;
 (window as any).removeBonus = removeBonus;
+(window as any).removeOvertime = removeOvertime;
+(window as any).removeWage = removeWage;
+(window as any).sortPayrollBatch = sortPayrollBatch;
 
 // Initialize form fields on page load
+populateTaxYears();
+populateMinimumWageRegions();
+populateScheduleGrid();
 updateFormFields();
 updateBonusList();
+updateBenefitList();
+updateOvertimeList();
+updateWageList();
+updatePaymentList();
+
+// Calculators are exported for the test suite; the page itself only uses the globals above
+export { PayrollBatchCalculator, PPH21Calculator, TaxInputError };
@@ -6,6 +6,7 @@ export default class Decimal {
     dividedBy(value: number | string | Decimal): Decimal;
     floor(): Decimal;
     ceil(): Decimal;
+    abs(): Decimal;
     toNumber(): number;
     toString(): string;
     lte(value: number | string | Decimal): boolean;
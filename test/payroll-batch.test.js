@@ -0,0 +1,50 @@
+// PayrollBatchCalculator: reading the payroll CSV, batch withholding and writing the results CSV
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PayrollBatchCalculator, TaxInputError } from './load-app.js';
+
+const batch = new PayrollBatchCalculator();
+const header = 'id,ptkp_status,gross_monthly,npwp';
+
+test('reads a byte order mark, quoted fields and semicolon files, skipping blank rows', () => {
+    const [employee] = batch.parseCSV(`\uFEFF${header},bonus_4\r\n"E,1",tk/0,10000000,N,5000000\r\n\r\n`);
+    assert.equal(employee.id, 'E,1');
+    assert.equal(employee.ptkpStatus, 'TK/0');
+    assert.equal(employee.hasNpwp, false);
+    assert.deepEqual(employee.bonuses, [{ name: 'Bonus month 4', amount: 5_000_000, month: 4 }]);
+
+    const [semicolon] = batch.parseCSV('id;ptkp_status;gross_monthly\nE1;K/1;7500000\n');
+    assert.equal(semicolon.grossMonthly, 7_500_000);
+});
+
+test('rejects amounts that are not finite non-negative numbers, naming the cell', () => {
+    for (const amount of ['Infinity', '1e400', 'abc', '-1', '10.000.000']) {
+        assert.throws(
+            () => batch.parseCSV(`${header}\nE1,TK/0,${amount},Y\n`),
+            error => error instanceof TaxInputError && error.message.startsWith('Row 2, column gross_monthly:'),
+            amount
+        );
+    }
+});
+
+test('rejects missing columns, duplicate ids and unknown npwp values', () => {
+    assert.throws(() => batch.parseCSV('id,gross_monthly\nE1,1\n'), /no ptkp_status column/);
+    assert.throws(() => batch.parseCSV(`${header}\nE1,TK/0,1,Y\nE1,TK/0,1,Y\n`), /Row 3: employee E1 appears more than once/);
+    assert.throws(() => batch.parseCSV(`${header}\nE1,TK/0,1,maybe\n`), /Row 2: npwp must be Y or N/);
+});
+
+test('gives the regular monthly tax when every month before December has a bonus', () => {
+    const bonusColumns = Array.from({ length: 11 }, (_, i) => `bonus_${i + 1}`).join(',');
+    const employees = batch.parseCSV(`${header},${bonusColumns}\nE1,TK/0,10000000,Y,${Array(11).fill(1_000_000).join(',')}\nE2,TK/0,10000000,Y\n`);
+    for (const scheme of ['traditional', 'ter']) {
+        const [withBonuses, without] = batch.calculate(employees, 2024, scheme);
+        assert.ok(without.regularMonthTax > 0, scheme);
+        assert.equal(withBonuses.regularMonthTax, without.regularMonthTax, scheme);
+    }
+});
+
+test('neutralises formula characters in exported text cells', () => {
+    const [row] = batch.calculate(batch.parseCSV(`${header}\n"=HYPERLINK(""x"")",TK/0,10000000,Y\n`), 2024, 'ter');
+    const [, line] = batch.toCSV([row]).split('\r\n');
+    assert.ok(line.startsWith(`"'=HYPERLINK(""x"")",TK/0,Y,10000000,`), line);
+});
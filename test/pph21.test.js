@@ -0,0 +1,66 @@
+// PPH21Calculator behaviour across the tax year: gross-up, the final-month adjustment and refund,
+// the prior employer's credit, and the net-to-gross solver
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PPH21Calculator, TaxInputError } from './load-app.js';
+
+const calculator = new PPH21Calculator();
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1, `${message}: ${actual} vs ${expected}`);
+
+for (const scheme of ['traditional', 'ter']) {
+    test(`${scheme} gross-up allowance covers exactly the tax it causes`, () => {
+        const result = calculator.calculate({ grossMonthly: 20_000_000, ptkpStatus: 'K/1', scheme, taxYear: 2024, grossUp: true });
+        close(result.taxAllowanceAnnual, result.annualTax, 'allowance');
+        close(result.takeHomeAnnual, 240_000_000, 'take-home');
+    });
+
+    test(`${scheme} final month settles the year's withholding to the annual tax`, () => {
+        const result = calculator.calculate({
+            grossMonthly: 10_000_000, ptkpStatus: 'TK/0', scheme, taxYear: 2024,
+            bonuses: [{ name: 'Bonus', amount: 30_000_000, month: 3 }],
+        });
+        close(result.withheldBeforeFinalMonth + result.month12Adjustment - result.overpaymentRefund, result.annualTax, 'withheld');
+    });
+
+    test(`${scheme} credits the prior employer's tax and never goes below zero`, () => {
+        const input = { grossMonthly: 10_000_000, ptkpStatus: 'TK/0', scheme, taxYear: 2024, startMonth: 7 };
+        const credited = calculator.calculate({ ...input, priorEmployment: { gross: 60_000_000, netto: 57_000_000, taxPaid: 1_000_000 } });
+        assert.equal(credited.employerTax, credited.annualTax - 1_000_000);
+        close(credited.withheldBeforeFinalMonth + credited.month12Adjustment - credited.overpaymentRefund, credited.employerTax, 'withheld');
+
+        const overpaid = calculator.calculate({ ...input, priorEmployment: { gross: 60_000_000, netto: 57_000_000, taxPaid: 50_000_000 } });
+        assert.equal(overpaid.employerTax, 0);
+    });
+}
+
+test('TER refunds withholding above the annual tax in December', () => {
+    const result = calculator.calculate({
+        grossMonthly: 10_000_000, ptkpStatus: 'TK/0', scheme: 'ter', taxYear: 2024,
+        bonuses: [{ name: 'Bonus', amount: 100_000_000, month: 1 }],
+    });
+    assert.equal(result.month12Adjustment, 0);
+    assert.equal(result.overpaymentRefund, result.withheldBeforeFinalMonth - result.annualTax);
+});
+
+test('TER gross-up hands the refund back through a negative final allowance', () => {
+    const result = calculator.calculate({
+        grossMonthly: 10_000_000, ptkpStatus: 'TK/0', scheme: 'ter', taxYear: 2024, zakatAnnual: 50_000_000, grossUp: true,
+    });
+    assert.ok(result.month12TaxAllowance < 0);
+    assert.ok(result.overpaymentRefund <= result.withheldBeforeFinalMonth);
+    close(result.taxAllowanceAnnual, result.annualTax, 'allowance');
+    close(result.takeHomeAnnual, 120_000_000, 'take-home');
+});
+
+test('net-to-gross solver finds the lowest gross reaching the target', () => {
+    const input = { ptkpStatus: 'K/1', scheme: 'ter', taxYear: 2024 };
+    const result = calculator.solveGrossMonthly(15_000_000, input);
+    assert.ok(result.takeHomeMonthly >= 15_000_000);
+    assert.ok(calculator.calculate({ ...input, grossMonthly: result.grossMonthly - 1 }).takeHomeMonthly < 15_000_000);
+});
+
+test('net-to-gross solver rejects targets it cannot search for', () => {
+    for (const target of [Infinity, NaN, 1e21, 0, -1]) {
+        assert.throws(() => calculator.solveGrossMonthly(target, { ptkpStatus: 'TK/0' }), TaxInputError, String(target));
+    }
+});
@@ -0,0 +1,33 @@
+// PPH21Calculator.getTERRate against every bracket of the PP 58/2023 monthly TER tables (Lampiran):
+// each row's upper bound takes that row's rate, one rupiah more takes the next row's
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import Decimal from '../docs/decimal.js';
+import { PPH21Calculator } from './load-app.js';
+
+const calculator = new PPH21Calculator();
+const fixture = JSON.parse(readFileSync(new URL('./fixtures/ter-monthly-rates.json', import.meta.url), 'utf8'));
+
+const ratePercent = (income, category) => calculator.getTERRate(new Decimal(income), category, 2024).times(100).toNumber();
+
+for (const [category, brackets] of Object.entries(fixture)) {
+    test(`TER category ${category} bracket boundaries`, () => {
+        brackets.forEach((bracket, index) => {
+            if (bracket.maxIncome === null) {
+                assert.equal(index, brackets.length - 1, 'only the last bracket is open-ended');
+                return;
+            }
+            const next = brackets[index + 1];
+            assert.equal(ratePercent(bracket.maxIncome, category), bracket.ratePercent, `${category} at ${bracket.maxIncome}`);
+            assert.equal(ratePercent(bracket.maxIncome + 1, category), next.ratePercent, `${category} at ${bracket.maxIncome + 1}`);
+        });
+    });
+}
+
+test('TER tables have the Lampiran row counts', () => {
+    assert.deepEqual(
+        Object.fromEntries(Object.entries(fixture).map(([category, brackets]) => [category, brackets.length])),
+        { A: 44, B: 40, C: 41 }
+    );
+});